@@ -0,0 +1,483 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { SEVERITY_LEVELS } = require('./severity-scorer');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('alerts');
+
+/**
+ * Alert Router
+ * Posts scored concerns that cross the alert threshold to an escalation channel and/or
+ * owner DMs, fingerprints them so a recurring complaint alerts once, and posts a
+ * "resolved" follow-up once a concern stops showing up in later runs
+ */
+
+const DEFAULT_ALERTS_FILE = path.join(__dirname, 'alerts.json');
+const DEFAULT_STATE_FILE = path.join(__dirname, 'data', 'alert-state.json');
+const DEFAULT_MIN_SEVERITY = 'critical';
+const DEFAULT_RESOLVE_AFTER_RUNS = 2;
+const RESOLVED_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const SIMILARITY_THRESHOLD = 0.5;
+// Concerns citing the same source still need some wording in common; one thread can back unrelated concerns
+const SHARED_SOURCE_SIMILARITY_THRESHOLD = 0.25;
+const MAX_ALERT_SOURCES = 5;
+// A run's window must be at least this share of the alert's window to count as a miss
+// (explicit ranges are clamped to now, so equal ranges can come out slightly shorter)
+const MIN_WINDOW_COVERAGE = 0.9;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'are', 'was', 'were', 'has', 'have', 'had', 'from', 'about',
+  'users', 'user', 'customers', 'customer', 'people', 'some', 'many', 'multiple', 'several', 'report', 'reports',
+  'reported', 'reporting', 'mention', 'mentions', 'mentioned', 'their', 'they', 'them', 'its', 'into', 'over',
+  'after', 'than', 'being', 'been', 'not', 'due', 'across', 'source', 'sources', 'concern', 'concerns'
+]);
+
+/**
+ * Significant words of a concern, used for fingerprinting and fuzzy matching
+ * @param {string} text - Concern text
+ * @param {string} brand - Brand name (its words are ignored)
+ * @returns {Array} - Sorted unique tokens
+ */
+function concernTokens(text, brand = '') {
+  const brandWords = new Set(brand.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean));
+
+  const tokens = String(text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= 3 && !STOPWORDS.has(word) && !brandWords.has(word))
+    .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+  return Array.from(new Set(tokens)).sort();
+}
+
+/**
+ * Stable fingerprint of a concern for a brand
+ * @param {string} brand - Brand name
+ * @param {string} text - Concern text
+ * @returns {string} - Short hex fingerprint
+ */
+function fingerprintConcern(brand, text) {
+  return crypto
+    .createHash('sha1')
+    .update(`${brand.toLowerCase()}|${concernTokens(text, brand).join(' ')}`)
+    .digest('hex')
+    .slice(0, 12);
+}
+
+/**
+ * Jaccard similarity of two token lists
+ * @param {Array} a - Tokens
+ * @param {Array} b - Tokens
+ * @returns {number} - 0 to 1
+ */
+function tokenSimilarity(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const union = new Set([...setA, ...setB]);
+  if (union.size === 0) {
+    return 0;
+  }
+  const shared = [...setA].filter(token => setB.has(token)).length;
+  return shared / union.size;
+}
+
+/**
+ * Length of an analysis window
+ * @param {Object} window - { start, end } ISO timestamps
+ * @returns {number|null} - Milliseconds, or null without a window
+ */
+function windowLength(window) {
+  if (!window || !window.start || !window.end) {
+    return null;
+  }
+  const length = Date.parse(window.end) - Date.parse(window.start);
+  return Number.isNaN(length) ? null : length;
+}
+
+/**
+ * Normalize a list of Slack ids from a comma-separated string or array
+ * @param {string|Array} value - Ids
+ * @returns {Array} - Trimmed ids
+ */
+function readIds(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(id => String(id).trim()).filter(Boolean);
+}
+
+/**
+ * Load alert routing configuration from ALERTS_FILE (defaults to ./alerts.json)
+ * Without a file, ALERT_CHANNEL_ID (or ESCALATION_CHANNEL_ID) and ALERT_OWNER_IDS are used
+ * @param {string} file - Optional path override
+ * @returns {Object} - { channel, owners, minSeverity, resolveAfterRuns, brands }
+ */
+function loadAlertConfig(file = process.env.ALERTS_FILE || DEFAULT_ALERTS_FILE) {
+  const config = {
+    channel: process.env.ALERT_CHANNEL_ID || process.env.ESCALATION_CHANNEL_ID || null,
+    owners: readIds(process.env.ALERT_OWNER_IDS),
+    minSeverity: SEVERITY_LEVELS.includes(process.env.ALERT_MIN_SEVERITY) ? process.env.ALERT_MIN_SEVERITY : DEFAULT_MIN_SEVERITY,
+    resolveAfterRuns: DEFAULT_RESOLVE_AFTER_RUNS,
+    brands: {}
+  };
+
+  if (!fsSync.existsSync(file)) {
+    return config;
+  }
+
+  try {
+    const parsed = JSON.parse(fsSync.readFileSync(file, 'utf8'));
+    return {
+      channel: parsed.channel || config.channel,
+      owners: parsed.owners ? readIds(parsed.owners) : config.owners,
+      minSeverity: SEVERITY_LEVELS.includes(parsed.minSeverity) ? parsed.minSeverity : config.minSeverity,
+      resolveAfterRuns: Number.isInteger(parsed.resolveAfterRuns) && parsed.resolveAfterRuns > 0
+        ? parsed.resolveAfterRuns
+        : config.resolveAfterRuns,
+      brands: parsed.brands && typeof parsed.brands === 'object' ? parsed.brands : {}
+    };
+  } catch (error) {
+    logger.error('Could not load alert config', { file, error });
+    return config;
+  }
+}
+
+class AlertRouter {
+  /**
+   * @param {Object} options - Router options
+   * @param {Object} options.client - Slack Web API client (needs chat.postMessage)
+   * @param {Object} options.config - Output of loadAlertConfig()
+   * @param {string} options.stateFile - JSON file with open and recently resolved alerts per brand
+   */
+  constructor({ client = null, config = loadAlertConfig(), stateFile } = {}) {
+    this.client = client;
+    this.config = config;
+    this.stateFile = stateFile || process.env.ALERT_STATE_FILE || DEFAULT_STATE_FILE;
+    this.stateLock = Promise.resolve();
+  }
+
+  /**
+   * Alert destinations for a brand (brand entries override the defaults)
+   * @param {string} brand - Brand name
+   * @returns {Object} - { channel, owners, minSeverity }
+   */
+  getRoute(brand) {
+    const key = Object.keys(this.config.brands).find(name => name.toLowerCase() === brand.toLowerCase());
+    const overrides = key ? this.config.brands[key] || {} : {};
+
+    return {
+      channel: overrides.channel || this.config.channel,
+      owners: overrides.owners ? readIds(overrides.owners) : this.config.owners,
+      minSeverity: SEVERITY_LEVELS.includes(overrides.minSeverity) ? overrides.minSeverity : this.config.minSeverity
+    };
+  }
+
+  /**
+   * Alert on new concerns above the threshold and resolve concerns that stopped appearing
+   * Runs without collected data (fallback or error) neither alert nor resolve
+   * @param {string} brand - Brand name
+   * @param {Object} analysis - Analysis result with concernScores from the severity scorer
+   * @returns {Promise<Object>} - { opened, updated, resolved } counts
+   */
+  async route(brand, analysis) {
+    const summary = { opened: 0, updated: 0, resolved: 0 };
+    const route = this.getRoute(brand);
+
+    if (!this.client || (!route.channel && route.owners.length === 0)) {
+      return summary;
+    }
+
+    if (!['real-time', 'partial'].includes(analysis.dataSource)) {
+      logger.info('Skipping alert routing: no collected data', { brand, dataSource: analysis.dataSource });
+      return summary;
+    }
+
+    return this.withStateLock(async () => {
+      const state = await this.loadState();
+      const brandKey = brand.toLowerCase();
+      const alerts = (state[brandKey] && state[brandKey].alerts) || [];
+      const now = new Date().toISOString();
+      const seen = new Set();
+
+      for (const concern of analysis.concernScores || []) {
+        const tokens = concernTokens(concern.text, brand);
+        const fingerprint = fingerprintConcern(brand, concern.text);
+        const sources = this.readSources(concern, analysis);
+        const existing = this.findMatch(alerts, { fingerprint, tokens, sources });
+        const eligible = this.rank(concern.level) >= this.rank(route.minSeverity);
+
+        if (existing && existing.status === 'open') {
+          // Still showing up (at any severity), so it is not resolved
+          seen.add(existing);
+          existing.lastSeen = now;
+          existing.missedRuns = 0;
+          existing.sources = Array.from(new Set([...existing.sources, ...sources])).slice(0, MAX_ALERT_SOURCES);
+
+          if (eligible && this.rank(concern.level) > this.rank(existing.level)) {
+            await this.postUpdate(brand, existing, concern, analysis);
+            existing.level = concern.level;
+            existing.score = concern.score;
+            summary.updated++;
+          }
+          continue;
+        }
+
+        if (!eligible) {
+          continue;
+        }
+
+        const alert = {
+          fingerprint,
+          text: concern.text,
+          tokens,
+          sources,
+          level: concern.level,
+          score: concern.score,
+          status: 'open',
+          recurring: Boolean(existing),
+          firstSeen: now,
+          lastSeen: now,
+          missedRuns: 0,
+          // What the opening run looked at; only runs covering as much can count it as missed
+          platforms: analysis.coveredPlatforms || null,
+          windowMs: windowLength(analysis.window),
+          reportId: analysis.reportId || null,
+          messages: []
+        };
+
+        alert.messages = await this.postAlert(brand, alert, concern, route);
+        if (alert.messages.length === 0) {
+          // Not stored, so the next run that still sees the concern tries again
+          logger.warn('Alert was not delivered to any destination, will retry next run', { brand, fingerprint });
+          continue;
+        }
+        if (existing) {
+          alerts.splice(alerts.indexOf(existing), 1);
+        }
+        alerts.push(alert);
+        seen.add(alert);
+        summary.opened++;
+      }
+
+      for (const alert of alerts.filter(candidate => candidate.status === 'open' && !seen.has(candidate))) {
+        if (!this.coversAlert(alert, analysis)) {
+          // A narrower run (fewer platforms or a shorter window) says nothing about this concern
+          continue;
+        }
+        alert.missedRuns = (alert.missedRuns || 0) + 1;
+        if (alert.missedRuns >= this.config.resolveAfterRuns) {
+          await this.postResolved(brand, alert);
+          alert.status = 'resolved';
+          alert.resolvedAt = now;
+          summary.resolved++;
+        }
+      }
+
+      state[brandKey] = {
+        alerts: alerts.filter(alert => alert.status === 'open' ||
+          Date.now() - Date.parse(alert.resolvedAt) < RESOLVED_RETENTION_MS)
+      };
+      await this.saveState(state);
+
+      logger.info('Routed alerts', { brand, opened: summary.opened, escalated: summary.updated, resolved: summary.resolved });
+      return summary;
+    });
+  }
+
+  /**
+   * Find the stored alert for a concern: same fingerprint or similar wording, where a shared
+   * source lowers the similarity needed but never matches on its own
+   * @param {Array} alerts - Stored alerts for the brand
+   * @param {Object} concern - { fingerprint, tokens, sources }
+   * @returns {Object|null} - Matching alert (open alerts win over resolved ones)
+   */
+  findMatch(alerts, { fingerprint, tokens, sources }) {
+    const matches = alerts.filter(alert => {
+      if (alert.fingerprint === fingerprint) {
+        return true;
+      }
+      const similarity = tokenSimilarity(alert.tokens, tokens);
+      const sharesSource = sources.some(source => alert.sources.includes(source));
+      return similarity >= (sharesSource ? SHARED_SOURCE_SIMILARITY_THRESHOLD : SIMILARITY_THRESHOLD);
+    });
+
+    return matches.find(alert => alert.status === 'open') || matches[matches.length - 1] || null;
+  }
+
+  /**
+   * Whether a run looked at everything the alert was raised from, so not seeing it counts as a miss
+   * @param {Object} alert - Stored alert
+   * @param {Object} analysis - Analysis result with coveredPlatforms and window
+   * @returns {boolean} - True if the run covers the alert's platforms and a comparable window
+   */
+  coversAlert(alert, analysis) {
+    const covered = analysis.coveredPlatforms;
+    const platformsCovered = !alert.platforms || !covered ||
+      alert.platforms.every(platform => covered.includes(platform));
+
+    const runWindow = windowLength(analysis.window);
+    const windowCovered = !alert.windowMs || runWindow === null || runWindow >= alert.windowMs * MIN_WINDOW_COVERAGE;
+
+    return platformsCovered && windowCovered;
+  }
+
+  /**
+   * Source URLs cited by a concern
+   * @param {Object} concern - Scored concern
+   * @param {Object} analysis - Analysis result
+   * @returns {Array} - URLs
+   */
+  readSources(concern, analysis) {
+    const structured = analysis.structuredReport
+      ? analysis.structuredReport.critical_concerns.find(item => item.text === concern.text)
+      : null;
+    const sources = structured ? structured.sources : (concern.text.match(/https?:\/\/[^\s)>\]]+/g) || []);
+    return sources.filter(source => /^https?:\/\//.test(source)).slice(0, MAX_ALERT_SOURCES);
+  }
+
+  /**
+   * Post a new alert to the channel and owner DMs
+   * @param {string} brand - Brand name
+   * @param {Object} alert - Stored alert
+   * @param {Object} concern - Scored concern
+   * @param {Object} route - { channel, owners }
+   * @returns {Promise<Array>} - Posted messages: [{ channel, ts }]
+   */
+  async postAlert(brand, alert, concern, route) {
+    const heading = `🚨 *${alert.recurring ? 'Recurring' : 'New'} ${alert.level} concern for ${brand}*`;
+    const links = alert.sources.map(source => `<${source}|${source.replace(/^https?:\/\/(www\.)?/, '').slice(0, 60)}>`);
+    const text = `${heading}\n${alert.text}\n` +
+      `_Score ${concern.score}: ${concern.reasons.join(', ')}_` +
+      (links.length > 0 ? `\n🔗 ${links.join(' · ')}` : '') +
+      (alert.reportId ? `\nReport ${alert.reportId} · fingerprint \`${alert.fingerprint}\`` : `\nFingerprint \`${alert.fingerprint}\``);
+
+    const destinations = [route.channel, ...route.owners].filter(Boolean);
+    const messages = [];
+
+    for (const channel of destinations) {
+      const posted = await this.post({ channel, text });
+      if (posted) {
+        messages.push({ channel: posted.channel || channel, ts: posted.ts });
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Reply in the alert's threads when a concern escalates to a higher level
+   * @param {string} brand - Brand name
+   * @param {Object} alert - Stored alert
+   * @param {Object} concern - Scored concern
+   * @param {Object} analysis - Analysis result
+   */
+  async postUpdate(brand, alert, concern, analysis) {
+    const text = `⬆️ *${brand} concern escalated from ${alert.level} to ${concern.level}* (score ${concern.score})\n${concern.text}` +
+      (analysis.reportId ? `\nReport ${analysis.reportId}` : '');
+
+    for (const message of alert.messages) {
+      await this.post({ channel: message.channel, thread_ts: message.ts, text });
+    }
+  }
+
+  /**
+   * Reply in the alert's threads once the concern has stopped appearing
+   * @param {string} brand - Brand name
+   * @param {Object} alert - Stored alert
+   */
+  async postResolved(brand, alert) {
+    const text = `✅ *Resolved:* this ${alert.level} concern for ${brand} has not appeared in the last ` +
+      `${alert.missedRuns} run${alert.missedRuns === 1 ? '' : 's'} (last seen ${alert.lastSeen.slice(0, 10)}).\n${alert.text}`;
+
+    for (const message of alert.messages) {
+      await this.post({ channel: message.channel, thread_ts: message.ts, text, reply_broadcast: true });
+    }
+  }
+
+  /**
+   * Post one message, logging instead of failing the run
+   * @param {Object} message - chat.postMessage arguments
+   * @returns {Promise<Object|null>} - Slack response or null on failure
+   */
+  async post(message) {
+    try {
+      return await this.client.chat.postMessage({ unfurl_links: false, unfurl_media: false, ...message });
+    } catch (error) {
+      logger.error('Could not post alert', { channel: message.channel, error });
+      return null;
+    }
+  }
+
+  /**
+   * Position of a level in SEVERITY_LEVELS
+   * @param {string} level - Severity level
+   * @returns {number} - 0 (none) to 3 (critical)
+   */
+  rank(level) {
+    return Math.max(0, SEVERITY_LEVELS.indexOf(level));
+  }
+
+  /**
+   * Load persisted alerts
+   * @returns {Promise<Object>} - Map of lowercased brand to { alerts }
+   */
+  async loadState() {
+    try {
+      return JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Could not read alert state', { error });
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Persist alerts
+   * @param {Object} state - Map of lowercased brand to { alerts }
+   */
+  async saveState(state) {
+    const tempFile = `${this.stateFile}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+    await fs.writeFile(tempFile, JSON.stringify(state, null, 2));
+    await fs.rename(tempFile, this.stateFile);
+  }
+
+  /**
+   * Serialize read-modify-write cycles on the state file
+   * @param {Function} fn - Async function to run while holding the lock
+   * @returns {Promise<*>} - Result of fn
+   */
+  withStateLock(fn) {
+    const run = this.stateLock.then(fn);
+    this.stateLock = run.catch(() => {});
+    return run;
+  }
+}
+
+let defaultRouter = null;
+
+/**
+ * Get the shared alert router
+ * The app passes its Slack client on the first call; without one, routing is skipped
+ * @param {Object} options - { client } used when the router is first created
+ * @returns {AlertRouter} - Shared router
+ */
+function getAlertRouter(options = {}) {
+  if (!defaultRouter) {
+    defaultRouter = new AlertRouter(options);
+  } else if (options.client && !defaultRouter.client) {
+    defaultRouter.client = options.client;
+  }
+  return defaultRouter;
+}
+
+module.exports = {
+  AlertRouter,
+  getAlertRouter,
+  loadAlertConfig,
+  concernTokens,
+  fingerprintConcern,
+  tokenSimilarity
+};
@@ -1,71 +1,198 @@
+const crypto = require('crypto');
 const Anthropic = require('@anthropic-ai/sdk');
-const { searchReddit } = require('./reddit-service');
-const { searchBing } = require('./search-service');
-const { aggregateResults } = require('./data-aggregator');
+const { getDefaultRegistry } = require('./source-providers');
+const { DataAggregator, aggregateResults, applySentimentClassifications, applyCompetitorData } = require('./data-aggregator');
+const { SentimentClassifier } = require('./sentiment-classifier');
+const { REPORT_TOOL, REPORT_TOOL_NAME, validateReport, renderReportSections } = require('./report-schema');
+const { ReportStore, getReportStore } = require('./report-store');
+const { resolveTimeRange, formatWindow, describeWindow } = require('./time-range');
+const { scoreSeverity, extractConcerns } = require('./severity-scorer');
+const { getAlertRouter } = require('./alert-router');
+const { createCacheContext } = require('./response-cache');
+const { getUsageLedger, createUsageContext, recordClaudeUsage, BudgetExceededError } = require('./usage-ledger');
+const { getRequestPolicy } = require('./request-policy');
+const { getFixtureStore, REPLAY_CREDENTIAL } = require('./fixture-store');
+const { getMetrics } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('analysis');
+
+// Competitors are collected from the same sources so share of voice compares like with like
+const COMPETITOR_PROVIDERS = ['reddit', 'serper'];
+const DEFAULT_MAX_COMPETITORS = 3;
+
+/**
+ * Split the competitors input into distinct names, excluding the brand itself
+ * @param {string} competitors - Comma-separated competitors
+ * @param {string} brand - Brand name
+ * @returns {Array} - Competitor names
+ */
+function parseCompetitors(competitors, brand = '') {
+  const seen = new Set([brand.trim().toLowerCase()]);
+
+  return String(competitors || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Run a bookkeeping step after the analysis (history, usage ledger, alerts)
+ * These are best-effort: a failure is logged and the analysis result is still returned
+ * @param {string} label - What the step does, e.g. 'record usage'
+ * @param {Function} fn - async () => result
+ * @param {*} fallback - Value returned if fn throws
+ * @returns {Promise<*>} - Result of fn, or fallback
+ */
+async function bestEffort(label, fn, fallback = undefined) {
+  try {
+    return await fn();
+  } catch (error) {
+    logger.warn(`Could not ${label}`, { error });
+    return fallback;
+  }
+}
 
 class SocialListeningService {
-  constructor(apiKey) {
+  constructor(apiKey, options = {}) {
     if (!apiKey) {
       throw new Error('ANTHROPIC_API_KEY is required');
     }
 
+    // Retries are handled by the shared request policy
     this.client = new Anthropic({
       apiKey: apiKey,
+      maxRetries: 0
     });
+
+    this.reportStore = options.reportStore || null;
+    this.alertRouter = options.alertRouter || null;
+    this.usageLedger = options.usageLedger || null;
+    this.providers = options.providers || getDefaultRegistry();
+    const envMaxCompetitors = parseInt(process.env.MAX_COMPETITORS, 10);
+    this.maxCompetitors = options.maxCompetitors !== undefined
+      ? options.maxCompetitors
+      : (Number.isInteger(envMaxCompetitors) && envMaxCompetitors >= 0 ? envMaxCompetitors : DEFAULT_MAX_COMPETITORS);
   }
 
-  async analyzeBrandSentiment(brand, competitors = '', timeRange = '7 days', platforms = 'all') {
+  async analyzeBrandSentiment(brand, competitors = '', timeRange = '7 days', platforms = 'all', options = {}) {
+    // Refuse before spending anything once a monthly budget is used up; degrade when close to it
+    const budget = await this.checkBudget();
+    const usage = createUsageContext();
+    const run = { usage, classify: !budget || budget.plan.classifyMentions };
+
+    // In fixture mode responses are recorded or replayed; replays run at the recorded time
+    const now = await getFixtureStore().startRun({ brand, competitors, timeRange, platforms, subreddits: options.subreddits || null });
+
     try {
-      console.log(`Starting social listening analysis for: ${brand}`);
-      console.log(`Time range: ${timeRange}, Platforms: ${platforms}`);
+      logger.info('Starting social listening analysis', { brand });
+
+      // Resolve the exact window once so every source and the report use the same bounds
+      const window = resolveTimeRange(timeRange, now);
+      logger.info('Resolved time range', { timeRange: window.label, window: formatWindow(window), platforms });
 
       // Try to fetch real-time data from APIs
       let useRealData = false;
       let aggregatedData = null;
 
+      // One cache context per run: counts hits/misses across the brand and competitors
+      const cache = createCacheContext({ refresh: options.refresh });
+      if (cache.refresh) {
+        logger.info('Refresh requested, bypassing cached source responses');
+      }
+
       try {
-        console.log('🚀 Fetching real-time data from Reddit and Bing APIs...');
+        const providerNames = this.providers.list().map(provider => provider.name).join(', ');
+        logger.info('Fetching real-time data from source providers', { providers: providerNames });
+
+        const competitorList = parseCompetitors(competitors, brand);
+        if (competitorList.length > this.maxCompetitors) {
+          logger.warn('Too many competitors, collecting data for the first MAX_COMPETITORS', {
+            competitors: competitorList.length,
+            maxCompetitors: this.maxCompetitors
+          });
+        }
 
-        // Fetch data from Reddit and Bing in parallel
-        const [redditData, bingData] = await Promise.all([
-          searchReddit(brand, timeRange),
-          searchBing(brand, platforms)
+        // Fetch data for the brand and every competitor in parallel
+        const [providerResults, competitorResults] = await Promise.all([
+          this.providers.fetchAll(brand, {
+            timeRange, window, platforms, subreddits: options.subreddits, cache, usage, ...this.degradedFetchOptions(budget)
+          }),
+          this.collectCompetitors(competitorList.slice(0, this.maxCompetitors), window, platforms, { ...options, cache, usage, budget })
         ]);
-
-        console.log(`📊 Reddit: ${redditData.posts.length} posts`);
-        console.log(`📊 Bing: ${bingData.totalResults} results`);
+        logger.info('Response cache', { hits: cache.stats.hits, misses: cache.stats.misses });
 
         // Aggregate the results
-        aggregatedData = aggregateResults(redditData, bingData, brand, timeRange);
+        aggregatedData = aggregateResults(providerResults, brand, window);
+        aggregatedData.cacheStats = cache.stats;
+        aggregatedData.budgetNotice = budget && budget.status === 'degraded' ? budget.reasons.join('; ') : null;
 
         // Check if we have enough real data to use
         if (aggregatedData.aggregateStats.totalSources > 0) {
           useRealData = true;
-          console.log('✅ Using real-time API data for analysis');
+          logger.info('Using real-time API data for analysis');
+
+          await this.classifyMentions(brand, window, aggregatedData, run);
+
+          if (competitorResults.length > 0) {
+            await this.applyCompetitors(brand, window, aggregatedData, competitorResults, run);
+          }
         } else {
-          console.log('⚠️ No real-time data found, falling back to Claude knowledge');
+          logger.warn('No real-time data found, falling back to Claude knowledge');
         }
 
       } catch (apiError) {
-        console.error('⚠️ API fetch error, falling back to Claude knowledge:', apiError.message);
+        logger.error('API fetch error, falling back to Claude knowledge', { error: apiError });
         useRealData = false;
       }
 
       // Choose analysis method based on data availability
       let analysisResult;
       if (useRealData && aggregatedData) {
-        analysisResult = await this.analyzeWithRealData(brand, competitors, timeRange, platforms, aggregatedData);
+        analysisResult = await this.analyzeWithRealData(brand, competitors, window, platforms, aggregatedData, usage);
       } else {
-        analysisResult = await this.analyzeWithClaudeKnowledge(brand, competitors, timeRange, platforms);
+        analysisResult = await this.analyzeWithClaudeKnowledge(brand, competitors, window, platforms, usage);
       }
 
-      // Add data source indicator
+      // Add data source indicator and the exact window covered
       analysisResult.dataSource = aggregatedData ? aggregatedData.dataSource : 'fallback';
+      analysisResult.window = describeWindow(window);
+      analysisResult.cacheStats = cache.stats;
+      analysisResult.platformIssues = aggregatedData ? aggregatedData.aggregateStats.platformIssues : [];
+      analysisResult.coveredPlatforms = aggregatedData ? aggregatedData.aggregateStats.platforms : [];
+      analysisResult.shareOfVoice = useRealData && aggregatedData.aggregateStats.shareOfVoice
+        ? aggregatedData.aggregateStats.shareOfVoice
+        : null;
+
+      // Score concerns by severity, volume, engagement and keywords instead of trusting the wording
+      const severity = scoreSeverity(analysisResult, useRealData ? aggregatedData : null);
+      analysisResult.hasCriticalIssues = severity.hasCriticalIssues;
+      analysisResult.criticalSeverity = severity.level;
+      analysisResult.severityReasons = severity.reasons;
+      analysisResult.concernScores = severity.concerns;
+
+      // Add this run's API calls and tokens to the monthly ledger
+      analysisResult.usage = await this.recordUsage(brand, usage);
+      analysisResult.budgetStatus = budget ? { status: budget.status, reasons: budget.reasons } : null;
+
+      // Compare against the previous run and persist this one
+      await this.recordRun(brand, competitors, timeRange, platforms, analysisResult, aggregatedData);
+
+      // Alert on new concerns above the threshold and resolve ones that stopped appearing
+      await this.routeAlerts(brand, analysisResult);
 
       return analysisResult;
 
     } catch (error) {
-      console.error('Error in analyzeBrandSentiment:', error);
+      logger.error('Analysis failed', { brand, error });
+      await this.recordUsage(brand, usage);
 
       return {
         sentimentSummary: 'Error: Unable to complete social listening analysis. Please check API credentials and try again.',
@@ -73,97 +200,382 @@ class SocialListeningService {
         negativeConcerns: 'Analysis error occurred.',
         trendingTopics: '',
         competitiveInsights: '',
-        fullReport: `# Social Listening Analysis Error\n\n**Error:** ${error.message}\n\n**Time:** ${new Date().toISOString()}`,
+        fullReport: `# Social Listening Analysis Error\n\n**Error:** ${error.message}\n\n**Time:** ${getFixtureStore().now().toISOString()}`,
         hasCriticalIssues: true,
-        timestamp: new Date().toISOString(),
+        criticalSeverity: 'critical',
+        severityReasons: [`Analysis failed: ${error.message}`],
+        timestamp: getFixtureStore().now().toISOString(),
         dataSource: 'error'
       };
     }
   }
 
-  async analyzeWithRealData(brand, competitors, timeRange, platforms, aggregatedData) {
-    console.log('📝 Building enhanced prompt with real API data...');
+  /**
+   * Collect Reddit and Serper mentions for each competitor in parallel
+   * Competitors get the same Serper page limit as the brand, so their mention counts are comparable
+   * @param {Array} competitorList - Competitor names
+   * @param {Object} window - Resolved time range
+   * @param {string} platforms - Platforms input
+   * @param {Object} options - { subreddits, cache, usage, budget } shared with the brand's run
+   * @returns {Promise<Array>} - Array of { brand, providerResults }
+   */
+  async collectCompetitors(competitorList, window, platforms, options = {}) {
+    if (competitorList.length === 0) {
+      return [];
+    }
+
+    logger.info('Collecting competitor data', { competitors: competitorList });
+
+    return Promise.all(competitorList.map(async competitor => ({
+      brand: competitor,
+      providerResults: await this.providers.fetchAll(competitor, {
+        timeRange: window,
+        window,
+        platforms,
+        subreddits: options.subreddits,
+        cache: options.cache,
+        usage: options.usage,
+        ...this.degradedFetchOptions(options.budget),
+        providers: COMPETITOR_PROVIDERS
+      })
+    })));
+  }
+
+  /**
+   * Aggregate and classify competitor mentions, then compute share of voice
+   * @param {string} brand - Brand name
+   * @param {Object} window - Resolved time range
+   * @param {Object} aggregatedData - Aggregated data for the brand (mutated)
+   * @param {Array} competitorResults - Output of collectCompetitors()
+   * @param {Object} run - { usage, classify } run usage counters and whether to classify mentions
+   */
+  async applyCompetitors(brand, window, aggregatedData, competitorResults, run = {}) {
+    const competitors = await Promise.all(competitorResults.map(async ({ brand: competitor, providerResults }) => {
+      const competitorData = aggregateResults(providerResults, competitor, window);
+      if (competitorData.aggregateStats.totalSources > 0) {
+        await this.classifyMentions(competitor, window, competitorData, run);
+      }
+      return { brand: competitor, aggregatedData: competitorData };
+    }));
+
+    applyCompetitorData(aggregatedData, competitors, brand, window, COMPETITOR_PROVIDERS);
+  }
+
+  /**
+   * Label every collected mention and compute sentiment percentages in code
+   * Leaves aggregatedData unclassified (Claude estimates sentiment) if classification fails
+   * @param {string} brand - Brand name
+   * @param {Object} window - Resolved time range
+   * @param {Object} aggregatedData - Aggregated API data (mutated)
+   * @param {Object} run - { usage, classify } run usage counters and whether to classify mentions
+   */
+  async classifyMentions(brand, window, aggregatedData, run = {}) {
+    if (run.classify === false) {
+      logger.warn('Claude budget nearly used up, skipping per-mention classification', { brand });
+      return;
+    }
+
+    try {
+      const mentions = DataAggregator.collectMentions(aggregatedData);
+      const classifier = new SentimentClassifier(this.client, { usage: run.usage });
+      const classifications = await classifier.classifyMentions(brand, mentions);
+
+      applySentimentClassifications(aggregatedData, classifications, brand, window);
+    } catch (classifyError) {
+      logger.error('Per-mention classification failed, Claude will estimate sentiment', { error: classifyError });
+    }
+  }
+
+  /**
+   * Replace model-written percentages with the code-computed breakdown
+   * @param {string} sentimentSummary - Parsed sentiment section
+   * @param {Object} breakdown - aggregateStats.sentimentBreakdown
+   * @returns {string} - Sentiment section with computed numbers first
+   */
+  applyComputedSentiment(sentimentSummary, breakdown) {
+    const modelBullets = String(sentimentSummary || '')
+      .split('\n')
+      .filter(line => line.trim() && !/\d+(?:\.\d+)?\s*%\s*positive/i.test(line) && !/by platform/i.test(line));
+
+    return [DataAggregator.formatSentimentBreakdown(breakdown), ...modelBullets].join('\n');
+  }
 
-    const prompt = this.buildEnhancedPrompt(brand, competitors, timeRange, platforms, aggregatedData);
+  /**
+   * Save the run to the report store and attach week-over-week deltas
+   * @param {string} brand - Brand name
+   * @param {string} competitors - Competitors input
+   * @param {string} timeRange - Time range input
+   * @param {string} platforms - Platforms input
+   * @param {Object} analysisResult - Parsed analysis (mutated with delta fields)
+   * @param {Object|null} aggregatedData - Aggregated API data
+   */
+  async recordRun(brand, competitors, timeRange, platforms, analysisResult, aggregatedData) {
+    if (!this.reportStore) {
+      return;
+    }
 
-    const message = await this.client.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4000,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
+    await bestEffort('record report history', async () => {
+      const previous = await this.reportStore.getLatest(brand);
+      const record = ReportStore.buildRecord({
+        brand,
+        competitors,
+        timeRange,
+        platforms,
+        analysis: analysisResult,
+        aggregatedData
+      });
+
+      Object.assign(analysisResult, ReportStore.compareRuns(record, previous));
+      analysisResult.reportId = record.id;
+
+      await this.reportStore.save(record);
     });
+  }
 
-    console.log('Claude response received, processing...');
+  /**
+   * Check this month's consumption against the budgets
+   * @returns {Promise<Object|null>} - Output of UsageLedger.checkBudget(), null without a ledger
+   * @throws {BudgetExceededError} - When a monthly budget is used up
+   */
+  async checkBudget() {
+    if (!this.usageLedger) {
+      return null;
+    }
 
-    let fullResponse = '';
-    for (const content of message.content) {
-      if (content.type === 'text') {
-        fullResponse += content.text;
-      }
+    const budget = await this.usageLedger.checkBudget();
+
+    if (budget.status === 'exhausted') {
+      throw new BudgetExceededError(
+        `Monthly budget exhausted for ${budget.month} (${budget.reasons.join('; ')}). ` +
+        'Raise the BUDGET_* limits or wait for the next month.',
+        budget
+      );
+    }
+
+    if (budget.status === 'degraded') {
+      logger.warn('Near monthly budget, degrading this run', { reasons: budget.reasons });
+    }
+
+    return budget;
+  }
+
+  /**
+   * Provider options that cut API calls when the budget is tight
+   * @param {Object|null} budget - Output of UsageLedger.checkBudget()
+   * @returns {Object} - { maxPages, maxQueries, comments } for the constrained sources only
+   */
+  degradedFetchOptions(budget) {
+    if (!budget) {
+      return {};
     }
 
-    const parsed = this.parseResponse(fullResponse);
+    const { plan } = budget;
+    return {
+      ...(plan.serperMaxPages ? { maxPages: plan.serperMaxPages } : {}),
+      ...(plan.serperQueriesPerPlatform ? { maxQueries: plan.serperQueriesPerPlatform } : {}),
+      ...(plan.redditComments ? {} : { comments: false })
+    };
+  }
+
+  /**
+   * Add the run's API calls and tokens to the usage ledger
+   * @param {string} brand - Brand name
+   * @param {Object} usage - Run usage counters
+   * @returns {Promise<Object>} - Usage with estimated Claude cost
+   */
+  async recordUsage(brand, usage) {
+    const metrics = getMetrics();
+    metrics.increment('serper_queries_total', {}, usage.serperQueries);
+    metrics.increment('reddit_calls_total', {}, usage.redditCalls);
+    metrics.increment('claude_calls_total', {}, usage.claudeCalls);
+    metrics.increment('claude_tokens_total', { type: 'input' }, usage.claudeInputTokens);
+    metrics.increment('claude_tokens_total', { type: 'output' }, usage.claudeOutputTokens);
+
+    if (!this.usageLedger) {
+      return { ...usage };
+    }
+
+    return bestEffort('record usage', () => this.usageLedger.record(brand, usage), { ...usage });
+  }
+
+  /**
+   * Send severity alerts for the run
+   * @param {string} brand - Brand name
+   * @param {Object} analysisResult - Scored analysis (mutated with alertSummary)
+   */
+  async routeAlerts(brand, analysisResult) {
+    if (!this.alertRouter) {
+      return;
+    }
+
+    await bestEffort('route alerts', async () => {
+      analysisResult.alertSummary = await this.alertRouter.route(brand, analysisResult);
+    });
+  }
+
+  async analyzeWithRealData(brand, competitors, window, platforms, aggregatedData, usage = null) {
+    logger.info('Building enhanced prompt with real API data');
+
+    const prompt = this.buildEnhancedPrompt(brand, competitors, window, platforms, aggregatedData);
+
+    const message = await this.requestStructuredReport(prompt, usage);
+
+    const breakdown = aggregatedData.aggregateStats.sentimentBreakdown;
+    const { parsed, reportText: fullResponse } = this.parseStructuredResponse(message, breakdown);
+
+    if (breakdown && breakdown.total > 0) {
+      // Structured reports already lead with the computed breakdown; text fallbacks need it swapped in
+      if (!parsed.structuredReport) {
+        parsed.sentimentSummary = this.applyComputedSentiment(parsed.sentimentSummary, breakdown);
+      }
+      parsed.sentimentBreakdown = breakdown;
+    }
 
     // Add data source note to full report
+    const { outOfWindow, undated, shareOfVoice, platformIssues } = aggregatedData.aggregateStats;
+    const { cacheStats, budgetNotice } = aggregatedData;
     parsed.fullReport = `# Social Listening Report (Real-Time Data)\n\n` +
       `**Data Source:** ${aggregatedData.dataSource === 'real-time' ? '✅ Real-time API data' : '⚠️ Partial API data'}\n` +
       `**Sources:** ${aggregatedData.aggregateStats.totalSources} mentions across ${aggregatedData.aggregateStats.platforms.join(', ')}\n` +
+      (platformIssues.length > 0 ? `**Platform Issues:** ⚠️ ${DataAggregator.formatPlatformIssues(platformIssues)}\n` : '') +
       `**Brand:** ${brand}\n` +
-      `**Time Range:** ${timeRange}\n` +
-      `**Generated:** ${new Date().toISOString()}\n\n` +
+      `**Time Range:** ${window.label}\n` +
+      `**Window Covered:** ${formatWindow(window)}` +
+      `${outOfWindow || undated ? ` (${outOfWindow} mentions outside the window dropped, ${undated} undated kept)` : ''}\n` +
+      (budgetNotice ? `**Budget:** ⚠️ Reduced collection, near monthly budget (${budgetNotice})\n` : '') +
+      (cacheStats ? `**Cache:** ${cacheStats.hits} hits, ${cacheStats.misses} misses${cacheStats.refreshed ? ' (refresh forced)' : ''}\n` : '') +
+      `**Generated:** ${getFixtureStore().now().toISOString()}\n\n` +
+      (shareOfVoice ? `## Share of Voice\n\n\`\`\`\n${DataAggregator.formatShareOfVoice(shareOfVoice)}\n\`\`\`\n\n` : '') +
       `---\n\n` +
       fullResponse;
 
     return parsed;
   }
 
-  async analyzeWithClaudeKnowledge(brand, competitors, timeRange, platforms) {
-    console.log('📝 Using Claude knowledge fallback (no real-time data)...');
+  async analyzeWithClaudeKnowledge(brand, competitors, window, platforms, usage = null) {
+    logger.info('Using Claude knowledge fallback (no real-time data)');
 
-    const prompt = this.buildSocialListeningPrompt(brand, competitors, timeRange, platforms);
+    const prompt = this.buildSocialListeningPrompt(brand, competitors, window, platforms);
 
-    const message = await this.client.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4000,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
-    });
-
-    console.log('Claude response received, processing...');
-
-    let fullResponse = '';
-    for (const content of message.content) {
-      if (content.type === 'text') {
-        fullResponse += content.text;
-      }
-    }
+    const message = await this.requestStructuredReport(prompt, usage);
 
-    const parsed = this.parseResponse(fullResponse);
+    const { parsed, reportText: fullResponse } = this.parseStructuredResponse(message);
 
     // Add fallback note to full report
     parsed.fullReport = `# Social Listening Report (Training Data Fallback)\n\n` +
       `**Data Source:** ⚠️ Using Claude training data (API data unavailable)\n` +
       `**Brand:** ${brand}\n` +
-      `**Time Range:** ${timeRange}\n` +
-      `**Generated:** ${new Date().toISOString()}\n\n` +
+      `**Time Range:** ${window.label}\n` +
+      `**Window Requested:** ${formatWindow(window)}\n` +
+      `**Generated:** ${getFixtureStore().now().toISOString()}\n\n` +
       `---\n\n` +
       fullResponse;
 
     return parsed;
   }
 
-  buildEnhancedPrompt(brand, competitors, timeRange, platforms, aggregatedData) {
-    const today = new Date().toISOString().split('T')[0];
+  /**
+   * Ask Claude for the report through the structured report tool
+   * @param {string} prompt - Analysis prompt
+   * @param {Object|null} usage - Run usage counters
+   * @returns {Promise<Object>} - Anthropic message
+   */
+  async requestStructuredReport(prompt, usage = null) {
+    // Replays build the prompt from the recorded time and responses, so it identifies the report;
+    // replaying other inputs misses instead of returning another run's report
+    const promptKey = crypto.createHash('sha1').update(prompt).digest('hex');
+    return getFixtureStore().through('anthropic', ['report', promptKey], async () => {
+      const message = await getRequestPolicy('anthropic').run(() => this.client.messages.create({
+        model: 'claude-sonnet-4-20250514',
+        max_tokens: 4000,
+        tools: [REPORT_TOOL],
+        tool_choice: { type: 'tool', name: REPORT_TOOL_NAME },
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      }), 'structured report');
+
+      recordClaudeUsage(usage, message);
+      logger.info('Claude report received', {
+        inputTokens: message.usage ? message.usage.input_tokens : null,
+        outputTokens: message.usage ? message.usage.output_tokens : null,
+        stopReason: message.stop_reason
+      });
+      return message;
+    });
+  }
+
+  /**
+   * Turn Claude's structured tool response into report sections
+   * Falls back to the emoji-header text parser if no usable tool call is returned
+   * @param {Object} message - Anthropic message
+   * @param {Object|null} breakdown - Code-computed sentiment breakdown (overrides model percentages)
+   * @returns {Object} - { parsed: report sections, reportText: Slack-friendly report body }
+   */
+  parseStructuredResponse(message, breakdown = null) {
+    const toolUse = message.content.find(content => content.type === 'tool_use' && content.name === REPORT_TOOL_NAME);
+
+    let textResponse = '';
+    for (const content of message.content) {
+      if (content.type === 'text') {
+        textResponse += content.text;
+      }
+    }
+
+    if (!toolUse) {
+      logger.warn('Claude did not return a structured report, parsing text response');
+      return { parsed: this.parseResponse(textResponse), reportText: textResponse };
+    }
+
+    const { valid, errors, report } = validateReport(toolUse.input);
+
+    if (!valid) {
+      logger.warn('Structured report failed validation', { issues: errors });
+    }
+
+    if (!report) {
+      return { parsed: this.parseResponse(textResponse), reportText: textResponse };
+    }
+
+    if (breakdown && breakdown.total > 0 && report.sentiment) {
+      report.sentiment.positive_percent = breakdown.percentages.positive;
+      report.sentiment.neutral_percent = breakdown.percentages.neutral;
+      report.sentiment.negative_percent = breakdown.percentages.negative;
+      report.sentiment.total_volume = breakdown.total;
+    }
+
+    const rendered = renderReportSections(report, {
+      sentimentLead: breakdown && breakdown.total > 0 ? DataAggregator.formatSentimentBreakdown(breakdown) : undefined
+    });
+
+    logger.debug('Parsed structured social listening report');
+
+    return {
+      parsed: {
+        sentimentSummary: rendered.sentimentSummary,
+        positiveHighlights: rendered.positiveHighlights,
+        negativeConcerns: rendered.negativeConcerns,
+        trendingTopics: rendered.trendingTopics,
+        competitiveInsights: rendered.competitiveInsights,
+        hasCriticalIssues: rendered.hasCriticalIssues,
+        structuredReport: report,
+        validationErrors: errors,
+        fullReport: rendered.text,
+        timestamp: getFixtureStore().now().toISOString()
+      },
+      reportText: rendered.text
+    };
+  }
+
+  buildEnhancedPrompt(brand, competitors, window, platforms, aggregatedData) {
+    const today = getFixtureStore().now().toISOString().split('T')[0];
 
     return `You are a social listening and brand monitoring specialist analyzing REAL data collected from APIs.
 
 **Brand to Monitor:** ${brand}
 ${competitors ? `**Competitors for Comparison:** ${competitors}` : ''}
-**Time Range:** Last ${timeRange}
+**Time Range:** ${window.label} (${formatWindow(window)})
 **Platforms Analyzed:** ${aggregatedData.aggregateStats.platforms.join(', ')}
 
 ====================================
@@ -174,65 +586,38 @@ ${aggregatedData.formattedForClaude}
 
 ====================================
 
-**CRITICAL OUTPUT FORMAT REQUIREMENTS:**
-
-Your output MUST be concise and crisp for Slack channel posting. Follow these rules EXACTLY:
-
-1. **EXACTLY 3 bullet points per section** (no more, no less)
-2. **Use bullet point symbol (•)** not numbers or dashes
-3. **Each bullet: maximum 1-2 sentences**
-4. **ALWAYS include source citation** from the REAL data above - use actual URLs provided
-5. **Total output must be under 250 words**
-6. **Prioritize top 3 most impactful insights per section**
-
-**Output Format - Structure your analysis EXACTLY as follows:**
-
-📊 **SENTIMENT BREAKDOWN**
-• [Percentage breakdown: X% positive, Y% neutral, Z% negative with total volume from REAL data]
-• [Overall trend: improving/stable/declining based on engagement and scores from REAL data]
-• [Key sentiment drivers: what's driving the sentiment with actual sources from data]
-
-✅ **POSITIVE HIGHLIGHTS**
-• [Concise positive highlight #1 with specific detail] (source: [actual URL from data above])
-• [Concise positive highlight #2 with specific detail] (source: [actual URL from data above])
-• [Concise positive highlight #3 with specific detail] (source: [actual URL from data above])
-
-⚠️ **CRITICAL CONCERNS**
-• [Severity level]: [Concise concern #1 with impact] (source: [actual URL from data above])
-• [Severity level]: [Concise concern #2 with impact] (source: [actual URL from data above])
-• [Severity level]: [Concise concern #3 with impact] (source: [actual URL from data above])
-[Note: If no critical concerns exist, format as: • No critical issues identified in monitoring period (source: comprehensive review)]
-
-🔥 **TRENDING TOPICS**
-• [Topic #1]: [Brief context and why it matters] ([X mentions, source: platform])
-• [Topic #2]: [Brief context and why it matters] ([X mentions, source: platform])
-• [Topic #3]: [Brief context and why it matters] ([X mentions, source: platform])
-
-🎯 **COMPETITIVE INSIGHTS**
-• [Competitive insight #1 comparing to specific competitor] (source: [actual URL from data above])
-• [Competitive insight #2 comparing to specific competitor] (source: [actual URL from data above])
-• [Competitive insight #3 comparing to specific competitor] (source: [actual URL from data above])
-
-**MANDATORY FORMAT RULES:**
-- Do NOT add any sections beyond these 5
-- Do NOT use numbered lists (1, 2, 3) - only bullet symbols (•)
-- Do NOT exceed 3 bullets per section under any circumstances
-- Do NOT fabricate sources - only use URLs from the REAL data provided above
-- Do NOT write paragraphs - keep to 1-2 sentences maximum per bullet
+**OUTPUT REQUIREMENTS:**
+
+Submit your analysis by calling the \`${REPORT_TOOL_NAME}\` tool. It will be posted to a Slack channel, so keep it concise and crisp:
+
+1. **sentiment**: ${aggregatedData.aggregateStats.sentimentBreakdown
+    ? 'copy the COMPUTED SENTIMENT percentages and total volume above exactly'
+    : 'percentage breakdown (X% positive, Y% neutral, Z% negative) and total volume from the REAL data'}; trend (improving/stable/declining) based on engagement and scores; up to 2 bullets on trend context and key sentiment drivers
+2. **positive_highlights**: exactly 3 concise highlights with specific detail
+3. **critical_concerns**: up to 3 concerns, each with a severity (critical/moderate/minor) reflecting impact. Use an empty array if there are no concerns
+4. **trending_topics**: exactly 3 topics with brief context, why it matters, and mention count
+5. **competitive_insights**: exactly 3 insights, each comparing to a specific competitor${aggregatedData.aggregateStats.shareOfVoice
+    ? '. Ground them in the SHARE OF VOICE table and cite URLs from the COMPETITOR DATA sections'
+    : ''}
+
+**MANDATORY RULES:**
+- Every bullet must cite sources using ONLY actual URLs from the REAL data above
+- Do NOT fabricate sources
+- Each bullet text: 1-2 sentences maximum
 - Target ~220 words total for ideal readability
 
 **Current Date:** ${today}
-**Analysis Focus:** ${aggregatedData.aggregateStats.totalSources} real sources from last ${timeRange}
+**Analysis Focus:** ${aggregatedData.aggregateStats.totalSources} real sources from ${formatWindow(window)}
 
 Provide your analysis based ONLY on the real data above.`;
   }
 
-  buildSocialListeningPrompt(brand, competitors, timeRange, platforms) {
-    const today = new Date().toISOString().split('T')[0];
+  buildSocialListeningPrompt(brand, competitors, window, platforms) {
+    const today = getFixtureStore().now().toISOString().split('T')[0];
 
     // Parse platform preferences
     const platformList = platforms === 'all' || !platforms
-      ? 'LinkedIn, X/Twitter, Reddit, review sites (G2, Capterra, TrustRadius), blogs, and forums'
+      ? 'LinkedIn, X/Twitter, Reddit, review sites (G2, Capterra, TrustRadius), news outlets, blogs, and forums'
       : platforms;
 
     // Extract brand domain for exclusion (simple heuristic)
@@ -242,7 +627,7 @@ Provide your analysis based ONLY on the real data above.`;
 
 **Brand to Monitor:** ${brand}
 ${competitors ? `**Competitors for Comparison:** ${competitors}` : ''}
-**Time Range:** Last ${timeRange}
+**Time Range:** ${window.label} (${formatWindow(window)})
 **Platforms to Analyze:** ${platformList}
 
 **Search Strategy - Use these query patterns:**
@@ -320,56 +705,23 @@ ${competitors ? `   - "${brand} vs ${competitors.split(',')[0].trim()}"
    - Migration patterns (to/from competitors)
 ${competitors ? `   - Specific comparisons with: ${competitors}` : ''}
 
-**CRITICAL OUTPUT FORMAT REQUIREMENTS:**
-
-Your output MUST be concise and crisp for Slack channel posting. Follow these rules EXACTLY:
-
-1. **EXACTLY 3 bullet points per section** (no more, no less)
-2. **Use bullet point symbol (•)** not numbers or dashes
-3. **Each bullet: maximum 1-2 sentences**
-4. **ALWAYS include source citation in parentheses** at the end of each bullet
-   - Format: (source: LinkedIn) or (source: reddit.com/r/SaaS) or (source: G2.com)
-5. **Total output must be under 250 words**
-6. **Prioritize top 3 most impactful insights per section**
-
-**Output Format - Structure your analysis EXACTLY as follows:**
-
-📊 **SENTIMENT BREAKDOWN**
-• [Percentage breakdown: X% positive, Y% neutral, Z% negative with total volume]
-• [Overall trend: improving/stable/declining over time period with brief context]
-• [Key sentiment drivers: what's driving the sentiment with source if available]
-
-✅ **POSITIVE HIGHLIGHTS**
-• [Concise positive highlight #1 with specific detail] (source: [platform or URL])
-• [Concise positive highlight #2 with specific detail] (source: [platform or URL])
-• [Concise positive highlight #3 with specific detail] (source: [platform or URL])
-
-⚠️ **CRITICAL CONCERNS**
-• [Severity level]: [Concise concern #1 with impact] (source: [platform or URL])
-• [Severity level]: [Concise concern #2 with impact] (source: [platform or URL])
-• [Severity level]: [Concise concern #3 with impact] (source: [platform or URL])
-[Note: If no critical concerns exist, format as: • No critical issues identified in monitoring period (source: comprehensive review)]
-
-🔥 **TRENDING TOPICS**
-• [Topic #1]: [Brief context and why it matters] ([X mentions, source: platform])
-• [Topic #2]: [Brief context and why it matters] ([X mentions, source: platform])
-• [Topic #3]: [Brief context and why it matters] ([X mentions, source: platform])
-
-🎯 **COMPETITIVE INSIGHTS**
-• [Competitive insight #1 comparing to specific competitor] (source: [platform or URL])
-• [Competitive insight #2 comparing to specific competitor] (source: [platform or URL])
-• [Competitive insight #3 comparing to specific competitor] (source: [platform or URL])
-
-**MANDATORY FORMAT RULES:**
-- Do NOT add any sections beyond these 5
-- Do NOT use numbered lists (1, 2, 3) - only bullet symbols (•)
-- Do NOT exceed 3 bullets per section under any circumstances
-- Do NOT omit source citations - every bullet must have a source
-- Do NOT write paragraphs - keep to 1-2 sentences maximum per bullet
+**OUTPUT REQUIREMENTS:**
+
+Submit your analysis by calling the \`${REPORT_TOOL_NAME}\` tool. It will be posted to a Slack channel, so keep it concise and crisp:
+
+1. **sentiment**: percentage breakdown (X% positive, Y% neutral, Z% negative), total volume, trend (improving/stable/declining), and up to 2 bullets on trend context and key sentiment drivers
+2. **positive_highlights**: exactly 3 concise highlights with specific detail
+3. **critical_concerns**: up to 3 concerns, each with a severity (critical/moderate/minor) reflecting impact. Use an empty array if there are no concerns
+4. **trending_topics**: exactly 3 topics with brief context, why it matters, and mention count
+5. **competitive_insights**: exactly 3 insights, each comparing to a specific competitor
+
+**MANDATORY RULES:**
+- Every bullet must cite at least one source (platform name such as "LinkedIn" or "reddit.com/r/SaaS", or a URL)
+- Each bullet text: 1-2 sentences maximum
 - Target ~220 words total for ideal readability
 
 **Current Date:** ${today}
-**Analysis Focus:** Recent ${timeRange} across ${platformList}
+**Analysis Focus:** ${window.label} (${formatWindow(window)}) across ${platformList}
 
 Provide a comprehensive social listening report based on your knowledge and analysis of brand sentiment, customer feedback, and market conversations.`;
   }
@@ -384,7 +736,7 @@ Provide a comprehensive social listening report based on your knowledge and anal
         competitiveInsights: '',
         hasCriticalIssues: false,
         fullReport: responseText,
-        timestamp: new Date().toISOString()
+        timestamp: getFixtureStore().now().toISOString()
       };
 
       // Extract sections using regex patterns matching emoji headers
@@ -412,7 +764,7 @@ Provide a comprehensive social listening report based on your knowledge and anal
 
       // 🎯 COMPETITIVE INSIGHTS
       const competitiveMatch = responseText.match(
-        /🎯\s*\*\*COMPETITIVE INSIGHTS\*\*(.*?)(?=📊|✅|⚠️|🔥|$)/s
+        /🎯\s*\*\*COMPETITIVE INSIGHTS\*\*(.*?)(?=💡|📊|✅|⚠️|🔥|$)/s
       );
 
       // Extract and clean sections
@@ -427,14 +779,8 @@ Provide a comprehensive social listening report based on your knowledge and anal
       if (concernsMatch) {
         sections.negativeConcerns = concernsMatch[1].trim();
 
-        // Determine if there are critical issues
-        // Check for actual content and exclude "no critical" statements
-        const concernsLower = sections.negativeConcerns.toLowerCase();
-        sections.hasCriticalIssues =
-          sections.negativeConcerns.length > 0 &&
-          !concernsLower.includes('no critical concerns') &&
-          !concernsLower.includes('no significant concerns') &&
-          !concernsLower.includes('no critical issues');
+        // Provisional flag; analyzeBrandSentiment replaces it with the severity score
+        sections.hasCriticalIssues = extractConcerns(sections).length > 0;
       }
 
       if (trendingMatch) {
@@ -455,18 +801,17 @@ Provide a comprehensive social listening report based on your knowledge and anal
 
       if (!hasContent) {
         // Fallback: Unable to parse structured response
-        console.warn('Unable to parse structured sections from response');
+        logger.warn('Unable to parse structured sections from response');
         sections.sentimentSummary = 'Unable to extract sentiment data from response.';
         sections.negativeConcerns = 'Manual review of full report required.';
       }
 
-      console.log('Successfully parsed social listening response');
-      console.log('Critical issues detected:', sections.hasCriticalIssues);
+      logger.debug('Parsed social listening response');
 
       return sections;
 
     } catch (error) {
-      console.error('Error parsing social listening response:', error);
+      logger.error('Error parsing social listening response', { error });
 
       // Error fallback
       return {
@@ -477,21 +822,54 @@ Provide a comprehensive social listening report based on your knowledge and anal
         competitiveInsights: '',
         hasCriticalIssues: true,
         fullReport: responseText || 'No response received from Claude.',
-        timestamp: new Date().toISOString()
+        timestamp: getFixtureStore().now().toISOString()
       };
     }
   }
 }
 
-async function analyzeSocialListening(brand, competitors = '', timeRange = '7 days', platforms = 'all') {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
+/**
+ * Run a social listening analysis
+ * @param {string} brand - Brand or product name
+ * @param {string} competitors - Comma-separated competitors
+ * @param {string} timeRange - Time range
+ * @param {string} platforms - Platforms to monitor
+ * @param {Object} options - { subreddits, refresh } per-run Reddit targeting ('all' for sitewide) and cache bypass
+ * @returns {Promise<Object>} - Analysis result
+ */
+async function analyzeSocialListening(brand, competitors = '', timeRange = '7 days', platforms = 'all', options = {}) {
+  const replaying = getFixtureStore().replaying;
+  // Replays are served from recorded fixtures and need no key
+  const apiKey = process.env.ANTHROPIC_API_KEY || (replaying ? REPLAY_CREDENTIAL : null);
 
   if (!apiKey) {
     throw new Error('ANTHROPIC_API_KEY environment variable is not set');
   }
 
-  const service = new SocialListeningService(apiKey);
-  return await service.analyzeBrandSentiment(brand, competitors, timeRange, platforms);
+  // Replays stay offline and repeatable: no report history, alerts or usage ledger
+  const service = new SocialListeningService(apiKey, replaying ? {} : {
+    reportStore: getReportStore(),
+    alertRouter: getAlertRouter(),
+    usageLedger: getUsageLedger()
+  });
+
+  const metrics = getMetrics();
+  const startedAt = Date.now();
+  let outcome = { status: 'error', data_source: 'none' };
+  try {
+    const result = await service.analyzeBrandSentiment(brand, competitors, timeRange, platforms, options);
+    // Failed runs come back as a report with dataSource 'error' rather than throwing
+    outcome = { status: result.dataSource === 'error' ? 'error' : 'success', data_source: result.dataSource || 'unknown' };
+    return result;
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      outcome = { status: 'refused', data_source: 'none' };
+    }
+    throw error;
+  } finally {
+    metrics.increment('runs_total', outcome);
+    metrics.observe('run_duration_seconds', {}, (Date.now() - startedAt) / 1000);
+  }
 }
 
-module.exports = { SocialListeningService, analyzeSocialListening };
+module.exports = { SocialListeningService, analyzeSocialListening, parseCompetitors };
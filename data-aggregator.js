@@ -1,71 +1,70 @@
 /**
  * Data Aggregator Service
- * Combines Reddit and Bing Search results into a unified format for Claude analysis
+ * Combines mentions from every registered source provider into a unified format for Claude analysis
  */
 
+const { resolveTimeRange, describeWindow, formatWindow } = require('./time-range');
+const { getFixtureStore } = require('./fixture-store');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('aggregator');
+
+const SENTIMENT_LABELS = ['positive', 'neutral', 'negative'];
+const SNIPPET_LENGTH = 200;
+const CLASSIFIER_COMMENTS = 3;
+const COMPETITOR_PROMPT_MENTIONS = 5;
+
 class DataAggregator {
   /**
-   * Aggregate Reddit and Bing search results
-   * @param {Object} redditData - Reddit search results
-   * @param {Object} bingData - Bing search results
+   * Aggregate provider results
+   * @param {Array} providerResults - Output of ProviderRegistry.fetchAll()
    * @param {string} brand - Brand name being analyzed
-   * @param {string} timeRange - Time range of analysis
+   * @param {string|Object} timeRange - Time range input or resolved range
    * @returns {Object} - Aggregated and structured data
    */
-  static aggregateResults(redditData, bingData, brand, timeRange) {
-    // Extract data from Reddit
-    const reddit = {
-      posts: redditData.posts || [],
-      totalMentions: redditData.posts ? redditData.posts.length : 0,
-      sentiment: redditData.sentiment || { avgScore: 0, totalEngagement: 0, sentiment: 'neutral' },
-      formattedText: redditData.formattedText || ''
-    };
-
-    // Extract data from Bing
-    const linkedin = {
-      results: bingData.linkedin || [],
-      totalResults: bingData.linkedin ? bingData.linkedin.length : 0
-    };
-
-    const twitter = {
-      results: bingData.twitter || [],
-      totalResults: bingData.twitter ? bingData.twitter.length : 0
-    };
-
-    const reviews = {
-      results: bingData.reviews || [],
-      totalResults: bingData.reviews ? bingData.reviews.length : 0
-    };
-
-    const blogs = {
-      results: bingData.blogs || [],
-      totalResults: bingData.blogs ? bingData.blogs.length : 0
-    };
+  static aggregateResults(providerResults, brand, timeRange) {
+    const range = resolveTimeRange(timeRange, getFixtureStore().now());
+
+    // Group mentions by platform, keeping provider registration order
+    // (providers that share a platform key, e.g. Serper and feeds for blogs, are merged)
+    const platforms = {};
+
+    providerResults.forEach(result => {
+      result.platforms.forEach(platform => {
+        const mentions = result.mentions
+          .filter(mention => mention.platform === platform.key)
+          .map(mention => ({ ...mention, provider: result.provider }));
+
+        if (platforms[platform.key]) {
+          platforms[platform.key].providers.push(result.provider);
+          platforms[platform.key].mentions = platforms[platform.key].mentions.concat(mentions);
+        } else {
+          platforms[platform.key] = { ...platform, providers: [result.provider], mentions, totalResults: 0 };
+        }
+        platforms[platform.key].totalResults = platforms[platform.key].mentions.length;
+      });
+    });
 
     // Calculate aggregate statistics
-    const aggregateStats = this.calculateMetrics(reddit, linkedin, twitter, reviews, blogs, timeRange);
+    const aggregateStats = this.calculateMetrics(platforms, range);
+    aggregateStats.outOfWindow = providerResults.reduce((sum, result) => sum + (result.outOfWindow || 0), 0);
+    aggregateStats.undated = providerResults.reduce((sum, result) => sum + (result.undated || 0), 0);
+    aggregateStats.platformIssues = this.collectPlatformIssues(providerResults);
 
     // Determine data source status
-    const dataSource = this.determineDataSource(reddit, bingData);
+    const dataSource = this.determineDataSource(providerResults);
 
     // Create unified formatted text for Claude
-    const formattedForClaude = this.formatForClaudeAnalysis(
-      reddit,
-      linkedin,
-      twitter,
-      reviews,
-      blogs,
-      brand,
-      timeRange,
-      aggregateStats
-    );
+    const formattedForClaude = this.formatForClaudeAnalysis(platforms, brand, range, aggregateStats);
 
     return {
-      reddit,
-      linkedin,
-      twitter,
-      reviews,
-      blogs,
+      timeWindow: range,
+      platforms,
+      providers: providerResults.map(result => ({
+        name: result.provider,
+        mentions: result.mentions.length,
+        error: result.error
+      })),
       aggregateStats,
       dataSource,
       formattedForClaude
@@ -74,135 +73,187 @@ class DataAggregator {
 
   /**
    * Calculate aggregate metrics across all platforms
-   * @param {Object} reddit - Reddit data
-   * @param {Object} linkedin - LinkedIn data
-   * @param {Object} twitter - Twitter data
-   * @param {Object} reviews - Reviews data
-   * @param {Object} blogs - Blogs data
-   * @param {string} timeRange - Time range
+   * @param {Object} platforms - Platform data keyed by platform key
+   * @param {string|Object} timeRange - Time range input or resolved range
    * @returns {Object} - Aggregate statistics
    */
-  static calculateMetrics(reddit, linkedin, twitter, reviews, blogs, timeRange) {
-    const totalSources =
-      reddit.totalMentions +
-      linkedin.totalResults +
-      twitter.totalResults +
-      reviews.totalResults +
-      blogs.totalResults;
-
-    const platformsWithData = [];
-    if (reddit.totalMentions > 0) platformsWithData.push('Reddit');
-    if (linkedin.totalResults > 0) platformsWithData.push('LinkedIn');
-    if (twitter.totalResults > 0) platformsWithData.push('Twitter/X');
-    if (reviews.totalResults > 0) platformsWithData.push('Review Sites');
-    if (blogs.totalResults > 0) platformsWithData.push('Blogs');
+  static calculateMetrics(platforms, timeRange) {
+    const range = resolveTimeRange(timeRange, getFixtureStore().now());
+    const keys = Object.keys(platforms);
+    const platformBreakdown = {};
+
+    keys.forEach(key => {
+      platformBreakdown[key] = platforms[key].totalResults;
+    });
 
     return {
-      totalSources,
-      dateRange: timeRange,
-      platforms: platformsWithData,
-      platformBreakdown: {
-        reddit: reddit.totalMentions,
-        linkedin: linkedin.totalResults,
-        twitter: twitter.totalResults,
-        reviews: reviews.totalResults,
-        blogs: blogs.totalResults
-      },
-      redditSentiment: reddit.sentiment.sentiment,
-      redditAvgScore: reddit.sentiment.avgScore
+      totalSources: keys.reduce((sum, key) => sum + platforms[key].totalResults, 0),
+      dateRange: range.label,
+      window: describeWindow(range),
+      platforms: keys.filter(key => platforms[key].totalResults > 0).map(key => platforms[key].label),
+      platformBreakdown,
+      subreddits: this.countSubreddits(platforms.reddit ? platforms.reddit.mentions : [])
     };
   }
 
+  /**
+   * Count Reddit mentions per subreddit
+   * @param {Array} mentions - Reddit mentions (context is "r/<name>")
+   * @returns {Array} - Array of { name, mentions }, most mentions first
+   */
+  static countSubreddits(mentions) {
+    const counts = {};
+
+    mentions.forEach(mention => {
+      if (mention.context) {
+        counts[mention.context] = (counts[mention.context] || 0) + 1;
+      }
+    });
+
+    return Object.keys(counts)
+      .map(name => ({ name, mentions: counts[name] }))
+      .sort((a, b) => b.mentions - a.mentions);
+  }
+
+  /**
+   * List platforms that lost data to failed requests
+   * @param {Array} providerResults - Output of ProviderRegistry.fetchAll()
+   * @returns {Array} - Array of { platform, label, provider, status, error }
+   */
+  static collectPlatformIssues(providerResults) {
+    return providerResults.reduce((issues, result) => issues.concat((result.failures || []).map(failure => {
+      const platform = result.platforms.find(entry => entry.key === failure.platform);
+      return {
+        platform: failure.platform,
+        label: platform ? platform.label : failure.platform,
+        provider: result.provider,
+        status: failure.status,
+        error: failure.error
+      };
+    })), []);
+  }
+
+  /**
+   * Format platform issues for report headers
+   * @param {Array} issues - Output of collectPlatformIssues()
+   * @returns {string} - e.g. "LinkedIn failed (3 of 3 queries failed (429 rate limited)); Reddit partial (...)"
+   */
+  static formatPlatformIssues(issues) {
+    return issues.map(issue => `${issue.label} ${issue.status} (${issue.error})`).join('; ');
+  }
+
   /**
    * Determine data source type
-   * @param {Object} reddit - Reddit data
-   * @param {Object} bingData - Bing data
+   * Any platform with failed requests makes the data partial
+   * @param {Array} providerResults - Output of ProviderRegistry.fetchAll()
    * @returns {string} - Data source status
    */
-  static determineDataSource(reddit, bingData) {
-    const hasReddit = reddit.totalMentions > 0;
-    const hasBing = bingData.totalResults > 0;
+  static determineDataSource(providerResults) {
+    const withData = providerResults.filter(result => result.mentions.length > 0).length;
+    const hasFailures = providerResults.some(result => (result.failures || []).length > 0);
 
-    if (hasReddit && hasBing) {
+    if (withData > 0 && withData === providerResults.length && !hasFailures) {
       return 'real-time';
-    } else if (hasReddit || hasBing) {
+    } else if (withData > 0) {
       return 'partial';
     } else {
       return 'fallback';
     }
   }
 
+  /**
+   * Format one mention for the Claude prompt
+   * @param {Object} mention - Normalized mention
+   * @param {number} index - Position in its platform list
+   * @returns {string} - Formatted entry
+   */
+  static formatMention(mention, index) {
+    let formatted = `${index + 1}. ${mention.context ? `[${mention.context}] ` : ''}${mention.title}\n`;
+    formatted += `   URL: ${mention.url}\n`;
+
+    if (mention.createdAt && !Number.isNaN(Date.parse(mention.createdAt))) {
+      formatted += `   Published: ${new Date(mention.createdAt).toISOString().slice(0, 10)}\n`;
+    }
+
+    if (mention.engagement) {
+      formatted += `   Score: ${mention.engagement.score} | Comments: ${mention.engagement.comments}\n`;
+    }
+
+    if (mention.text && mention.text.length > 0) {
+      const snippet = mention.text.substring(0, SNIPPET_LENGTH).replace(/\n/g, ' ');
+      formatted += `   Snippet: "${snippet}${mention.text.length > SNIPPET_LENGTH ? '...' : ''}"\n`;
+    }
+
+    (mention.comments || []).forEach(comment => {
+      const snippet = comment.text.substring(0, SNIPPET_LENGTH).replace(/\n/g, ' ');
+      formatted += `   ↳ Comment (score ${comment.score}${comment.author ? `, ${comment.author}` : ''}): ` +
+        `"${snippet}${comment.text.length > SNIPPET_LENGTH ? '...' : ''}"\n`;
+      formatted += `     URL: ${comment.url}\n`;
+    });
+
+    formatted += this.formatClassification(mention.classification);
+    return formatted + '\n';
+  }
+
   /**
    * Format aggregated data for Claude analysis
-   * @param {Object} reddit - Reddit data
-   * @param {Object} linkedin - LinkedIn data
-   * @param {Object} twitter - Twitter data
-   * @param {Object} reviews - Reviews data
-   * @param {Object} blogs - Blogs data
+   * @param {Object} platforms - Platform data keyed by platform key
    * @param {string} brand - Brand name
-   * @param {string} timeRange - Time range
+   * @param {string|Object} timeRange - Time range input or resolved range
    * @param {Object} stats - Aggregate statistics
+   * @param {Array} competitors - Competitor collections: [{ brand, aggregatedData }]
    * @returns {string} - Formatted text for Claude
    */
-  static formatForClaudeAnalysis(reddit, linkedin, twitter, reviews, blogs, brand, timeRange, stats) {
+  static formatForClaudeAnalysis(platforms, brand, timeRange, stats, competitors = []) {
+    const keys = Object.keys(platforms);
+    const window = stats.window || describeWindow(resolveTimeRange(timeRange, getFixtureStore().now()));
+
     let formatted = `You are analyzing REAL social listening data collected from APIs for the brand: ${brand}\n\n`;
-    formatted += `TIME RANGE: Last ${timeRange}\n`;
+    formatted += `TIME RANGE: ${window.label} (${formatWindow(window)})\n`;
+    formatted += `All mentions below are dated inside this window or undated.\n`;
     formatted += `TOTAL SOURCES: ${stats.totalSources} mentions across ${stats.platforms.length} platforms\n`;
-    formatted += `PLATFORMS: ${stats.platforms.join(', ')}\n\n`;
+    formatted += `PLATFORMS: ${stats.platforms.join(', ')}\n`;
+    if (stats.platformIssues && stats.platformIssues.length > 0) {
+      formatted += `INCOMPLETE COLLECTION (requests failed, do not read missing data as missing discussion): ` +
+        `${this.formatPlatformIssues(stats.platformIssues)}\n`;
+    }
+    formatted += `\n`;
 
     formatted += `====================================\n`;
     formatted += `PLATFORM BREAKDOWN:\n`;
-    formatted += `- Reddit: ${stats.platformBreakdown.reddit} posts (avg sentiment: ${stats.redditSentiment})\n`;
-    formatted += `- LinkedIn: ${stats.platformBreakdown.linkedin} results\n`;
-    formatted += `- Twitter/X: ${stats.platformBreakdown.twitter} results\n`;
-    formatted += `- Review Sites: ${stats.platformBreakdown.reviews} results\n`;
-    formatted += `- Blogs: ${stats.platformBreakdown.blogs} results\n`;
+    keys.forEach(key => {
+      const platformSentiment = stats.sentimentBreakdown && stats.sentimentBreakdown.byPlatform[key];
+      formatted += `- ${platforms[key].label}: ${platforms[key].totalResults} ${platforms[key].unit}` +
+        `${platformSentiment ? ` (dominant sentiment: ${platformSentiment.dominant})` : ''}\n`;
+    });
+    if (stats.subreddits && stats.subreddits.length > 0) {
+      formatted += `- Contributing subreddits: ${stats.subreddits.map(entry => `${entry.name} (${entry.mentions})`).join(', ')}\n`;
+    }
     formatted += `====================================\n\n`;
 
-    // Add Reddit data
-    if (reddit.formattedText && reddit.formattedText.length > 0) {
-      formatted += reddit.formattedText + '\n\n';
+    if (stats.sentimentBreakdown) {
+      formatted += `COMPUTED SENTIMENT (from per-mention classification, use these exact numbers):\n`;
+      formatted += this.formatSentimentBreakdown(stats.sentimentBreakdown) + '\n\n';
     }
 
-    // Add LinkedIn data
-    if (linkedin.totalResults > 0) {
-      formatted += `LINKEDIN DATA (${linkedin.totalResults} results):\n\n`;
-      linkedin.results.forEach((result, index) => {
-        formatted += `${index + 1}. ${result.name}\n`;
-        formatted += `   URL: ${result.url}\n`;
-        formatted += `   Snippet: "${result.snippet}"\n\n`;
-      });
+    if (stats.shareOfVoice) {
+      formatted += `SHARE OF VOICE (same sources and window for every brand: ${stats.shareOfVoice.providers.join(', ')}):\n`;
+      formatted += this.formatShareOfVoice(stats.shareOfVoice) + '\n\n';
     }
 
-    // Add Twitter data
-    if (twitter.totalResults > 0) {
-      formatted += `TWITTER/X DATA (${twitter.totalResults} results):\n\n`;
-      twitter.results.forEach((result, index) => {
-        formatted += `${index + 1}. ${result.name}\n`;
-        formatted += `   URL: ${result.url}\n`;
-        formatted += `   Snippet: "${result.snippet}"\n\n`;
-      });
-    }
+    keys.forEach(key => {
+      const platform = platforms[key];
+      if (platform.totalResults === 0) {
+        return;
+      }
 
-    // Add Review Sites data
-    if (reviews.totalResults > 0) {
-      formatted += `REVIEW SITES DATA (${reviews.totalResults} results from G2, Capterra, TrustRadius):\n\n`;
-      reviews.results.forEach((result, index) => {
-        formatted += `${index + 1}. ${result.name}\n`;
-        formatted += `   URL: ${result.url}\n`;
-        formatted += `   Snippet: "${result.snippet}"\n\n`;
+      formatted += `${platform.heading} (${platform.totalResults} ${platform.unit}):\n\n`;
+      platform.mentions.forEach((mention, index) => {
+        formatted += this.formatMention(mention, index);
       });
-    }
+    });
 
-    // Add Blogs data
-    if (blogs.totalResults > 0) {
-      formatted += `BLOGS & FORUMS DATA (${blogs.totalResults} results):\n\n`;
-      blogs.results.forEach((result, index) => {
-        formatted += `${index + 1}. ${result.name}\n`;
-        formatted += `   URL: ${result.url}\n`;
-        formatted += `   Snippet: "${result.snippet}"\n\n`;
-      });
-    }
+    formatted += this.formatCompetitorMentions(competitors);
 
     formatted += `====================================\n\n`;
     formatted += `ANALYSIS INSTRUCTIONS:\n`;
@@ -213,38 +264,342 @@ class DataAggregator {
     return formatted;
   }
 
+  /**
+   * Format a mention's classification for the Claude prompt
+   * @param {Object} classification - { label, score, reason }
+   * @returns {string} - Indented line, or empty string if unclassified
+   */
+  static formatClassification(classification) {
+    if (!classification) {
+      return '';
+    }
+    return `   Sentiment: ${classification.label} (${classification.score}) - ${classification.reason}\n`;
+  }
+
+  /**
+   * Iterate every mention across platforms
+   * @param {Object} aggregatedData - Aggregated data object
+   * @returns {Array} - All mentions
+   */
+  static allMentions(aggregatedData) {
+    return Object.values(aggregatedData.platforms).reduce((all, platform) => all.concat(platform.mentions), []);
+  }
+
+  /**
+   * List every collected mention for per-mention sentiment classification
+   * The top nested comments are appended so thread sentiment counts toward the mention
+   * @param {Object} aggregatedData - Aggregated data object
+   * @returns {Array} - Array of { id, platform, title, text }
+   */
+  static collectMentions(aggregatedData) {
+    return this.allMentions(aggregatedData).map(mention => {
+      const comments = (mention.comments || []).slice(0, CLASSIFIER_COMMENTS).map(comment => `Comment: ${comment.text}`);
+      return {
+        id: mention.id,
+        platform: mention.platform,
+        title: mention.title,
+        text: [mention.text, ...comments].filter(Boolean).join('\n')
+      };
+    });
+  }
+
+  /**
+   * Attach classifications to mentions and recompute sentiment statistics in code
+   * @param {Object} aggregatedData - Aggregated data object (mutated)
+   * @param {Object} classifications - Map of mention id to { label, score, reason }
+   * @param {string} brand - Brand name
+   * @param {string|Object} timeRange - Time range input or resolved range
+   * @returns {Object} - Aggregated data with sentimentBreakdown and refreshed prompt text
+   */
+  static applyClassifications(aggregatedData, classifications, brand, timeRange) {
+    this.allMentions(aggregatedData).forEach(mention => {
+      mention.classification = classifications[mention.id] || null;
+    });
+
+    aggregatedData.aggregateStats.sentimentBreakdown = this.calculateSentimentBreakdown(aggregatedData);
+
+    aggregatedData.formattedForClaude = this.formatForClaudeAnalysis(
+      aggregatedData.platforms,
+      brand,
+      timeRange,
+      aggregatedData.aggregateStats,
+      aggregatedData.competitors
+    );
+
+    return aggregatedData;
+  }
+
+  /**
+   * Turn counts into percentages that always sum to 100
+   * @param {Object} counts - Map of key to count
+   * @returns {Object} - Map of key to whole-number percentage (all 0 when there are no counts)
+   */
+  static roundPercentages(counts) {
+    const keys = Object.keys(counts);
+    const total = keys.reduce((sum, key) => sum + counts[key], 0);
+    const percentages = {};
+
+    keys.forEach(key => {
+      percentages[key] = 0;
+    });
+
+    if (total > 0) {
+      // Largest-remainder rounding so the percentages add up to exactly 100
+      const raw = keys.map(key => ({ key, value: (counts[key] / total) * 100 }));
+      raw.forEach(entry => {
+        percentages[entry.key] = Math.floor(entry.value);
+      });
+
+      let remaining = 100 - raw.reduce((sum, entry) => sum + Math.floor(entry.value), 0);
+      raw
+        .sort((a, b) => (b.value - Math.floor(b.value)) - (a.value - Math.floor(a.value)))
+        .forEach(entry => {
+          if (remaining > 0) {
+            percentages[entry.key] += 1;
+            remaining -= 1;
+          }
+        });
+    }
+
+    return percentages;
+  }
+
+  /**
+   * Count labels and compute percentages that always sum to 100
+   * @param {Array} labels - Array of 'positive' | 'neutral' | 'negative'
+   * @returns {Object} - { total, positive, neutral, negative, percentages, dominant }
+   */
+  static summarizeLabels(labels) {
+    const counts = { positive: 0, neutral: 0, negative: 0 };
+    labels.forEach(label => {
+      counts[label] += 1;
+    });
+
+    const total = labels.length;
+    const percentages = this.roundPercentages(counts);
+
+    const dominant = total === 0
+      ? 'neutral'
+      : SENTIMENT_LABELS.reduce((best, label) => (counts[label] > counts[best] ? label : best), 'neutral');
+
+    return { total, ...counts, percentages, dominant };
+  }
+
+  /**
+   * Compute overall and per-platform sentiment from mention classifications
+   * Mentions without a classification are counted as unclassified and left out of the percentages
+   * @param {Object} aggregatedData - Aggregated data with classifications attached
+   * @returns {Object} - Sentiment breakdown
+   */
+  static calculateSentimentBreakdown(aggregatedData) {
+    const byPlatform = {};
+    const allLabels = [];
+    let unclassified = 0;
+
+    Object.keys(aggregatedData.platforms).forEach(key => {
+      const { mentions } = aggregatedData.platforms[key];
+      const labels = mentions
+        .filter(mention => mention.classification)
+        .map(mention => mention.classification.label);
+      unclassified += mentions.length - labels.length;
+
+      if (labels.length > 0) {
+        byPlatform[key] = { label: aggregatedData.platforms[key].label, ...this.summarizeLabels(labels) };
+        allLabels.push(...labels);
+      }
+    });
+
+    return {
+      ...this.summarizeLabels(allLabels),
+      unclassified,
+      byPlatform
+    };
+  }
+
+  /**
+   * Format a sentiment breakdown as Slack-friendly bullets
+   * @param {Object} breakdown - Output of calculateSentimentBreakdown()
+   * @returns {string} - Bullet lines
+   */
+  static formatSentimentBreakdown(breakdown) {
+    const { percentages } = breakdown;
+
+    let formatted = `• ${percentages.positive}% positive, ${percentages.neutral}% neutral, ${percentages.negative}% negative ` +
+      `(${breakdown.positive}/${breakdown.neutral}/${breakdown.negative} of ${breakdown.total} classified mentions` +
+      `${breakdown.unclassified > 0 ? `, ${breakdown.unclassified} unclassified` : ''})`;
+
+    const platformLines = Object.keys(breakdown.byPlatform).map(key => {
+      const entry = breakdown.byPlatform[key];
+      return `${entry.label} ${entry.positive}👍/${entry.neutral}😐/${entry.negative}👎`;
+    });
+
+    if (platformLines.length > 0) {
+      formatted += `\n• By platform: ${platformLines.join(', ')}`;
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Compare mention volume and sentiment between the brand and its competitors
+   * Only mentions from the providers every brand was collected with are counted,
+   * so the brand's extra sources (Hacker News, feeds) do not inflate its share
+   * @param {Array} entries - [{ brand, primary, aggregatedData }]
+   * @param {Array} providerNames - Providers used for every brand (e.g. ['reddit', 'serper'])
+   * @returns {Object} - { providers, total, brands: [{ brand, primary, mentions, share, byPlatform, sentiment }] }
+   */
+  static calculateShareOfVoice(entries, providerNames) {
+    const brands = entries.map(({ brand, primary, aggregatedData }) => {
+      const mentions = this.allMentions(aggregatedData).filter(mention => providerNames.includes(mention.provider));
+      const byPlatform = {};
+
+      mentions.forEach(mention => {
+        byPlatform[mention.platform] = (byPlatform[mention.platform] || 0) + 1;
+      });
+
+      const labels = mentions.filter(mention => mention.classification).map(mention => mention.classification.label);
+
+      return {
+        brand,
+        primary: Boolean(primary),
+        mentions: mentions.length,
+        byPlatform,
+        sentiment: labels.length > 0 ? this.summarizeLabels(labels) : null
+      };
+    });
+
+    const shares = this.roundPercentages(brands.reduce((counts, entry, index) => {
+      counts[index] = entry.mentions;
+      return counts;
+    }, {}));
+
+    brands.forEach((entry, index) => {
+      entry.share = shares[index];
+    });
+
+    return {
+      providers: providerNames,
+      total: brands.reduce((sum, entry) => sum + entry.mentions, 0),
+      brands
+    };
+  }
+
+  /**
+   * Format share of voice as a fixed-width table
+   * @param {Object} shareOfVoice - Output of calculateShareOfVoice()
+   * @returns {string} - Table text (wrap in a code block for Slack)
+   */
+  static formatShareOfVoice(shareOfVoice) {
+    const rows = [['Brand', 'Mentions', 'Share', 'Positive', 'Neutral', 'Negative']];
+
+    shareOfVoice.brands.forEach(entry => {
+      const percentages = entry.sentiment ? entry.sentiment.percentages : null;
+      rows.push([
+        entry.primary ? `${entry.brand} (you)` : entry.brand,
+        String(entry.mentions),
+        `${entry.share}%`,
+        ...SENTIMENT_LABELS.map(label => (percentages ? `${percentages[label]}%` : 'n/a'))
+      ]);
+    });
+
+    const widths = rows[0].map((cell, column) => Math.max(...rows.map(row => row[column].length)));
+
+    return rows
+      .map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd())
+      .join('\n');
+  }
+
+  /**
+   * Format each competitor's top mentions so competitive insights can cite them
+   * @param {Array} competitors - [{ brand, aggregatedData }]
+   * @returns {string} - Formatted sections, or empty string without competitors
+   */
+  static formatCompetitorMentions(competitors = []) {
+    let formatted = '';
+
+    competitors.forEach(({ brand, aggregatedData }) => {
+      const mentions = this.allMentions(aggregatedData)
+        .sort((a, b) => this.engagementScore(b) - this.engagementScore(a))
+        .slice(0, COMPETITOR_PROMPT_MENTIONS);
+
+      if (mentions.length === 0) {
+        return;
+      }
+
+      formatted += `COMPETITOR DATA: ${brand} (top ${mentions.length} of ${aggregatedData.aggregateStats.totalSources} mentions):\n\n`;
+      mentions.forEach((mention, index) => {
+        formatted += this.formatMention(mention, index);
+      });
+    });
+
+    return formatted;
+  }
+
+  /**
+   * Engagement used to rank mentions (score plus weighted comments)
+   * @param {Object} mention - Normalized mention
+   * @returns {number} - Engagement score (0 when the source has none)
+   */
+  static engagementScore(mention) {
+    return mention.engagement ? (mention.engagement.score || 0) + (mention.engagement.comments || 0) * 2 : 0;
+  }
+
+  /**
+   * Attach competitor collections and compute share of voice
+   * @param {Object} aggregatedData - Aggregated data for the brand (mutated)
+   * @param {Array} competitors - [{ brand, aggregatedData }] collected with the same providers
+   * @param {string} brand - Brand name
+   * @param {string|Object} timeRange - Time range input or resolved range
+   * @param {Array} providerNames - Providers used for the competitor collections
+   * @returns {Object} - Aggregated data with shareOfVoice and refreshed prompt text
+   */
+  static applyCompetitors(aggregatedData, competitors, brand, timeRange, providerNames) {
+    aggregatedData.competitors = competitors;
+    aggregatedData.aggregateStats.shareOfVoice = this.calculateShareOfVoice([
+      { brand, primary: true, aggregatedData },
+      ...competitors
+    ], providerNames);
+
+    aggregatedData.formattedForClaude = this.formatForClaudeAnalysis(
+      aggregatedData.platforms,
+      brand,
+      timeRange,
+      aggregatedData.aggregateStats,
+      competitors
+    );
+
+    return aggregatedData;
+  }
+
   /**
    * Deduplicate entries across platforms
-   * (Removes URLs that appear in multiple platform results)
+   * (Removes URLs that appear in multiple platform results; earlier platforms win)
    * @param {Object} aggregatedData - Aggregated data object
    * @returns {Object} - Deduplicated data
    */
   static deduplicateEntries(aggregatedData) {
     const seenUrls = new Set();
 
-    // Deduplicate Bing results
-    ['linkedin', 'twitter', 'reviews', 'blogs'].forEach(platform => {
-      if (aggregatedData[platform] && aggregatedData[platform].results) {
-        aggregatedData[platform].results = aggregatedData[platform].results.filter(result => {
-          if (seenUrls.has(result.url)) {
-            return false;
-          }
-          seenUrls.add(result.url);
+    Object.values(aggregatedData.platforms).forEach(platform => {
+      platform.mentions = platform.mentions.filter(mention => {
+        if (!mention.url) {
           return true;
-        });
-        aggregatedData[platform].totalResults = aggregatedData[platform].results.length;
-      }
+        }
+        if (seenUrls.has(mention.url)) {
+          return false;
+        }
+        seenUrls.add(mention.url);
+        return true;
+      });
+      platform.totalResults = platform.mentions.length;
     });
 
     // Update aggregate stats after deduplication
-    const totalSources =
-      aggregatedData.reddit.totalMentions +
-      aggregatedData.linkedin.totalResults +
-      aggregatedData.twitter.totalResults +
-      aggregatedData.reviews.totalResults +
-      aggregatedData.blogs.totalResults;
-
-    aggregatedData.aggregateStats.totalSources = totalSources;
+    const stats = this.calculateMetrics(aggregatedData.platforms, aggregatedData.timeWindow);
+    aggregatedData.aggregateStats.totalSources = stats.totalSources;
+    aggregatedData.aggregateStats.platforms = stats.platforms;
+    aggregatedData.aggregateStats.platformBreakdown = stats.platformBreakdown;
+    aggregatedData.aggregateStats.subreddits = stats.subreddits;
 
     return aggregatedData;
   }
@@ -252,20 +607,69 @@ class DataAggregator {
 
 /**
  * Main export function
- * @param {Object} redditData - Reddit search results
- * @param {Object} bingData - Bing search results
+ * @param {Array} providerResults - Output of ProviderRegistry.fetchAll()
  * @param {string} brand - Brand name
- * @param {string} timeRange - Time range
+ * @param {string|Object} timeRange - Time range input or resolved range
  * @returns {Object} - Aggregated data
  */
-function aggregateResults(redditData, bingData, brand, timeRange) {
-  const aggregated = DataAggregator.aggregateResults(redditData, bingData, brand, timeRange);
+function aggregateResults(providerResults, brand, timeRange) {
+  const aggregated = DataAggregator.aggregateResults(providerResults, brand, timeRange);
   const deduplicated = DataAggregator.deduplicateEntries(aggregated);
 
-  console.log(`📊 Aggregated ${deduplicated.aggregateStats.totalSources} total sources from ${deduplicated.aggregateStats.platforms.length} platforms`);
-  console.log(`📊 Data source status: ${deduplicated.dataSource}`);
+  // Re-render the prompt text from the deduplicated mentions
+  deduplicated.formattedForClaude = DataAggregator.formatForClaudeAnalysis(
+    deduplicated.platforms,
+    brand,
+    timeRange,
+    deduplicated.aggregateStats,
+    deduplicated.competitors
+  );
+
+  logger.info('Aggregated sources', {
+    sources: deduplicated.aggregateStats.totalSources,
+    platforms: deduplicated.aggregateStats.platforms.length,
+    dataSource: deduplicated.dataSource
+  });
 
   return deduplicated;
 }
 
-module.exports = { DataAggregator, aggregateResults };
+/**
+ * Attach per-mention classifications and compute sentiment statistics
+ * @param {Object} aggregatedData - Aggregated data
+ * @param {Object} classifications - Map of mention id to { label, score, reason }
+ * @param {string} brand - Brand name
+ * @param {string|Object} timeRange - Time range input or resolved range
+ * @returns {Object} - Aggregated data with sentimentBreakdown
+ */
+function applySentimentClassifications(aggregatedData, classifications, brand, timeRange) {
+  const classified = DataAggregator.applyClassifications(aggregatedData, classifications, brand, timeRange);
+  const breakdown = classified.aggregateStats.sentimentBreakdown;
+
+  logger.info('Computed sentiment', { ...breakdown.percentages, mentions: breakdown.total, unclassified: breakdown.unclassified });
+
+  return classified;
+}
+
+/**
+ * Attach competitor collections and compute share of voice
+ * @param {Object} aggregatedData - Aggregated data for the brand
+ * @param {Array} competitors - [{ brand, aggregatedData }]
+ * @param {string} brand - Brand name
+ * @param {string|Object} timeRange - Time range input or resolved range
+ * @param {Array} providerNames - Providers used for every brand
+ * @returns {Object} - Aggregated data with aggregateStats.shareOfVoice
+ */
+function applyCompetitorData(aggregatedData, competitors, brand, timeRange, providerNames) {
+  const withCompetitors = DataAggregator.applyCompetitors(aggregatedData, competitors, brand, timeRange, providerNames);
+  const shareOfVoice = withCompetitors.aggregateStats.shareOfVoice;
+
+  logger.info('Computed share of voice', {
+    brands: shareOfVoice.brands.map(entry => ({ brand: entry.brand, share: entry.share })),
+    mentions: shareOfVoice.total
+  });
+
+  return withCompetitors;
+}
+
+module.exports = { DataAggregator, aggregateResults, applySentimentClassifications, applyCompetitorData };
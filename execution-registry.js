@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('execution-registry');
+
+/**
+ * Execution Registry
+ * Records every workflow function execution by function_execution_id so each one is analyzed
+ * and completed exactly once. Slack delivers an execution to both the function_executed listener
+ * and the app.function handler, and can redeliver it after a reconnect; the first delivery claims
+ * the execution and every later one is ignored. Claims are persisted so a restart does not run
+ * a finished execution again; a claim still running when its process stopped (or running past the
+ * analysis timeout) is stale and taken over by the next delivery, so the step still gets completed.
+ */
+
+const DEFAULT_REGISTRY_FILE = path.join(__dirname, 'data', 'executions.json');
+
+// Workflow function executions time out long before this; older claims are dropped
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+const MAX_STORED_EXECUTIONS = 1000;
+// An analysis still running after this is assumed hung; Slack gives up on the step by then anyway
+const STALE_CLAIM_MS = 15 * 60 * 1000;
+
+// Identifies this process in claims, so claims left running by an earlier process are recognized
+const PROCESS_ID = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+class ExecutionRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {string} options.file - JSON file the claims are persisted to
+   */
+  constructor({ file } = {}) {
+    this.file = file || DEFAULT_REGISTRY_FILE;
+    this.executions = null;
+    this.loading = null;
+    this.stateLock = Promise.resolve();
+  }
+
+  /**
+   * Claim an execution for a handler
+   * The check and the claim happen without an await in between, so of two concurrent
+   * deliveries exactly one gets the claim
+   * @param {string} executionId - function_execution_id
+   * @param {string} handler - Handler claiming it ('function_executed' or 'app.function')
+   * @returns {Promise<Object|null>} - The new entry, or null if the execution was already claimed
+   */
+  async claim(executionId, handler) {
+    const executions = await this.load();
+    const existing = executions.get(executionId);
+
+    if (existing && !this.isStale(existing)) {
+      return null;
+    }
+    if (existing) {
+      logger.warn('Taking over a stale execution claim', {
+        executionId,
+        claimedBy: existing.handler,
+        claimedAt: existing.claimedAt,
+        handler
+      });
+    }
+
+    const entry = { executionId, handler, status: 'running', claimedAt: new Date().toISOString(), owner: PROCESS_ID };
+    executions.set(executionId, entry);
+    await this.persist();
+    return entry;
+  }
+
+  /**
+   * Whether a claim was left running: by a process that has since stopped, or past the timeout
+   * @param {Object} entry - Stored entry
+   * @returns {boolean} - True if a new delivery may take the execution over
+   */
+  isStale(entry) {
+    if (entry.status !== 'running') {
+      return false;
+    }
+    return entry.owner !== PROCESS_ID || Date.now() - Date.parse(entry.claimedAt) >= STALE_CLAIM_MS;
+  }
+
+  /**
+   * Record how a claimed execution ended
+   * @param {string} executionId - function_execution_id
+   * @param {string} status - 'completed' or 'failed'
+   * @param {string} error - Error sent to Slack for failed executions
+   */
+  async finish(executionId, status, error = null) {
+    const executions = await this.load();
+    const entry = executions.get(executionId);
+    if (!entry) {
+      return;
+    }
+
+    executions.set(executionId, {
+      ...entry,
+      status,
+      finishedAt: new Date().toISOString(),
+      ...(error ? { error } : {})
+    });
+    await this.persist();
+  }
+
+  /**
+   * Look up an execution
+   * @param {string} executionId - function_execution_id
+   * @returns {Promise<Object|null>} - Entry, or null if never claimed
+   */
+  async get(executionId) {
+    const executions = await this.load();
+    return executions.get(executionId) || null;
+  }
+
+  /**
+   * Load persisted claims once, dropping expired ones
+   * @returns {Promise<Map>} - Map of execution id to entry
+   */
+  async load() {
+    if (this.executions) {
+      return this.executions;
+    }
+    if (!this.loading) {
+      this.loading = this.readFile().then(entries => {
+        const cutoff = Date.now() - RETENTION_MS;
+        this.executions = new Map(entries
+          .filter(entry => entry && entry.executionId && Date.parse(entry.claimedAt) >= cutoff)
+          .map(entry => [entry.executionId, entry]));
+        return this.executions;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Read the claims file
+   * @returns {Promise<Array>} - Stored entries
+   */
+  async readFile() {
+    try {
+      const state = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      return Array.isArray(state.executions) ? state.executions : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Could not read execution registry', { error });
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Write the claims to disk, newest last and capped
+   * Persisting is best-effort: the in-memory claims still prevent duplicates in this process
+   * @returns {Promise<void>}
+   */
+  persist() {
+    return this.withStateLock(async () => {
+      const cutoff = Date.now() - RETENTION_MS;
+      const entries = [...this.executions.values()]
+        .filter(entry => Date.parse(entry.claimedAt) >= cutoff)
+        .slice(-MAX_STORED_EXECUTIONS);
+
+      try {
+        const tempFile = `${this.file}.${process.pid}.tmp`;
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.writeFile(tempFile, JSON.stringify({ executions: entries }, null, 2));
+        await fs.rename(tempFile, this.file);
+      } catch (error) {
+        logger.warn('Could not persist execution registry', { error });
+      }
+    });
+  }
+
+  /**
+   * Serialize writes to the claims file
+   * @param {Function} fn - Async function to run while holding the lock
+   * @returns {Promise<*>} - Result of fn
+   */
+  withStateLock(fn) {
+    const run = this.stateLock.then(fn);
+    this.stateLock = run.catch(() => {});
+    return run;
+  }
+}
+
+let defaultRegistry = null;
+
+/**
+ * Get the shared execution registry
+ * @returns {ExecutionRegistry} - Registry configured from the environment
+ */
+function getExecutionRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = new ExecutionRegistry({ file: process.env.EXECUTION_REGISTRY_FILE });
+  }
+  return defaultRegistry;
+}
+
+module.exports = {
+  ExecutionRegistry,
+  getExecutionRegistry
+};
@@ -0,0 +1,313 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { resolveTimeRange, isWithinRange } = require('./time-range');
+const { getRequestPolicy } = require('./request-policy');
+const { getFixtureStore } = require('./fixture-store');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('feeds');
+
+const DEFAULT_FEEDS_FILE = path.join(__dirname, 'feeds.json');
+const MAX_ENTRIES_PER_FEED = 50;
+
+class FeedService {
+  /**
+   * @param {Object} config - Feed configuration
+   * @param {Array} config.feeds - Array of { url, name }
+   * @param {Object} config.aliases - Map of brand name to alias list
+   */
+  constructor({ feeds = [], aliases = {} } = {}) {
+    this.feeds = feeds;
+    this.aliases = aliases;
+  }
+
+  /**
+   * Fetch every configured feed and keep entries about the brand within the time range
+   * @param {string} brand - Brand or product name
+   * @param {string|Object} timeRange - Time range ('7 days', '2025-01-01 to 2025-01-15') or resolved range
+   * @returns {Promise<Object>} - { entries, feeds: [{ url, name, entries, error }] }
+   */
+  async searchFeeds(brand, timeRange = '7 days') {
+    const range = resolveTimeRange(timeRange, getFixtureStore().now());
+    logger.info('Scanning RSS/Atom feeds', { feeds: this.feeds.length, brand, timeRange: range.label });
+
+    const terms = this.getSearchTerms(brand);
+
+    const results = await Promise.all(this.feeds.map(async feed => {
+      try {
+        const entries = this.parseFeed(await this.fetchFeed(feed.url))
+          .map(entry => ({ ...entry, feedName: feed.name || entry.feedTitle || feed.url }));
+        return { url: feed.url, name: feed.name, entries, error: null };
+      } catch (error) {
+        logger.warn('Feed failed', { url: feed.url, error });
+        return { url: feed.url, name: feed.name, entries: [], error: error.message };
+      }
+    }));
+
+    if (results.length > 0 && results.every(result => result.error)) {
+      throw new Error('All configured feeds failed to load');
+    }
+
+    const entries = results
+      .reduce((all, result) => all.concat(result.entries), [])
+      // Entries without a readable date cannot be placed in the window, so they are dropped
+      .filter(entry => isWithinRange(entry.published, range) === true)
+      .filter(entry => this.mentionsBrand(entry, terms))
+      .sort((a, b) => Date.parse(b.published) - Date.parse(a.published));
+
+    logger.info('Found feed entries mentioning the brand', { brand, entries: entries.length });
+
+    return {
+      entries,
+      feeds: results.map(({ url, name, entries: feedEntries, error }) => ({ url, name, entries: feedEntries.length, error }))
+    };
+  }
+
+  /**
+   * Request policy name for a feed URL
+   * @param {string} url - Feed URL
+   * @returns {string} - e.g. "feeds:blog.example.com", or "feeds" for an unparseable URL
+   */
+  static policyName(url) {
+    try {
+      return `feeds:${new URL(url).hostname.toLowerCase()}`;
+    } catch (error) {
+      return 'feeds';
+    }
+  }
+
+  /**
+   * Download a feed document
+   * @param {string} url - Feed URL
+   * @returns {Promise<string>} - Raw XML
+   */
+  async fetchFeed(url) {
+    return getFixtureStore().through('feeds', [url], async () => {
+      // One circuit breaker per host, so a dead feed does not block the others
+      const response = await getRequestPolicy(FeedService.policyName(url)).run(() => axios.get(url, {
+        responseType: 'text',
+        timeout: 15000,
+        headers: {
+          'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8',
+          'User-Agent': 'social-listening-bot/1.0'
+        }
+      }), url);
+
+      return String(response.data || '');
+    });
+  }
+
+  /**
+   * Parse RSS 2.0 <item> or Atom <entry> elements
+   * @param {string} xml - Feed XML
+   * @returns {Array} - Array of { title, link, summary, author, published, feedTitle }
+   */
+  parseFeed(xml) {
+    const isAtom = /<feed[\s>]/i.test(xml) && !/<rss[\s>]/i.test(xml);
+    const channel = xml.split(isAtom ? /<entry[\s>]/i : /<item[\s>]/i)[0];
+    const feedTitle = this.readTag(channel, 'title');
+
+    const entryPattern = isAtom ? /<entry[\s>][\s\S]*?<\/entry>/gi : /<item[\s>][\s\S]*?<\/item>/gi;
+    const blocks = xml.match(entryPattern) || [];
+
+    return blocks.slice(0, MAX_ENTRIES_PER_FEED).map(block => {
+      if (isAtom) {
+        return {
+          title: this.readTag(block, 'title'),
+          link: this.readAtomLink(block),
+          summary: this.readTag(block, 'summary') || this.readTag(block, 'content'),
+          author: this.readTag(this.readRawTag(block, 'author'), 'name') || null,
+          published: this.toIsoDate(this.readTag(block, 'published') || this.readTag(block, 'updated')),
+          feedTitle
+        };
+      }
+
+      return {
+        title: this.readTag(block, 'title'),
+        link: this.readTag(block, 'link') || this.readTag(block, 'guid'),
+        summary: this.readTag(block, 'content:encoded') || this.readTag(block, 'description'),
+        author: this.readTag(block, 'dc:creator') || this.readTag(block, 'author') || null,
+        published: this.toIsoDate(this.readTag(block, 'pubDate') || this.readTag(block, 'dc:date')),
+        feedTitle
+      };
+    });
+  }
+
+  /**
+   * Read the raw inner XML of the first matching element
+   * @param {string} xml - XML fragment
+   * @param {string} tag - Element name (may include a namespace prefix)
+   * @returns {string} - Inner XML or empty string
+   */
+  readRawTag(xml, tag) {
+    const escaped = tag.replace(':', '\\:');
+    const match = String(xml || '').match(new RegExp(`<${escaped}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/${escaped}>`, 'i'));
+    return match ? match[1] : '';
+  }
+
+  /**
+   * Read the first matching element as plain text
+   * @param {string} xml - XML fragment
+   * @param {string} tag - Element name
+   * @returns {string} - Plain text
+   */
+  readTag(xml, tag) {
+    const raw = this.readRawTag(xml, tag).replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+    return this.stripHtml(this.decodeEntities(raw));
+  }
+
+  /**
+   * Pick the alternate link of an Atom entry
+   * @param {string} block - Atom entry XML
+   * @returns {string} - Entry URL
+   */
+  readAtomLink(block) {
+    const links = block.match(/<link\b[^>]*>/gi) || [];
+    const alternate = links.find(link => !/rel=["']/.test(link) || /rel=["']alternate["']/.test(link)) || links[0];
+    const href = alternate && alternate.match(/href=["']([^"']+)["']/i);
+    return href ? this.decodeEntities(href[1]) : '';
+  }
+
+  /**
+   * Decode the XML/HTML entities feeds commonly use
+   * @param {string} text - Encoded text
+   * @returns {string} - Decoded text
+   */
+  decodeEntities(text) {
+    return text
+      .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+      .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&gt;/g, '>')
+      .replace(/&lt;/g, '<')
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Remove markup from entry text
+   * @param {string} html - HTML text
+   * @returns {string} - Plain text
+   */
+  stripHtml(html) {
+    return html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Normalize a feed date to ISO 8601
+   * @param {string} value - RFC 822 or ISO date string
+   * @returns {string|null} - ISO date or null if unparseable
+   */
+  toIsoDate(value) {
+    const timestamp = Date.parse(value);
+    return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+  }
+
+  /**
+   * Brand name plus its configured aliases, lowercased
+   * @param {string} brand - Brand name
+   * @returns {Array} - Search terms
+   */
+  getSearchTerms(brand) {
+    const key = Object.keys(this.aliases).find(name => name.toLowerCase() === brand.toLowerCase());
+    const aliases = key && Array.isArray(this.aliases[key]) ? this.aliases[key] : [];
+    return [brand, ...aliases].map(term => term.toLowerCase().trim()).filter(Boolean);
+  }
+
+  /**
+   * Check whether an entry mentions the brand or one of its aliases
+   * @param {Object} entry - Parsed entry
+   * @param {Array} terms - Lowercased search terms
+   * @returns {boolean} - True if relevant
+   */
+  mentionsBrand(entry, terms) {
+    const text = `${entry.title} ${entry.summary}`.toLowerCase();
+    return terms.some(term => text.includes(term));
+  }
+}
+
+/**
+ * Load feed configuration from FEEDS_FILE (defaults to ./feeds.json)
+ * @param {string} file - Optional path override
+ * @returns {Object} - { feeds: [{ url, name }], aliases }
+ */
+function loadFeedConfig(file = process.env.FEEDS_FILE || DEFAULT_FEEDS_FILE) {
+  if (!fs.existsSync(file)) {
+    return { feeds: [], aliases: {} };
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const feeds = (Array.isArray(config.feeds) ? config.feeds : [])
+      .map(feed => (typeof feed === 'string' ? { url: feed, name: null } : { url: feed && feed.url, name: (feed && feed.name) || null }))
+      .filter(feed => typeof feed.url === 'string' && /^https?:\/\//.test(feed.url));
+
+    return {
+      feeds,
+      aliases: config.aliases && typeof config.aliases === 'object' ? config.aliases : {}
+    };
+  } catch (error) {
+    logger.error('Could not load feeds', { file, error });
+    return { feeds: [], aliases: {} };
+  }
+}
+
+/**
+ * Main export function for feed search
+ * @param {string} brand - Brand name
+ * @param {string|Object} timeRange - Time range or resolved range
+ * @returns {Promise<Object>} - { entries, feeds }
+ */
+async function searchFeeds(brand, timeRange = '7 days') {
+  const service = new FeedService(loadFeedConfig());
+  return service.searchFeeds(brand, timeRange);
+}
+
+/**
+ * Source provider for the provider registry
+ * Entries are reported under the same `blogs` platform as Serper's blog results
+ */
+const feedProvider = {
+  name: 'feeds',
+  platforms: [
+    { key: 'blogs', label: 'Blogs', heading: 'BLOGS & FORUMS DATA', unit: 'results' }
+  ],
+
+  isConfigured() {
+    return loadFeedConfig().feeds.length > 0;
+  },
+
+  async fetch(brand, { timeRange = '7 days', window } = {}) {
+    return searchFeeds(brand, window || timeRange);
+  },
+
+  failures(feedData) {
+    const failed = (feedData.feeds || []).filter(feed => feed.error);
+    if (failed.length === 0) {
+      return [];
+    }
+    return [{
+      platform: 'blogs',
+      status: 'partial',
+      error: `${failed.length} of ${feedData.feeds.length} feeds failed (${failed.map(feed => feed.name || feed.url).join(', ')})`
+    }];
+  },
+
+  normalize(feedData) {
+    return (feedData.entries || []).map((entry, index) => ({
+      id: `feed-${index}`,
+      platform: 'blogs',
+      title: entry.title,
+      text: entry.summary,
+      url: entry.link,
+      author: entry.author,
+      createdAt: entry.published,
+      context: entry.feedName,
+      engagement: null
+    }));
+  }
+};
+
+module.exports = { FeedService, searchFeeds, loadFeedConfig, feedProvider };
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('fixtures');
+
+/**
+ * Fixture Store
+ * Record-and-replay of source and Claude responses for offline runs. With FIXTURE_MODE=record
+ * every Reddit, Serper, Hacker News, feed and Anthropic response of a run is written to
+ * FIXTURE_DIR; with FIXTURE_MODE=replay the same run is served from those files without
+ * network access or credentials, pinned to the recorded clock so results are deterministic
+ */
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, 'fixtures');
+const RUN_FILE = 'run.json';
+const MODES = ['off', 'record', 'replay'];
+// Stands in for API keys while replaying; never sent anywhere since no request goes out
+const REPLAY_CREDENTIAL = 'fixture-replay';
+
+class FixtureMissingError extends Error {
+  /**
+   * @param {string} source - Source name
+   * @param {Array} parts - Key parts of the missing response
+   * @param {string} file - Expected fixture path
+   */
+  constructor(source, parts, file) {
+    super(`No recorded ${source} fixture for ${JSON.stringify(parts)} (${file})`);
+    this.name = 'FixtureMissingError';
+    this.source = source;
+    this.parts = parts;
+    this.file = file;
+  }
+}
+
+class FixtureStore {
+  /**
+   * @param {Object} options - Fixture options
+   * @param {string} options.mode - 'off', 'record' or 'replay'
+   * @param {string} options.dir - Directory holding run.json and one JSON file per response
+   */
+  constructor({ mode, dir } = {}) {
+    this.mode = MODES.includes(mode) ? mode : 'off';
+    this.dir = dir || DEFAULT_FIXTURE_DIR;
+    // Replays are pinned to the time the run was recorded
+    this.clock = null;
+    this.sequences = {};
+  }
+
+  get recording() {
+    return this.mode === 'record';
+  }
+
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Reference time for time windows and filters
+   * @returns {Date} - Recorded run time while replaying, the current time otherwise
+   */
+  now() {
+    return this.clock ? new Date(this.clock) : new Date();
+  }
+
+  /**
+   * Start a run: record its inputs and time, or load them for replay
+   * @param {Object} inputs - { brand, competitors, timeRange, platforms, options }
+   * @returns {Promise<Date>} - Reference time for the run
+   * @throws {FixtureMissingError} - When replaying a directory without a recorded run
+   */
+  async startRun(inputs) {
+    this.sequences = {};
+
+    if (this.recording) {
+      this.clock = null;
+      const recordedAt = new Date();
+      await this.write(path.join(this.dir, RUN_FILE), { recordedAt: recordedAt.toISOString(), ...inputs });
+      logger.info('Recording fixtures', { dir: this.dir });
+      return recordedAt;
+    }
+
+    if (this.replaying) {
+      const run = await this.readRun();
+      if (String(run.brand).toLowerCase() !== String(inputs.brand).toLowerCase()) {
+        logger.warn('Replaying fixtures recorded for a different brand; missing responses will fail', {
+          recordedBrand: run.brand,
+          brand: inputs.brand
+        });
+      }
+      this.clock = Date.parse(run.recordedAt);
+      logger.info('Replaying fixtures', { dir: this.dir, recordedAt: run.recordedAt });
+      return this.now();
+    }
+
+    return new Date();
+  }
+
+  /**
+   * Load the recorded run's inputs
+   * @returns {Promise<Object>} - { recordedAt, brand, competitors, timeRange, platforms, options }
+   * @throws {FixtureMissingError} - When no run was recorded in the directory
+   */
+  async readRun() {
+    const file = path.join(this.dir, RUN_FILE);
+    const entry = await this.read(file);
+    if (!entry) {
+      throw new FixtureMissingError('run', [RUN_FILE], file);
+    }
+    return entry;
+  }
+
+  /**
+   * Next number in a per-run sequence, for calls keyed by order rather than content
+   * @param {string} name - Sequence name
+   * @returns {number} - 1-based position
+   */
+  next(name) {
+    this.sequences[name] = (this.sequences[name] || 0) + 1;
+    return this.sequences[name];
+  }
+
+  /**
+   * Whether a source has recorded responses to replay
+   * @param {string} source - Source name
+   * @returns {boolean} - True while replaying a directory with fixtures for the source
+   */
+  hasRecordings(source) {
+    return this.replaying && fs.existsSync(path.join(this.dir, source));
+  }
+
+  /**
+   * Fetch a response, recording or replaying it depending on the mode
+   * Errors thrown by fetcher are not recorded, so replaying that call fails the same way
+   * @param {string} source - Source name (reddit, serper, hackernews, feeds, anthropic)
+   * @param {Array} parts - Key parts identifying the request
+   * @param {Function} fetcher - async () => JSON-serializable response
+   * @returns {Promise<*>} - Response
+   * @throws {FixtureMissingError} - While replaying a request that was not recorded
+   */
+  async through(source, parts, fetcher) {
+    if (this.mode === 'off') {
+      return fetcher();
+    }
+
+    const key = crypto.createHash('sha1').update(JSON.stringify([source, ...parts])).digest('hex');
+    const file = path.join(this.dir, source, `${key}.json`);
+
+    if (this.replaying) {
+      const entry = await this.read(file);
+      if (!entry) {
+        throw new FixtureMissingError(source, parts, file);
+      }
+      return entry.response;
+    }
+
+    const response = await fetcher();
+    await this.write(file, { source, parts, recordedAt: new Date().toISOString(), response });
+    return response;
+  }
+
+  /**
+   * Read a fixture file
+   * @param {string} file - Fixture path
+   * @returns {Promise<Object|null>} - Entry or null if missing
+   */
+  async read(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Could not read fixture', { file: path.basename(file), error });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Write a fixture file atomically
+   * @param {string} file - Fixture path
+   * @param {Object} entry - Fixture contents
+   */
+  async write(file, entry) {
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(tempFile, JSON.stringify(entry, null, 2));
+    await fs.promises.rename(tempFile, file);
+  }
+}
+
+let defaultStore = null;
+
+/**
+ * Get the shared fixture store
+ * @returns {FixtureStore} - Store for FIXTURE_MODE in FIXTURE_DIR (defaults to off and ./fixtures)
+ */
+function getFixtureStore() {
+  if (!defaultStore) {
+    defaultStore = new FixtureStore({
+      mode: process.env.FIXTURE_MODE,
+      dir: process.env.FIXTURE_DIR || DEFAULT_FIXTURE_DIR
+    });
+  }
+  return defaultStore;
+}
+
+module.exports = {
+  FixtureStore,
+  FixtureMissingError,
+  getFixtureStore,
+  REPLAY_CREDENTIAL
+};
@@ -0,0 +1,203 @@
+const axios = require('axios');
+const { resolveTimeRange } = require('./time-range');
+const { getRequestPolicy } = require('./request-policy');
+const { getFixtureStore } = require('./fixture-store');
+const { normalizeQuery, windowKey } = require('./response-cache');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('hackernews');
+
+const ALGOLIA_ENDPOINT = 'https://hn.algolia.com/api/v1/search';
+const HN_ITEM_URL = 'https://news.ycombinator.com/item?id=';
+
+class HackerNewsService {
+  constructor() {
+    this.endpoint = ALGOLIA_ENDPOINT;
+  }
+
+  /**
+   * Search Hacker News stories and comments for brand mentions
+   * @param {string} brand - Brand or product name to search for
+   * @param {string|Object} timeRange - Time range ('7 days', '2025-01-01 to 2025-01-15') or resolved range
+   * @returns {Promise<Object>} - { stories, comments }
+   */
+  async searchHackerNews(brand, timeRange = '7 days') {
+    try {
+      const range = resolveTimeRange(timeRange, getFixtureStore().now());
+      logger.info('Searching Hacker News', { brand, timeRange: range.label });
+
+      const [storyHits, commentHits] = await Promise.all([
+        this.executeSearch(brand, 'story', range, 20),
+        this.executeSearch(brand, 'comment', range, 30)
+      ]);
+
+      const stories = this.filterByRelevance(storyHits.map(hit => this.extractStoryData(hit)), brand);
+      const comments = this.filterByRelevance(commentHits.map(hit => this.extractCommentData(hit)), brand);
+
+      logger.info('Found Hacker News mentions', { stories: stories.length, comments: comments.length });
+
+      return {
+        stories: this.sortByEngagement(stories),
+        comments: this.sortByEngagement(comments).slice(0, 20)
+      };
+
+    } catch (error) {
+      logger.error('Hacker News API error', { error });
+      throw new Error(`Hacker News search failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Execute an Algolia HN search
+   * @param {string} query - Search query
+   * @param {string} tag - 'story' or 'comment'
+   * @param {Object} range - Resolved time range (Algolia filters on the exact window)
+   * @param {number} hitsPerPage - Number of results to return
+   * @returns {Promise<Array>} - Raw Algolia hits
+   */
+  async executeSearch(query, tag, range, hitsPerPage) {
+    const toSeconds = (date) => Math.floor(date.getTime() / 1000);
+
+    return getFixtureStore().through('hackernews', [tag, normalizeQuery(query), hitsPerPage, windowKey(range)], async () => {
+      const response = await getRequestPolicy('hackernews').run(() => axios.get(this.endpoint, {
+        params: {
+          query,
+          tags: tag,
+          numericFilters: `created_at_i>=${toSeconds(range.start)},created_at_i<=${toSeconds(range.end)}`,
+          hitsPerPage
+        },
+        timeout: 15000
+      }), `${tag}s for "${query}"`);
+
+      return response.data && Array.isArray(response.data.hits) ? response.data.hits : [];
+    });
+  }
+
+  /**
+   * Extract relevant data from a story hit
+   * @param {Object} hit - Algolia story hit
+   * @returns {Object} - Story data
+   */
+  extractStoryData(hit) {
+    return {
+      id: hit.objectID,
+      type: 'story',
+      title: hit.title || '',
+      body: this.stripHtml(hit.story_text || ''),
+      points: hit.points || 0,
+      numComments: hit.num_comments || 0,
+      author: hit.author || '[deleted]',
+      created: hit.created_at || new Date((hit.created_at_i || 0) * 1000).toISOString(),
+      permalink: `${HN_ITEM_URL}${hit.objectID}`,
+      url: hit.url || ''
+    };
+  }
+
+  /**
+   * Extract relevant data from a comment hit
+   * @param {Object} hit - Algolia comment hit
+   * @returns {Object} - Comment data
+   */
+  extractCommentData(hit) {
+    return {
+      id: hit.objectID,
+      type: 'comment',
+      title: hit.story_title ? `Comment on "${hit.story_title}"` : 'Comment',
+      body: this.stripHtml(hit.comment_text || ''),
+      points: hit.points || 0,
+      numComments: 0,
+      author: hit.author || '[deleted]',
+      created: hit.created_at || new Date((hit.created_at_i || 0) * 1000).toISOString(),
+      permalink: `${HN_ITEM_URL}${hit.objectID}`,
+      storyId: hit.story_id || null
+    };
+  }
+
+  /**
+   * Convert Algolia's HTML-formatted text to plain text
+   * @param {string} html - HTML text
+   * @returns {string} - Plain text
+   */
+  stripHtml(html) {
+    return html
+      .replace(/<p>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&#x27;/g, "'")
+      .replace(/&#x2F;/g, '/')
+      .replace(/&quot;/g, '"')
+      .replace(/&gt;/g, '>')
+      .replace(/&lt;/g, '<')
+      .replace(/&amp;/g, '&')
+      .trim();
+  }
+
+  /**
+   * Keep only items that actually mention the brand
+   * @param {Array} items - Stories or comments
+   * @param {string} brand - Brand name to match
+   * @returns {Array} - Filtered items
+   */
+  filterByRelevance(items, brand) {
+    const brandLower = brand.toLowerCase();
+
+    return items.filter(item =>
+      item.author !== '[deleted]' &&
+      (item.title.toLowerCase().includes(brandLower) || item.body.toLowerCase().includes(brandLower))
+    );
+  }
+
+  /**
+   * Sort items by engagement (points + comments)
+   * @param {Array} items - Stories or comments
+   * @returns {Array} - Sorted items
+   */
+  sortByEngagement(items) {
+    return items.sort((a, b) => (b.points + b.numComments * 2) - (a.points + a.numComments * 2));
+  }
+}
+
+/**
+ * Main export function for Hacker News search
+ * @param {string} brand - Brand name
+ * @param {string|Object} timeRange - Time range or resolved range
+ * @returns {Promise<Object>} - { stories, comments }
+ */
+async function searchHackerNews(brand, timeRange = '7 days') {
+  const service = new HackerNewsService();
+  return service.searchHackerNews(brand, timeRange);
+}
+
+/**
+ * Source provider for the provider registry
+ * The Algolia HN API is public, so this provider is on unless HACKERNEWS_ENABLED=false
+ */
+const hackerNewsProvider = {
+  name: 'hackernews',
+  platforms: [
+    { key: 'hackernews', label: 'Hacker News', heading: 'HACKER NEWS DATA', unit: 'stories/comments' }
+  ],
+
+  isConfigured() {
+    return process.env.HACKERNEWS_ENABLED !== 'false';
+  },
+
+  async fetch(brand, { timeRange = '7 days', window } = {}) {
+    return searchHackerNews(brand, window || timeRange);
+  },
+
+  normalize(hnData) {
+    return [...(hnData.stories || []), ...(hnData.comments || [])].map(item => ({
+      id: `hackernews-${item.id}`,
+      platform: 'hackernews',
+      title: item.title,
+      text: item.body,
+      url: item.permalink,
+      author: item.author,
+      createdAt: item.created,
+      context: item.type === 'story' ? 'HN story' : 'HN comment',
+      engagement: { score: item.points, comments: item.numComments }
+    }));
+  }
+};
+
+module.exports = { HackerNewsService, searchHackerNews, hackerNewsProvider };
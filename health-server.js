@@ -0,0 +1,160 @@
+const express = require('express');
+const { getMetrics } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('health');
+
+/**
+ * Health Server
+ * HTTP endpoints for the container orchestrator: /healthz (process up), /readyz (Socket Mode
+ * connected and credentials present) and /metrics (Prometheus text format)
+ */
+
+const DEFAULT_PORT = 3000;
+
+// Without these the app cannot receive events or produce reports
+const REQUIRED_CREDENTIALS = ['SLACK_BOT_TOKEN', 'SLACK_APP_TOKEN', 'ANTHROPIC_API_KEY'];
+
+// Socket Mode client states that mean the connection is not usable
+const DISCONNECTED_STATES = ['connecting', 'reconnecting', 'disconnecting', 'disconnected', 'failed'];
+
+class HealthServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {Object} options.socketClient - Socket Mode client (app.receiver.client), optional
+   * @param {Object} options.usageLedger - UsageLedger for month-to-date gauges, optional
+   * @param {Object} options.metrics - MetricsRegistry (defaults to the shared one)
+   * @param {Object} options.env - Environment to check credentials in (defaults to process.env)
+   */
+  constructor({ socketClient = null, usageLedger = null, metrics = getMetrics(), env = process.env } = {}) {
+    this.usageLedger = usageLedger;
+    this.metrics = metrics;
+    this.env = env;
+    this.startedAt = Date.now();
+    this.server = null;
+
+    this.socketConnected = false;
+    this.socketState = socketClient ? 'connecting' : 'unavailable';
+    if (socketClient) {
+      this.trackSocket(socketClient);
+    }
+
+    this.app = express();
+    this.app.get('/healthz', (req, res) => this.handleHealth(req, res));
+    this.app.get('/readyz', (req, res) => this.handleReady(req, res));
+    this.app.get('/metrics', (req, res) => this.handleMetrics(req, res));
+  }
+
+  /**
+   * Follow the Socket Mode connection through its state events
+   * @param {Object} socketClient - Socket Mode client (an EventEmitter)
+   */
+  trackSocket(socketClient) {
+    socketClient.on('connected', () => {
+      this.socketConnected = true;
+      this.socketState = 'connected';
+    });
+
+    DISCONNECTED_STATES.forEach(state => {
+      socketClient.on(state, () => {
+        this.socketConnected = false;
+        this.socketState = state;
+      });
+    });
+  }
+
+  /**
+   * Credentials that are required but not set
+   * @returns {Array<string>} - Missing environment variable names
+   */
+  missingCredentials() {
+    return REQUIRED_CREDENTIALS.filter(name => !this.env[name]);
+  }
+
+  /**
+   * Readiness checks
+   * @returns {Object} - { ready, checks: { socketMode, credentials } }
+   */
+  readiness() {
+    const missing = this.missingCredentials();
+    const checks = {
+      socketMode: { ok: this.socketConnected, state: this.socketState },
+      credentials: missing.length === 0 ? { ok: true } : { ok: false, missing }
+    };
+    return { ready: checks.socketMode.ok && checks.credentials.ok, checks };
+  }
+
+  /**
+   * GET /healthz: the process is up and serving requests
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  handleHealth(req, res) {
+    res.json({ status: 'ok', uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000) });
+  }
+
+  /**
+   * GET /readyz: 200 when every readiness check passes, 503 with the failing checks otherwise
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  handleReady(req, res) {
+    const { ready, checks } = this.readiness();
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+  }
+
+  /**
+   * GET /metrics: refresh the point-in-time gauges and render every metric
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async handleMetrics(req, res) {
+    this.metrics.set('socket_mode_connected', {}, this.socketConnected ? 1 : 0);
+    this.metrics.set('uptime_seconds', {}, Math.round((Date.now() - this.startedAt) / 1000));
+
+    if (this.usageLedger) {
+      try {
+        const month = await this.usageLedger.getMonth();
+        this.metrics.set('month_serper_queries', {}, month.serperQueries || 0);
+        this.metrics.set('month_claude_tokens', {}, (month.claudeInputTokens || 0) + (month.claudeOutputTokens || 0));
+        this.metrics.set('month_claude_cost_usd', {}, month.claudeCostUsd || 0);
+      } catch (ledgerError) {
+        // Serve the in-process metrics even if the ledger file cannot be read
+        logger.warn('Could not read usage ledger for metrics', { error: ledgerError });
+      }
+    }
+
+    res.set('Content-Type', 'text/plain; charset=utf-8; version=0.0.4').send(this.metrics.render());
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port (defaults to PORT or 3000)
+   * @returns {Promise<Object>} - Node http.Server
+   */
+  async start(port = parseInt(this.env.PORT, 10) || DEFAULT_PORT) {
+    this.server = await new Promise((resolve, reject) => {
+      const server = this.app.listen(port, () => resolve(server));
+      server.once('error', reject);
+    });
+    logger.info('Health server listening', { port: this.server.address().port });
+    return this.server;
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+  }
+}
+
+module.exports = {
+  HealthServer,
+  REQUIRED_CREDENTIALS
+};
@@ -0,0 +1,229 @@
+const { buildReportMessage } = require('./report-blocks');
+const { UsageLedger } = require('./usage-ledger');
+const { parseTimeRange } = require('./time-range');
+const { createLogger, correlated } = require('./logger');
+
+const logger = createLogger('listen-command');
+
+/**
+ * /listen Slash Command
+ * Ad-hoc analyses and report management outside of Workflow Builder
+ *
+ *   /listen run <brand> [vs <competitor, competitor>] [--range 30d|2025-01-01..2025-01-15] [--platforms reddit,linkedin] [--subreddits SaaS,webdev|all] [--refresh]
+ *   /listen history <brand>
+ *   /listen status
+ */
+
+const USAGE = [
+  '*Usage:*',
+  '• `/listen run <brand> vs <competitors> --range 30d --platforms reddit,linkedin --subreddits SaaS,webdev`',
+  '• `/listen run <brand> --range 2025-01-01 to 2025-01-15` (explicit dates)',
+  '• `/listen run <brand> --refresh` (skip cached Reddit/Serper responses)',
+  '• `/listen history <brand>`',
+  '• `/listen status` (APIs, schedules and this month\'s usage against budgets)'
+].join('\n');
+
+// Flags that take no value
+const BOOLEAN_FLAGS = ['refresh'];
+
+const RANGE_UNITS = {
+  h: 'hours',
+  d: 'days',
+  w: 'weeks',
+  m: 'months',
+  y: 'years'
+};
+
+/**
+ * Expand a shorthand range ("30d", "24h") into the human-readable form the services expect
+ * @param {string} range - Range flag value
+ * @returns {string} - e.g. "30 days"
+ */
+function expandRange(range) {
+  const match = String(range || '').trim().toLowerCase().match(/^(\d+)\s*([hdwmy])$/);
+  if (!match) {
+    return range;
+  }
+  return `${match[1]} ${RANGE_UNITS[match[2]]}`;
+}
+
+/**
+ * Parse the text of a /listen command
+ * A flag's value runs until the next --flag, so ranges like "--range 2025-01-01 to 2025-01-15" work
+ * @param {string} text - Command text after "/listen"
+ * @returns {Object} - { subcommand, brand, competitors, timeRange, timeRangeLabel, platforms, subreddits, refresh, error }
+ */
+function parseListenCommand(text) {
+  const tokens = String(text || '').trim().split(/\s+/).filter(Boolean);
+  const subcommand = (tokens.shift() || 'help').toLowerCase();
+
+  // Pull out --flag value pairs, keep everything else as positional text
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const flagMatch = tokens[i].match(/^--([a-z-]+)(?:=(.*))?$/i);
+    if (flagMatch && BOOLEAN_FLAGS.includes(flagMatch[1].toLowerCase())) {
+      flags[flagMatch[1].toLowerCase()] = flagMatch[2] === undefined || !/^(false|no|0)$/i.test(flagMatch[2]);
+    } else if (flagMatch) {
+      const words = flagMatch[2] !== undefined ? [flagMatch[2]] : [];
+      while (i + 1 < tokens.length && !/^--[a-z-]+/i.test(tokens[i + 1])) {
+        words.push(tokens[++i]);
+      }
+      flags[flagMatch[1].toLowerCase()] = words.join(' ');
+    } else {
+      positional.push(tokens[i]);
+    }
+  }
+
+  const subject = positional.join(' ');
+  const [brandPart, competitorPart] = subject.split(/\s+vs\.?\s+/i);
+
+  const parsed = {
+    subcommand,
+    brand: (brandPart || '').trim(),
+    competitors: (competitorPart || '').trim(),
+    timeRange: flags.range ? expandRange(flags.range) : '7 days',
+    platforms: flags.platforms || 'all',
+    subreddits: flags.subreddits || '',
+    refresh: Boolean(flags.refresh),
+    error: null
+  };
+
+  if ((subcommand === 'run' || subcommand === 'history') && !parsed.brand) {
+    parsed.error = `Please provide a brand, e.g. \`/listen ${subcommand} Slackbot\``;
+  }
+
+  // Reject an unreadable range instead of letting the analysis fall back to 7 days
+  const range = parseTimeRange(parsed.timeRange);
+  if (range) {
+    parsed.timeRangeLabel = range.label;
+  } else if (!parsed.error) {
+    parsed.error = `Could not read the time range \`${flags.range}\`. Try \`30d\`, \`2 weeks\`, \`since 2025-01-01\` or \`2025-01-01..2025-01-15\``;
+  }
+
+  return parsed;
+}
+
+/**
+ * Format stored runs for /listen history
+ * @param {string} brand - Brand name
+ * @param {Array} runs - Report records (oldest first)
+ * @returns {string} - Slack mrkdwn text
+ */
+function formatHistory(brand, runs) {
+  if (runs.length === 0) {
+    return `No stored reports for *${brand}* yet. Run \`/listen run ${brand}\` to create one.`;
+  }
+
+  const lines = runs.slice(-10).reverse().map(run => {
+    const sentiment = run.sentiment
+      ? `${run.sentiment.positive ?? '?'}% 👍 / ${run.sentiment.neutral ?? '?'}% 😐 / ${run.sentiment.negative ?? '?'}% 👎`
+      : 'sentiment n/a';
+    const volume = run.aggregateStats ? `${run.aggregateStats.totalSources} mentions` : 'volume n/a';
+    const critical = run.sections && run.sections.hasCriticalIssues ? ' ⚠️' : '';
+    return `• ${run.timestamp.replace('T', ' ').slice(0, 16)} UTC (${run.timeRange}) — ${sentiment}, ${volume}${critical}`;
+  });
+
+  return `*Report history for ${brand}* (${runs.length} stored, latest first)\n${lines.join('\n')}`;
+}
+
+/**
+ * Format app status for /listen status
+ * @param {Array} schedules - Output of Scheduler.describe()
+ * @param {Object|null} budget - Output of UsageLedger.checkBudget()
+ * @returns {string} - Slack mrkdwn text
+ */
+function formatStatus(schedules, budget = null) {
+  const configured = (value) => (value ? '✅ configured' : '⚪ not configured');
+
+  const lines = [
+    '*Social Listening status*',
+    `• Uptime: ${Math.round(process.uptime() / 60)} min`,
+    `• Claude API: ${configured(process.env.ANTHROPIC_API_KEY)}`,
+    `• Reddit API: ${configured(process.env.REDDIT_CLIENT_ID && process.env.REDDIT_CLIENT_SECRET)}`,
+    `• Serper API: ${configured(process.env.SERPER_API_KEY)}`,
+    `• Schedules: ${schedules.length}`
+  ];
+
+  schedules.forEach(schedule => {
+    const lastRun = schedule.lastRunAt ? `last run ${schedule.lastRunAt.slice(0, 16)} (${schedule.lastStatus})` : 'never run';
+    lines.push(`   ◦ \`${schedule.id}\` ${schedule.brand} → <#${schedule.channel}> \`${schedule.cron}\` — ${lastRun}`);
+  });
+
+  if (budget) {
+    lines.push(...UsageLedger.formatBudget(budget));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Register the /listen command on a Bolt app
+ * @param {Object} app - Bolt app
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.analyze - Analysis function (brand, competitors, timeRange, platforms, options)
+ * @param {Object} deps.reportStore - Report store
+ * @param {Object} deps.scheduler - Scheduler
+ * @param {Object} deps.usageLedger - Usage ledger
+ */
+function registerListenCommand(app, { analyze, reportStore, scheduler, usageLedger }) {
+  app.command('/listen', correlated('listen', async ({ command, ack, respond }) => {
+    // Slack requires an acknowledgement within 3 seconds
+    await ack();
+
+    const parsed = parseListenCommand(command.text);
+    logger.info('/listen received', { subcommand: parsed.subcommand, user: command.user_id, channel: command.channel_id });
+
+    if (parsed.error) {
+      await respond({ response_type: 'ephemeral', text: `${parsed.error}\n\n${USAGE}` });
+      return;
+    }
+
+    try {
+      switch (parsed.subcommand) {
+        case 'run': {
+          await respond({
+            response_type: 'ephemeral',
+            text: `🔍 Analyzing *${parsed.brand}*${parsed.competitors ? ` vs ${parsed.competitors}` : ''} over ${parsed.timeRangeLabel}. This can take a minute...`
+          });
+
+          const analysis = await analyze(parsed.brand, parsed.competitors, parsed.timeRange, parsed.platforms, {
+            subreddits: parsed.subreddits,
+            refresh: parsed.refresh
+          });
+
+          await respond({
+            response_type: 'in_channel',
+            ...buildReportMessage(analysis, parsed)
+          });
+          break;
+        }
+
+        case 'history': {
+          const runs = await reportStore.getHistory(parsed.brand);
+          await respond({ response_type: 'ephemeral', text: formatHistory(parsed.brand, runs) });
+          break;
+        }
+
+        case 'status': {
+          const schedules = scheduler ? await scheduler.describe() : [];
+          const budget = usageLedger ? await usageLedger.checkBudget() : null;
+          await respond({ response_type: 'ephemeral', text: formatStatus(schedules, budget) });
+          break;
+        }
+
+        default:
+          await respond({ response_type: 'ephemeral', text: USAGE });
+      }
+
+    } catch (error) {
+      logger.error('/listen failed', { subcommand: parsed.subcommand, error });
+      await respond({
+        response_type: 'ephemeral',
+        text: `⚠️ \`/listen ${parsed.subcommand}\` failed: ${error.message}`
+      });
+    }
+  }));
+}
+
+module.exports = { registerListenCommand, parseListenCommand, expandRange, formatHistory, formatStatus };
@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Logger
+ * Leveled JSON logs with a per-run correlation ID and redaction of credentials and user content.
+ * The correlation ID is set once per run (withCorrelation) and carried through every awaited
+ * call, so Reddit, Serper, aggregator and Claude logs of one execution share it.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LEVEL = 'info';
+
+// Field names whose string values are credentials; always redacted (token counts stay)
+const SECRET_KEY_PATTERN = /token|secret|password|passwd|api[-_]?key|authorization|cookie|credential/i;
+
+// Field names holding user or third-party content (posts, messages, reports, prompts)
+const CONTENT_KEYS = new Set([
+  'text', 'title', 'body', 'selftext', 'snippet', 'content', 'description', 'comment', 'comments',
+  'prompt', 'blocks', 'report_blocks', 'full_report', 'fullReport'
+]);
+
+// Credentials recognizable by their shape, wherever they appear in a string
+const TOKEN_PATTERNS = [
+  /xox[abposre]-[A-Za-z0-9-]+/g,
+  /xapp-[A-Za-z0-9-]+/g,
+  /sk-ant-[A-Za-z0-9_-]+/g,
+  /Bearer\s+[A-Za-z0-9._~+/=-]+/gi
+];
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+const correlation = new AsyncLocalStorage();
+
+/**
+ * Run a function with a correlation ID attached to every log line it produces
+ * @param {string} correlationId - Correlation ID (a function_execution_id, or newCorrelationId())
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} - Result of fn
+ */
+function withCorrelation(correlationId, fn) {
+  return correlation.run({ correlationId }, fn);
+}
+
+/**
+ * Correlation ID of the current run
+ * @returns {string|null} - Correlation ID, or null outside a run
+ */
+function getCorrelationId() {
+  const store = correlation.getStore();
+  return store ? store.correlationId : null;
+}
+
+/**
+ * Correlation ID for runs that have no function_execution_id (slash command, schedules, buttons)
+ * @param {string} prefix - Where the run started, e.g. 'listen' or 'schedule'
+ * @returns {string} - e.g. "listen-3f9a1c2e"
+ */
+function newCorrelationId(prefix) {
+  return `${prefix}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Wrap a Slack listener so each invocation runs under a fresh correlation ID
+ * @param {string} prefix - Where the run started, e.g. 'listen'
+ * @param {Function} handler - async (args) => void
+ * @returns {Function} - Wrapped listener
+ */
+function correlated(prefix, handler) {
+  return (...args) => withCorrelation(newCorrelationId(prefix), () => handler(...args));
+}
+
+/**
+ * Configured log level
+ * @returns {string} - LOG_LEVEL if valid, else info
+ */
+function currentLevel() {
+  const level = (process.env.LOG_LEVEL || '').toLowerCase();
+  return LEVELS[level] !== undefined ? level : DEFAULT_LEVEL;
+}
+
+/**
+ * Values of credential environment variables, so they are scrubbed even without a known shape
+ * (Serper and Reddit keys have none)
+ * @returns {Array<string>} - Secret values
+ */
+function secretValues() {
+  return Object.keys(process.env)
+    .filter(name => SECRET_KEY_PATTERN.test(name))
+    .map(name => process.env[name])
+    .filter(value => value && value.length >= 8);
+}
+
+/**
+ * Remove credentials from a string
+ * @param {string} text - Text
+ * @param {Array<string>} secrets - Output of secretValues()
+ * @returns {string} - Scrubbed text
+ */
+function scrub(text, secrets = secretValues()) {
+  let result = TOKEN_PATTERNS.reduce((current, pattern) => current.replace(pattern, REDACTED), text);
+  secrets.forEach(secret => {
+    result = result.split(secret).join(REDACTED);
+  });
+  return result;
+}
+
+/**
+ * Copy of a log field value with credentials and (unless LOG_INCLUDE_CONTENT=true) user content removed
+ * @param {*} value - Value
+ * @param {Object} options - { secrets, includeContent }
+ * @param {string} key - Field name the value is stored under
+ * @param {number} depth - Nesting depth
+ * @param {WeakSet} seen - Objects already visited
+ * @returns {*} - Redacted value
+ */
+function redact(value, options = {}, key = '', depth = 0, seen = new WeakSet()) {
+  const secrets = options.secrets || secretValues();
+  const includeContent = options.includeContent !== undefined
+    ? options.includeContent
+    : process.env.LOG_INCLUDE_CONTENT === 'true';
+
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (key && typeof value === 'string' && SECRET_KEY_PATTERN.test(key)) {
+    return REDACTED;
+  }
+  if (key && !includeContent && CONTENT_KEYS.has(key)) {
+    if (typeof value === 'string') {
+      return `[content: ${value.length} chars]`;
+    }
+    return Array.isArray(value) ? `[content: ${value.length} items]` : '[content]';
+  }
+  if (typeof value === 'string') {
+    return scrub(value, secrets);
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: scrub(value.message || '', secrets),
+      ...(value.code ? { code: value.code } : {}),
+      ...(value.status || value.statusCode ? { status: value.status || value.statusCode } : {}),
+      ...(value.stack ? { stack: scrub(value.stack, secrets) } : {})
+    };
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (seen.has(value)) {
+    return '[circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[truncated]';
+  }
+  seen.add(value);
+
+  const next = { secrets, includeContent };
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, next, '', depth + 1, seen));
+  }
+  const result = {};
+  Object.keys(value).forEach(field => {
+    result[field] = redact(value[field], next, field, depth + 1, seen);
+  });
+  return result;
+}
+
+class Logger {
+  /**
+   * @param {string} component - Module or subsystem name, e.g. 'reddit'
+   * @param {Object} bindings - Fields added to every line
+   */
+  constructor(component, bindings = {}) {
+    this.component = component;
+    this.bindings = bindings;
+  }
+
+  /**
+   * Logger with extra fields on every line
+   * @param {Object} bindings - Fields to add
+   * @returns {Logger} - Child logger
+   */
+  child(bindings) {
+    return new Logger(this.component, { ...this.bindings, ...bindings });
+  }
+
+  /**
+   * Whether lines at a level are written
+   * @param {string} level - debug, info, warn or error
+   * @returns {boolean} - True if enabled
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[currentLevel()];
+  }
+
+  /**
+   * Log at debug level
+   * @param {string} message - Message
+   * @param {Object|Error} fields - Structured fields
+   */
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  /**
+   * Log at info level
+   * @param {string} message - Message
+   * @param {Object|Error} fields - Structured fields
+   */
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  /**
+   * Log at warn level
+   * @param {string} message - Message
+   * @param {Object|Error} fields - Structured fields
+   */
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  /**
+   * Log at error level
+   * @param {string} message - Message
+   * @param {Object|Error} fields - Structured fields
+   */
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  /**
+   * Write one line: JSON by default, or readable text with LOG_FORMAT=pretty
+   * @param {string} level - Level
+   * @param {string} message - Message
+   * @param {Object} fields - Structured fields (an Error is logged as { error })
+   */
+  write(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const secrets = secretValues();
+    const correlationId = getCorrelationId();
+    const extra = fields instanceof Error ? { error: fields } : fields;
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      component: this.component,
+      ...(correlationId ? { correlationId } : {}),
+      msg: scrub(String(message), secrets),
+      ...redact({ ...this.bindings, ...extra }, { secrets })
+    };
+
+    const line = process.env.LOG_FORMAT === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    // Through console so warnings and errors land on stderr
+    if (level === 'error') {
+      console.error(line);
+    } else if (level === 'warn') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+/**
+ * Readable single-line rendering for local development
+ * @param {Object} entry - Log entry
+ * @returns {string} - e.g. "09:00:01 INFO  [reddit] (Fx01) Found posts {"count":12}"
+ */
+function formatPretty(entry) {
+  const { time, level, component, correlationId, msg, ...fields } = entry;
+  const context = correlationId ? ` (${correlationId})` : '';
+  const rest = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time.slice(11, 19)} ${level.toUpperCase().padEnd(5)} [${component}]${context} ${msg}${rest}`;
+}
+
+/**
+ * Create a logger for a module
+ * @param {string} component - Module or subsystem name
+ * @returns {Logger} - Logger
+ */
+function createLogger(component) {
+  return new Logger(component);
+}
+
+/**
+ * Adapt a Logger to the @slack/logger interface Bolt, the Web API client and Socket Mode use
+ * The level (SLACK_LOG_LEVEL) applies on top of LOG_LEVEL, so LOG_LEVEL=debug does not also
+ * turn on Socket Mode's per-ping debug lines. Bolt shares one instance with its clients and each
+ * of them calls setLevel and setName, so both are ignored and the level given here stays
+ * @param {Logger} logger - Logger to write through
+ * @param {string} level - Slack library level (defaults to info)
+ * @returns {Object} - { debug, info, warn, error, setLevel, getLevel, setName }
+ */
+function createBoltLogger(logger, level) {
+  const boltLevel = LEVELS[String(level).toLowerCase()] !== undefined ? String(level).toLowerCase() : DEFAULT_LEVEL;
+
+  const log = (lineLevel, args) => {
+    if (LEVELS[lineLevel] < LEVELS[boltLevel]) {
+      return;
+    }
+    const text = args.filter(arg => typeof arg !== 'object' || arg === null).map(String).join(' ');
+    const objects = args.filter(arg => typeof arg === 'object' && arg !== null);
+    logger.write(lineLevel, text, objects.length > 0 ? { details: objects } : {});
+  };
+
+  return {
+    debug: (...args) => log('debug', args),
+    info: (...args) => log('info', args),
+    warn: (...args) => log('warn', args),
+    error: (...args) => log('error', args),
+    setLevel: () => {},
+    getLevel: () => boltLevel,
+    setName: () => {}
+  };
+}
+
+module.exports = {
+  Logger,
+  createLogger,
+  createBoltLogger,
+  withCorrelation,
+  getCorrelationId,
+  newCorrelationId,
+  correlated,
+  redact
+};
@@ -0,0 +1,170 @@
+/**
+ * Metrics
+ * In-process counters, gauges and histograms rendered in the Prometheus text format
+ * for the /metrics endpoint
+ */
+
+const PREFIX = 'social_listening_';
+
+// Run durations in seconds; a full run with competitors usually takes 30-120s
+const DURATION_BUCKETS = [5, 15, 30, 60, 120, 300, 600];
+
+const METRICS = {
+  runs_total: { type: 'counter', help: 'Analysis runs by outcome (success, error, refused) and data source' },
+  run_duration_seconds: { type: 'histogram', help: 'Analysis run duration', buckets: DURATION_BUCKETS },
+  provider_requests_total: { type: 'counter', help: 'Outbound request attempts per provider' },
+  provider_retries_total: { type: 'counter', help: 'Outbound requests retried after a transient failure, per provider' },
+  provider_errors_total: { type: 'counter', help: 'Outbound requests that failed for good, per provider and reason' },
+  serper_queries_total: { type: 'counter', help: 'Serper queries sent' },
+  reddit_calls_total: { type: 'counter', help: 'Reddit API calls sent' },
+  claude_calls_total: { type: 'counter', help: 'Claude API calls sent' },
+  claude_tokens_total: { type: 'counter', help: 'Claude tokens used, by type (input, output)' },
+  month_serper_queries: { type: 'gauge', help: 'Serper queries recorded in the usage ledger this month' },
+  month_claude_tokens: { type: 'gauge', help: 'Claude tokens recorded in the usage ledger this month' },
+  month_claude_cost_usd: { type: 'gauge', help: 'Estimated Claude spend recorded in the usage ledger this month' },
+  socket_mode_connected: { type: 'gauge', help: '1 while the Slack Socket Mode connection is open' },
+  uptime_seconds: { type: 'gauge', help: 'Seconds since the process started' }
+};
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string} - Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set
+ * @param {Object} labels - Label names and values
+ * @returns {string} - e.g. '{provider="serper"}', or '' without labels
+ */
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+  if (names.length === 0) {
+    return '';
+  }
+  return `{${names.map(name => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+}
+
+class MetricsRegistry {
+  constructor() {
+    // Per metric: Map of serialized labels to { labels, value } or histogram state
+    this.series = {};
+    Object.keys(METRICS).forEach(name => {
+      this.series[name] = new Map();
+    });
+  }
+
+  /**
+   * Add to a counter
+   * @param {string} name - Metric name without prefix
+   * @param {Object} labels - Labels
+   * @param {number} value - Amount (defaults to 1)
+   */
+  increment(name, labels = {}, value = 1) {
+    if (!value) {
+      return;
+    }
+    const entry = this.entry(name, labels, () => ({ labels, value: 0 }));
+    entry.value += value;
+  }
+
+  /**
+   * Set a gauge
+   * @param {string} name - Metric name without prefix
+   * @param {Object} labels - Labels
+   * @param {number} value - Current value
+   */
+  set(name, labels = {}, value = 0) {
+    this.entry(name, labels, () => ({ labels, value: 0 })).value = value;
+  }
+
+  /**
+   * Record a histogram observation
+   * @param {string} name - Metric name without prefix
+   * @param {Object} labels - Labels
+   * @param {number} value - Observed value
+   */
+  observe(name, labels = {}, value = 0) {
+    const { buckets } = METRICS[name];
+    const entry = this.entry(name, labels, () => ({ labels, counts: buckets.map(() => 0), sum: 0, count: 0 }));
+    buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.counts[index]++;
+      }
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Find or create a series
+   * @param {string} name - Metric name without prefix
+   * @param {Object} labels - Labels
+   * @param {Function} create - () => new series state
+   * @returns {Object} - Series state
+   * @throws {Error} - For metrics not declared in METRICS
+   */
+  entry(name, labels, create) {
+    const series = this.series[name];
+    if (!series) {
+      throw new Error(`Unknown metric: ${name}`);
+    }
+    const key = formatLabels(labels);
+    if (!series.has(key)) {
+      series.set(key, create());
+    }
+    return series.get(key);
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   * @returns {string} - Metrics text
+   */
+  render() {
+    const lines = [];
+
+    Object.keys(METRICS).forEach(name => {
+      const { type, help, buckets } = METRICS[name];
+      const fullName = `${PREFIX}${name}`;
+      lines.push(`# HELP ${fullName} ${help}`);
+      lines.push(`# TYPE ${fullName} ${type}`);
+
+      this.series[name].forEach(entry => {
+        if (type !== 'histogram') {
+          lines.push(`${fullName}${formatLabels(entry.labels)} ${entry.value}`);
+          return;
+        }
+
+        buckets.forEach((bound, index) => {
+          lines.push(`${fullName}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`);
+        });
+        lines.push(`${fullName}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${fullName}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`${fullName}_count${formatLabels(entry.labels)} ${entry.count}`);
+      });
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+let defaultRegistry = null;
+
+/**
+ * Get the shared metrics registry
+ * @returns {MetricsRegistry} - Registry
+ */
+function getMetrics() {
+  if (!defaultRegistry) {
+    defaultRegistry = new MetricsRegistry();
+  }
+  return defaultRegistry;
+}
+
+module.exports = {
+  MetricsRegistry,
+  getMetrics
+};
@@ -1,12 +1,54 @@
 const snoowrap = require('snoowrap');
+const fs = require('fs');
+const path = require('path');
+const { resolveTimeRange, toRedditTimeFilter } = require('./time-range');
+const { getResponseCache, normalizeQuery } = require('./response-cache');
+const { recordCall } = require('./usage-ledger');
+const { getRequestPolicy, describeError } = require('./request-policy');
+const { getFixtureStore, REPLAY_CREDENTIAL } = require('./fixture-store');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('reddit');
+
+const DEFAULT_COMMENTS_PER_POST = 5;
+const DEFAULT_MAX_COMMENTS = 40;
+const DEFAULT_SUBREDDITS_FILE = path.join(__dirname, 'subreddits.json');
+const DISCOVERY_LIMIT = 5;
+const DISCOVERY_MIN_POSTS = 2;
+
+// Generic tech/business subreddits searched when no per-run or per-brand list is configured
+const DEFAULT_SUBREDDITS = [
+  'SaaS',
+  'technology',
+  'startups',
+  'Entrepreneur',
+  'smallbusiness',
+  'webdev',
+  'programming',
+  'software',
+  'business'
+];
 
 class RedditService {
-  constructor(clientId, clientSecret, userAgent) {
+  /**
+   * @param {string} clientId - Reddit app client ID
+   * @param {string} clientSecret - Reddit app client secret
+   * @param {string} userAgent - User agent string
+   * @param {Object} options - Targeting and comment ingestion options
+   * @param {Array} options.subreddits - Subreddits to search; ['all'] searches sitewide
+   * @param {boolean} options.discover - Also search the subreddits where the brand is most discussed
+   * @param {number} options.commentsPerPost - Top comments kept per post (0 disables comment fetching)
+   * @param {number} options.maxComments - Upper bound on comments across all posts, keeps the prompt bounded
+   * @param {Object} options.cache - Run cache context from createCacheContext()
+   * @param {Object} options.usage - Run usage counters from createUsageContext()
+   */
+  constructor(clientId, clientSecret, userAgent, options = {}) {
     if (!clientId || !clientSecret) {
       throw new Error('Reddit API credentials are required');
     }
 
-    this.reddit = new snoowrap({
+    // Replays never reach the API, so no client is created
+    this.reddit = getFixtureStore().replaying ? null : new snoowrap({
       userAgent: userAgent || 'social-listening-bot/1.0',
       clientId: clientId,
       clientSecret: clientSecret,
@@ -14,60 +56,81 @@ class RedditService {
       grantType: snoowrap.grantType.CLIENT_CREDENTIALS
     });
 
-    // Relevant subreddits for brand discussions
-    this.targetSubreddits = [
-      'SaaS',
-      'technology',
-      'startups',
-      'entrepreneur',
-      'smallbusiness',
-      'Entrepreneur',
-      'webdev',
-      'programming',
-      'software',
-      'business'
-    ];
+    // Subreddits for brand discussions (per-run or per-brand lists override the defaults)
+    this.targetSubreddits = normalizeSubreddits(options.subreddits);
+    if (this.targetSubreddits.length === 0) {
+      this.targetSubreddits = [...DEFAULT_SUBREDDITS];
+    }
+    this.sitewide = this.targetSubreddits.some(name => name.toLowerCase() === 'all');
+    this.discover = Boolean(options.discover);
+
+    this.commentsPerPost = options.commentsPerPost !== undefined ? options.commentsPerPost : DEFAULT_COMMENTS_PER_POST;
+    this.maxComments = options.maxComments !== undefined ? options.maxComments : DEFAULT_MAX_COMMENTS;
+    this.cache = options.cache || null;
+    this.usage = options.usage || null;
+    // Requests that still failed after retries, by kind
+    this.requestStats = {
+      search: { total: 0, failed: 0, error: null },
+      comments: { total: 0, failed: 0, error: null }
+    };
   }
 
   /**
    * Search Reddit for brand mentions
    * @param {string} brand - Brand or product name to search for
-   * @param {string} timeRange - Time range ('7 days', '24 hours', '30 days')
+   * @param {string|Object} timeRange - Time range ('7 days', '2025-01-01 to 2025-01-15') or resolved range
    * @returns {Promise<Array>} - Array of relevant posts
    */
   async searchReddit(brand, timeRange = '7 days') {
     try {
-      console.log(`🔍 Searching Reddit for brand: ${brand}, timeRange: ${timeRange}`);
+      logger.info('Searching Reddit', { brand, timeRange: resolveTimeRange(timeRange, getFixtureStore().now()).label });
 
       // Convert time range to Reddit's time filter format
       const timeFilter = this.parseTimeRange(timeRange);
 
-      // Perform searches across multiple subreddits
-      const searchPromises = this.targetSubreddits.map(subreddit =>
-        this.searchSubreddit(brand, subreddit, timeFilter)
-      );
+      let allPosts;
+
+      if (this.sitewide) {
+        logger.info('Searching Reddit sitewide (r/all)');
+        allPosts = await this.searchSitewide(brand, timeFilter, 50);
+      } else {
+        // Add subreddits where the brand is actually discussed
+        const discovered = this.discover ? await this.discoverSubreddits(brand, timeFilter) : [];
+        const subreddits = [...this.targetSubreddits, ...discovered];
+
+        logger.info('Searching subreddits', { subreddits });
+
+        // Perform searches across multiple subreddits
+        const searchPromises = subreddits.map(subreddit =>
+          this.searchSubreddit(brand, subreddit, timeFilter)
+        );
+
+        // Wait for all searches to complete
+        const results = await Promise.all(searchPromises);
 
-      // Wait for all searches to complete
-      const results = await Promise.all(searchPromises);
+        // Flatten results and remove nulls
+        allPosts = results.flat().filter(post => post !== null);
+      }
 
-      // Flatten results and remove nulls
-      const allPosts = results.flat().filter(post => post !== null);
+      // The same post can come back from more than one search
+      const seenIds = new Set();
+      allPosts = allPosts.filter(post => !seenIds.has(post.id) && seenIds.add(post.id));
 
-      console.log(`✅ Found ${allPosts.length} total Reddit posts`);
+      logger.info('Found Reddit posts', { posts: allPosts.length });
 
       // Filter by relevance and remove spam
       const relevantPosts = this.filterByRelevance(allPosts, brand);
 
-      console.log(`✅ Filtered to ${relevantPosts.length} relevant posts`);
+      logger.info('Filtered to relevant posts', { posts: relevantPosts.length });
 
       // Sort by engagement (upvotes + comments)
       const sortedPosts = this.sortByEngagement(relevantPosts);
 
-      // Return top 20 most relevant posts
-      return sortedPosts.slice(0, 20);
+      // Keep top 20 most relevant posts and attach their top comments
+      return this.attachComments(sortedPosts.slice(0, 20), brand);
 
     } catch (error) {
-      console.error('❌ Reddit API error:', error.message);
+      logger.error('Reddit API error', { error });
       throw new Error(`Reddit search failed: ${error.message}`);
     }
   }
@@ -80,24 +143,137 @@ class RedditService {
    * @returns {Promise<Array>} - Array of posts
    */
   async searchSubreddit(brand, subreddit, timeFilter) {
+    this.requestStats.search.total++;
     try {
-      const results = await this.reddit
-        .getSubreddit(subreddit)
-        .search({
+      const cacheKey = ['subreddit', subreddit.toLowerCase(), normalizeQuery(brand), timeFilter];
+      return await this.cached(cacheKey, async () => {
+        const results = await this.reddit
+          .getSubreddit(subreddit)
+          .search({
+            query: brand,
+            time: timeFilter,
+            sort: 'relevance',
+            limit: 10
+          });
+
+        return results.map(post => this.extractPostData(post, subreddit));
+      }, `r/${subreddit}`);
+
+    } catch (error) {
+      logger.warn('Could not search subreddit', { subreddit, reason: describeError(error) });
+      this.recordFailure('search', error);
+      return [];
+    }
+  }
+
+  /**
+   * Search all of Reddit
+   * @param {string} brand - Brand name
+   * @param {string} timeFilter - Reddit time filter
+   * @param {number} limit - Maximum number of posts
+   * @returns {Promise<Array>} - Array of posts
+   */
+  async searchSitewide(brand, timeFilter, limit) {
+    this.requestStats.search.total++;
+    try {
+      return await this.cached(['sitewide', normalizeQuery(brand), timeFilter, limit], async () => {
+        const results = await this.reddit.search({
           query: brand,
           time: timeFilter,
           sort: 'relevance',
-          limit: 10
+          limit
         });
 
-      return results.map(post => this.extractPostData(post, subreddit));
+        return results.map(post => this.extractPostData(post, post.subreddit ? post.subreddit.display_name : 'all'));
+      }, 'r/all');
 
     } catch (error) {
-      console.warn(`⚠️ Could not search r/${subreddit}:`, error.message);
+      logger.warn('Could not search r/all', { reason: describeError(error) });
+      this.recordFailure('search', error);
       return [];
     }
   }
 
+  /**
+   * Find the subreddits where the brand is discussed most, from a sitewide search
+   * @param {string} brand - Brand name
+   * @param {string} timeFilter - Reddit time filter
+   * @returns {Promise<Array>} - Subreddit names not already targeted
+   */
+  async discoverSubreddits(brand, timeFilter) {
+    const posts = this.filterByRelevance(await this.searchSitewide(brand, timeFilter, 100), brand);
+    const targeted = new Set(this.targetSubreddits.map(name => name.toLowerCase()));
+    const counts = {};
+
+    posts.forEach(post => {
+      if (!targeted.has(post.subreddit.toLowerCase())) {
+        counts[post.subreddit] = (counts[post.subreddit] || 0) + 1;
+      }
+    });
+
+    const discovered = Object.keys(counts)
+      .filter(name => counts[name] >= DISCOVERY_MIN_POSTS)
+      .sort((a, b) => counts[b] - counts[a])
+      .slice(0, DISCOVERY_LIMIT);
+
+    if (discovered.length > 0) {
+      logger.info('Discovered subreddits', { brand, subreddits: discovered.map(name => ({ name, posts: counts[name] })) });
+    }
+
+    return discovered;
+  }
+
+  /**
+   * Serve a Reddit API call from the response cache when fresh; calls that go out run
+   * through the shared request policy (retries, rate limits, circuit breaker) and are counted.
+   * In fixture mode the result is recorded, or replayed without calling Reddit
+   * @param {Array} cacheKey - Key parts (operation, normalized query, time filter...)
+   * @param {Function} fetcher - async () => extracted data
+   * @param {string} label - What is being requested, for logs
+   * @returns {Promise<*>} - Cached or fetched data
+   */
+  async cached(cacheKey, fetcher, label) {
+    return getFixtureStore().through('reddit', cacheKey, () => getResponseCache().wrap('reddit', cacheKey, () => getRequestPolicy('reddit').run(() => {
+      recordCall(this.usage, 'redditCalls');
+      return fetcher();
+    }, label), this.cache));
+  }
+
+  /**
+   * Count a request that failed after retries
+   * @param {string} kind - 'search' or 'comments'
+   * @param {Error} error - Last error
+   */
+  recordFailure(kind, error) {
+    this.requestStats[kind].failed++;
+    this.requestStats[kind].error = describeError(error);
+  }
+
+  /**
+   * Report whether failed requests cost this run Reddit data
+   * @returns {Array} - Empty, or [{ platform: 'reddit', status: 'failed'|'partial', error }]
+   */
+  platformFailures() {
+    const { search, comments } = this.requestStats;
+    if (search.failed === 0 && comments.failed === 0) {
+      return [];
+    }
+
+    const details = [];
+    if (search.failed > 0) {
+      details.push(`${search.failed} of ${search.total} searches failed (${search.error})`);
+    }
+    if (comments.failed > 0) {
+      details.push(`comments unavailable for ${comments.failed} of ${comments.total} posts (${comments.error})`);
+    }
+
+    return [{
+      platform: 'reddit',
+      status: search.total > 0 && search.failed >= search.total ? 'failed' : 'partial',
+      error: details.join('; ')
+    }];
+  }
+
   /**
    * Extract relevant data from a Reddit post
    * @param {Object} post - Reddit post object
@@ -121,6 +297,94 @@ class RedditService {
     };
   }
 
+  /**
+   * Fetch the top comments for each retained post
+   * Posts are processed in engagement order until maxComments is reached
+   * @param {Array} posts - Sorted posts
+   * @param {string} brand - Brand name to match
+   * @returns {Promise<Array>} - Posts with a comments array
+   */
+  async attachComments(posts, brand) {
+    if (this.commentsPerPost <= 0 || this.maxComments <= 0) {
+      return posts.map(post => ({ ...post, comments: [] }));
+    }
+
+    const commentLists = await Promise.all(posts.map(post =>
+      post.numComments > 0 ? this.fetchTopComments(post) : Promise.resolve([])
+    ));
+
+    let remaining = this.maxComments;
+    const withComments = posts.map((post, index) => {
+      const relevant = this.filterCommentsByRelevance(commentLists[index], brand)
+        .slice(0, Math.min(this.commentsPerPost, remaining));
+      remaining -= relevant.length;
+      return { ...post, comments: relevant };
+    });
+
+    const total = withComments.reduce((sum, post) => sum + post.comments.length, 0);
+    logger.info('Attached relevant Reddit comments', { comments: total });
+
+    return withComments;
+  }
+
+  /**
+   * Fetch top-level comments of a post, highest score first
+   * @param {Object} post - Extracted post data
+   * @returns {Promise<Array>} - Array of comment data
+   */
+  async fetchTopComments(post) {
+    this.requestStats.comments.total++;
+    try {
+      return await this.cached(['comments', post.id], async () => {
+        const submission = await this.reddit.getSubmission(post.id).fetch();
+
+        return Array.from(submission.comments || [])
+          .filter(comment => comment && typeof comment.body === 'string')
+          .map(comment => this.extractCommentData(comment))
+          .sort((a, b) => b.score - a.score);
+      }, `comments ${post.id}`);
+
+    } catch (error) {
+      logger.warn('Could not fetch comments', { postId: post.id, reason: describeError(error) });
+      this.recordFailure('comments', error);
+      return [];
+    }
+  }
+
+  /**
+   * Extract relevant data from a Reddit comment
+   * @param {Object} comment - Reddit comment object
+   * @returns {Object} - Extracted comment data
+   */
+  extractCommentData(comment) {
+    return {
+      id: comment.id,
+      body: comment.body || '',
+      score: comment.score || 0,
+      author: comment.author ? comment.author.name : '[deleted]',
+      permalink: `https://reddit.com${comment.permalink}`,
+      created: new Date(comment.created_utc * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Filter comments with the same rules as posts
+   * (brand must be mentioned, no deleted/removed or downvoted comments)
+   * @param {Array} comments - Array of comments
+   * @param {string} brand - Brand name to match
+   * @returns {Array} - Filtered comments
+   */
+  filterCommentsByRelevance(comments, brand) {
+    const brandLower = brand.toLowerCase();
+
+    return comments.filter(comment =>
+      comment.author !== '[deleted]' &&
+      comment.body !== '[removed]' &&
+      comment.body.toLowerCase().includes(brandLower) &&
+      comment.score >= 1
+    );
+  }
+
   /**
    * Filter posts by relevance and remove spam
    * @param {Array} posts - Array of posts
@@ -224,6 +488,11 @@ class RedditService {
         formatted += `   Snippet: "${snippet}${post.body.length > 200 ? '...' : ''}"\n`;
       }
 
+      (post.comments || []).forEach(comment => {
+        const snippet = comment.body.substring(0, 200).replace(/\n/g, ' ');
+        formatted += `   ↳ Comment (score ${comment.score}, u/${comment.author}): "${snippet}${comment.body.length > 200 ? '...' : ''}"\n`;
+      });
+
       formatted += `\n`;
     });
 
@@ -232,39 +501,104 @@ class RedditService {
 
   /**
    * Parse time range to Reddit's time filter format
-   * @param {string} timeRange - Human-readable time range
+   * Picks the narrowest filter that still reaches the window start; posts outside
+   * the exact window are dropped afterwards by their timestamps
+   * @param {string|Object} timeRange - Human-readable time range or resolved range
    * @returns {string} - Reddit time filter (hour, day, week, month, year, all)
    */
   parseTimeRange(timeRange) {
-    const rangeLower = timeRange.toLowerCase();
-
-    if (rangeLower.includes('24') || rangeLower.includes('hour')) {
-      return 'day';
-    } else if (rangeLower.includes('7') || rangeLower.includes('week')) {
-      return 'week';
-    } else if (rangeLower.includes('30') || rangeLower.includes('month')) {
-      return 'month';
-    } else if (rangeLower.includes('year')) {
-      return 'year';
-    } else {
-      return 'week'; // Default to week
-    }
+    const now = getFixtureStore().now();
+    return toRedditTimeFilter(resolveTimeRange(timeRange, now), now);
   }
 }
 
+/**
+ * Normalize a subreddit list given as an array or comma-separated string
+ * @param {Array|string} subreddits - e.g. 'r/SaaS, webdev' or ['SaaS']
+ * @returns {Array} - Unique names without the r/ prefix
+ */
+function normalizeSubreddits(subreddits) {
+  const list = Array.isArray(subreddits) ? subreddits : String(subreddits || '').split(',');
+  const seen = new Set();
+
+  return list
+    .map(name => String(name).trim().replace(/^\/?r\//i, ''))
+    .filter(name => /^[A-Za-z0-9_]+$/.test(name))
+    .filter(name => !seen.has(name.toLowerCase()) && seen.add(name.toLowerCase()));
+}
+
+/**
+ * Load subreddit targeting from SUBREDDITS_FILE (defaults to ./subreddits.json)
+ * @param {string} file - Optional path override
+ * @returns {Object} - { default: Array, brands: Object, discover: boolean }
+ */
+function loadSubredditConfig(file = process.env.SUBREDDITS_FILE || DEFAULT_SUBREDDITS_FILE) {
+  const config = { default: [], brands: {}, discover: process.env.REDDIT_DISCOVER_SUBREDDITS === 'true' };
+
+  if (!fs.existsSync(file)) {
+    return config;
+  }
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+      default: normalizeSubreddits(parsed.default),
+      brands: parsed.brands && typeof parsed.brands === 'object' ? parsed.brands : {},
+      discover: typeof parsed.discover === 'boolean' ? parsed.discover : config.discover
+    };
+  } catch (error) {
+    logger.error('Could not load subreddits', { file, error });
+    return config;
+  }
+}
+
+/**
+ * Pick the subreddits for a run: per-run list, then per-brand list, then the configured default
+ * @param {string} brand - Brand name
+ * @param {Array|string} runSubreddits - Subreddits requested for this run
+ * @param {Object} config - Output of loadSubredditConfig()
+ * @returns {Array} - Subreddit names (empty means built-in defaults)
+ */
+function resolveSubreddits(brand, runSubreddits, config) {
+  const perRun = normalizeSubreddits(runSubreddits);
+  if (perRun.length > 0) {
+    return perRun;
+  }
+
+  const brandKey = Object.keys(config.brands).find(name => name.toLowerCase() === brand.toLowerCase());
+  const perBrand = brandKey ? normalizeSubreddits(config.brands[brandKey]) : [];
+
+  return perBrand.length > 0 ? perBrand : config.default;
+}
+
+/**
+ * Read a non-negative integer limit from an environment value
+ * @param {string} value - Raw value
+ * @param {number} fallback - Default when unset or invalid
+ * @returns {number} - Limit
+ */
+function readLimit(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
 /**
  * Main export function for Reddit search
  * @param {string} brand - Brand name
  * @param {string} timeRange - Time range
+ * @param {Object} options - { subreddits, comments, cache, usage } per-run subreddit list ('all' for sitewide),
+ *   comments: false to skip comment fetching, run cache context and usage counters
  * @returns {Promise<Object>} - Reddit data and formatted text
  */
-async function searchReddit(brand, timeRange = '7 days') {
-  const clientId = process.env.REDDIT_CLIENT_ID;
-  const clientSecret = process.env.REDDIT_CLIENT_SECRET;
+async function searchReddit(brand, timeRange = '7 days', options = {}) {
+  // Replays are served from recorded fixtures and need no credentials
+  const replayCredential = getFixtureStore().replaying ? REPLAY_CREDENTIAL : null;
+  const clientId = process.env.REDDIT_CLIENT_ID || replayCredential;
+  const clientSecret = process.env.REDDIT_CLIENT_SECRET || replayCredential;
   const userAgent = process.env.REDDIT_USER_AGENT;
 
   if (!clientId || !clientSecret) {
-    console.warn('⚠️ Reddit API credentials not configured, skipping Reddit search');
+    logger.warn('Reddit API credentials not configured, skipping Reddit search');
     return {
       posts: [],
       formattedText: 'Reddit data unavailable (API credentials not configured)',
@@ -273,7 +607,15 @@ async function searchReddit(brand, timeRange = '7 days') {
   }
 
   try {
-    const service = new RedditService(clientId, clientSecret, userAgent);
+    const config = loadSubredditConfig();
+    const service = new RedditService(clientId, clientSecret, userAgent, {
+      subreddits: resolveSubreddits(brand, options.subreddits, config),
+      discover: config.discover,
+      commentsPerPost: options.comments === false ? 0 : readLimit(process.env.REDDIT_COMMENTS_PER_POST, DEFAULT_COMMENTS_PER_POST),
+      maxComments: readLimit(process.env.REDDIT_MAX_COMMENTS, DEFAULT_MAX_COMMENTS),
+      cache: options.cache,
+      usage: options.usage
+    });
     const posts = await service.searchReddit(brand, timeRange);
     const sentiment = service.extractSentiment(posts);
     const formattedText = service.formatForClaude(posts);
@@ -281,17 +623,70 @@ async function searchReddit(brand, timeRange = '7 days') {
     return {
       posts,
       formattedText,
-      sentiment
+      sentiment,
+      failures: service.platformFailures()
     };
 
   } catch (error) {
-    console.error('❌ Reddit search failed:', error);
+    logger.error('Reddit search failed', { error });
     return {
       posts: [],
       formattedText: `Reddit search error: ${error.message}`,
-      sentiment: { avgScore: 0, totalEngagement: 0, sentiment: 'neutral' }
+      sentiment: { avgScore: 0, totalEngagement: 0, sentiment: 'neutral' },
+      failures: [{ platform: 'reddit', status: 'failed', error: error.message }]
     };
   }
 }
 
-module.exports = { RedditService, searchReddit };
+/**
+ * Source provider for the provider registry
+ */
+const redditProvider = {
+  name: 'reddit',
+  platforms: [
+    { key: 'reddit', label: 'Reddit', heading: 'REDDIT DATA', unit: 'posts' }
+  ],
+
+  isConfigured() {
+    return Boolean(process.env.REDDIT_CLIENT_ID && process.env.REDDIT_CLIENT_SECRET);
+  },
+
+  async fetch(brand, { timeRange = '7 days', window, subreddits, comments, cache, usage } = {}) {
+    return searchReddit(brand, window || timeRange, { subreddits, comments, cache, usage });
+  },
+
+  failures(redditData) {
+    return redditData.failures || [];
+  },
+
+  normalize(redditData) {
+    return (redditData.posts || []).map(post => ({
+      id: `reddit-${post.id}`,
+      platform: 'reddit',
+      title: post.title,
+      text: post.body,
+      url: post.permalink,
+      author: post.author,
+      createdAt: post.created,
+      context: `r/${post.subreddit}`,
+      engagement: { score: post.score, comments: post.numComments },
+      comments: (post.comments || []).map(comment => ({
+        id: `reddit-${comment.id}`,
+        text: comment.body,
+        url: comment.permalink,
+        author: comment.author,
+        createdAt: comment.created,
+        score: comment.score
+      }))
+    }));
+  }
+};
+
+module.exports = {
+  RedditService,
+  searchReddit,
+  redditProvider,
+  normalizeSubreddits,
+  loadSubredditConfig,
+  resolveSubreddits
+};
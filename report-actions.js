@@ -0,0 +1,183 @@
+const { REPORT_ACTION_IDS, buildReportMessage, renderSectionBlocks } = require('./report-blocks');
+const { getDefaultRegistry } = require('./source-providers');
+const { createLogger, correlated } = require('./logger');
+
+const logger = createLogger('report-actions');
+
+/**
+ * Report Actions
+ * Button handlers for reports the bot posts directly: show sources, re-run wider, escalate
+ */
+
+const RERUN_TIME_RANGE = '30 days';
+const MAX_MESSAGE_TEXT = 35000;
+
+/**
+ * Format stored raw sources as a Slack message
+ * @param {string} brand - Brand name
+ * @param {Object|null} sources - Record sources (mentions) keyed by platform
+ * @returns {string} - Slack mrkdwn text
+ */
+function formatSourceList(brand, sources) {
+  if (!sources) {
+    return `No collected sources for this *${brand}* report (it was generated from Claude training data).`;
+  }
+
+  const lines = [];
+  let total = 0;
+
+  const registry = getDefaultRegistry();
+
+  Object.keys(sources).forEach(key => {
+    const items = (sources[key] || []).filter(item => item.url);
+    if (items.length === 0) {
+      return;
+    }
+
+    const platform = registry.getPlatform(key);
+    total += items.length;
+    lines.push(`*${platform ? platform.label : key}* (${items.length})`);
+    items.forEach(item => {
+      const title = String(item.title || item.url).replace(/[<>|]/g, '').slice(0, 120);
+      lines.push(`• <${item.url}|${title}>`);
+    });
+    lines.push('');
+  });
+
+  if (total === 0) {
+    return `No collected sources for this *${brand}* report.`;
+  }
+
+  const text = `*Sources for ${brand}* (${total} collected)\n\n${lines.join('\n')}`;
+  return text.length > MAX_MESSAGE_TEXT ? `${text.slice(0, MAX_MESSAGE_TEXT)}\n…` : text;
+}
+
+/**
+ * Register report button handlers on a Bolt app
+ * @param {Object} app - Bolt app
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.analyze - Analysis function (brand, competitors, timeRange, platforms)
+ * @param {Object} deps.reportStore - Report store
+ * @param {string} deps.escalationChannel - Channel id that receives escalated concerns
+ */
+function registerReportActions(app, { analyze, reportStore, escalationChannel }) {
+  /**
+   * Post into the report's thread, falling back to an ephemeral reply if the bot cannot post there
+   */
+  const replyInThread = async ({ body, client, respond }, message) => {
+    try {
+      await client.chat.postMessage({
+        channel: body.channel.id,
+        thread_ts: body.message.thread_ts || body.message.ts,
+        unfurl_links: false,
+        unfurl_media: false,
+        ...message
+      });
+    } catch (error) {
+      logger.warn('Could not post in report thread, replying ephemerally', { error });
+      await respond({ response_type: 'ephemeral', replace_original: false, ...message });
+    }
+  };
+
+  const readValue = (action) => {
+    try {
+      return JSON.parse(action.value);
+    } catch (error) {
+      return {};
+    }
+  };
+
+  app.action(REPORT_ACTION_IDS.showSources, correlated('sources', async (args) => {
+    const { ack, action } = args;
+    await ack();
+
+    const { brand, reportId } = readValue(action);
+    logger.info('Show sources requested', { brand, reportId });
+
+    try {
+      const record = await reportStore.findById(brand, reportId);
+      const text = record
+        ? formatSourceList(brand, record.sources)
+        : `Report ${reportId} for *${brand}* is no longer stored.`;
+
+      await replyInThread(args, { text });
+    } catch (error) {
+      logger.error('Show sources failed', { error });
+      await replyInThread(args, { text: `⚠️ Could not load sources: ${error.message}` });
+    }
+  }));
+
+  app.action(REPORT_ACTION_IDS.rerun, correlated('rerun', async (args) => {
+    const { ack, action, body } = args;
+    await ack();
+
+    const { brand, competitors, platforms } = readValue(action);
+    logger.info('Re-run requested', { brand, timeRange: RERUN_TIME_RANGE, user: body.user.id });
+
+    try {
+      await replyInThread(args, { text: `🔁 <@${body.user.id}> re-running *${brand}* over the last ${RERUN_TIME_RANGE}...` });
+
+      const analysis = await analyze(brand, competitors || '', RERUN_TIME_RANGE, platforms || 'all');
+      const meta = { brand, competitors, platforms, timeRange: RERUN_TIME_RANGE };
+
+      await replyInThread(args, buildReportMessage(analysis, meta));
+    } catch (error) {
+      logger.error('Re-run failed', { error });
+      await replyInThread(args, { text: `⚠️ Re-run failed: ${error.message}` });
+    }
+  }));
+
+  app.action(REPORT_ACTION_IDS.escalate, correlated('escalate', async (args) => {
+    const { ack, action, body, client } = args;
+    await ack();
+
+    const { brand, reportId } = readValue(action);
+    logger.info('Escalation requested', { brand, reportId, user: body.user.id });
+
+    if (!escalationChannel) {
+      await replyInThread(args, { text: '⚠️ No escalation channel configured (set ESCALATION_CHANNEL_ID).' });
+      return;
+    }
+
+    try {
+      const record = await reportStore.findById(brand, reportId);
+      if (!record) {
+        await replyInThread(args, { text: `Report ${reportId} for *${brand}* is no longer stored.` });
+        return;
+      }
+
+      let permalink = '';
+      try {
+        const result = await client.chat.getPermalink({ channel: body.channel.id, message_ts: body.message.ts });
+        permalink = result.permalink;
+      } catch (error) {
+        logger.warn('Could not fetch report permalink', { error });
+      }
+
+      await client.chat.postMessage({
+        channel: escalationChannel,
+        text: `🚨 Escalated concerns for ${brand}`,
+        unfurl_links: false,
+        unfurl_media: false,
+        blocks: [
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: `🚨 *Escalated by <@${body.user.id}>:* critical concerns for *${brand}*` +
+                (permalink ? ` (<${permalink}|original report>)` : '')
+            }
+          },
+          ...renderSectionBlocks(record.sections, 'negativeConcerns')
+        ]
+      });
+
+      await replyInThread(args, { text: `🚨 Concerns escalated to <#${escalationChannel}> by <@${body.user.id}>.` });
+    } catch (error) {
+      logger.error('Escalation failed', { error });
+      await replyInThread(args, { text: `⚠️ Escalation failed: ${error.message}` });
+    }
+  }));
+}
+
+module.exports = { registerReportActions, formatSourceList };
@@ -0,0 +1,340 @@
+/**
+ * Report Block Kit Renderer
+ * Turns parsed analysis sections into Slack Block Kit so bot-posted reports render properly
+ */
+
+const { formatWindow } = require('./time-range');
+const { DataAggregator } = require('./data-aggregator');
+
+const REPORT_SECTIONS = [
+  { key: 'sentimentSummary', title: '📊 Sentiment Breakdown', empty: 'Unable to determine sentiment distribution.' },
+  { key: 'positiveHighlights', title: '✅ Positive Highlights', empty: 'No significant positive highlights identified.' },
+  { key: 'negativeConcerns', title: '⚠️ Critical Concerns', empty: 'No critical concerns identified at this time.' },
+  { key: 'trendingTopics', title: '🔥 Trending Topics', empty: 'No trending topics detected.' },
+  { key: 'competitiveInsights', title: '🎯 Competitive Insights', empty: 'No competitive insights available.' }
+];
+
+// Slack Block Kit limits
+const MAX_SECTION_TEXT = 3000;
+const MAX_HEADER_TEXT = 150;
+const MAX_CONTEXT_ELEMENTS = 10;
+
+// Buttons on bot-posted reports (handled in report-actions.js)
+const REPORT_ACTION_IDS = {
+  showSources: 'report_show_sources',
+  rerun: 'report_rerun_30d',
+  escalate: 'report_escalate'
+};
+
+const URL_PATTERN = /https?:\/\/[^\s)>\]]+/g;
+
+/**
+ * Truncate text to a Block Kit field limit
+ * @param {string} text - Text
+ * @param {number} limit - Maximum length
+ * @returns {string} - Truncated text
+ */
+function truncate(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+/**
+ * Convert GitHub-style markdown to Slack mrkdwn
+ * @param {string} markdown - Markdown text
+ * @returns {string} - Slack mrkdwn text
+ */
+function toSlackMrkdwn(markdown) {
+  return String(markdown || '')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)]+)\)/g, '<$2|$1>')
+    .replace(/\*\*(.+?)\*\*/g, '*$1*')
+    .replace(/__(.+?)__/g, '*$1*')
+    .replace(/^#{1,6}\s+(.+)$/gm, '*$1*')
+    .replace(/^\s*[-*]\s+/gm, '• ')
+    .replace(/^-{3,}$/gm, '────────');
+}
+
+/**
+ * Pull URL citations out of a section so they can be shown as links
+ * @param {string} text - Section text
+ * @returns {Object} - { text: section text without URL citations, links: unique URLs }
+ */
+function extractSourceLinks(text) {
+  const links = [];
+  const addLink = (url) => {
+    const cleaned = url.replace(/[.,;]+$/, '');
+    if (!links.includes(cleaned)) {
+      links.push(cleaned);
+    }
+  };
+
+  // "(source: https://...)" citations are moved out of the bullet entirely
+  const stripped = String(text || '').replace(/\s*\((?:source|sources):\s*([^)]*https?:\/\/[^)]*)\)/gi, (match, inner) => {
+    (inner.match(URL_PATTERN) || []).forEach(addLink);
+    return '';
+  });
+
+  // Any other bare URLs stay inline but are listed as sources too
+  (stripped.match(URL_PATTERN) || []).forEach(addLink);
+
+  return { text: stripped.trim(), links };
+}
+
+/**
+ * Build a short label for a source link
+ * @param {string} url - Source URL
+ * @returns {string} - e.g. "reddit.com/r/SaaS/comments/…"
+ */
+function linkLabel(url) {
+  try {
+    const parsed = new URL(url);
+    return truncate(`${parsed.hostname.replace(/^www\./, '')}${parsed.pathname === '/' ? '' : parsed.pathname}`, 60);
+  } catch (error) {
+    return truncate(url, 60);
+  }
+}
+
+/**
+ * Render one report section (header, body and source links)
+ * @param {Object} analysis - Parsed analysis
+ * @param {string} key - Section key from REPORT_SECTIONS (e.g. "negativeConcerns")
+ * @returns {Array} - Block Kit blocks for the section
+ */
+function renderSectionBlocks(analysis, key) {
+  const section = REPORT_SECTIONS.find(candidate => candidate.key === key);
+  const { text, links } = extractSourceLinks(analysis[key]);
+
+  const blocks = [
+    {
+      type: 'header',
+      block_id: `${key}_header`,
+      text: { type: 'plain_text', text: section.title, emoji: true }
+    },
+    {
+      type: 'section',
+      block_id: `${key}_body`,
+      text: { type: 'mrkdwn', text: truncate(toSlackMrkdwn(text) || `_${section.empty}_`, MAX_SECTION_TEXT) }
+    }
+  ];
+
+  if (key === 'sentimentSummary' && (analysis.sentimentDelta || analysis.volumeDelta)) {
+    blocks.push({
+      type: 'context',
+      block_id: `${key}_delta`,
+      elements: [analysis.sentimentDelta, analysis.volumeDelta]
+        .filter(Boolean)
+        .map(delta => ({ type: 'mrkdwn', text: `📈 ${delta}` }))
+    });
+  }
+
+  if (links.length > 0) {
+    blocks.push({
+      type: 'context',
+      block_id: `${key}_sources`,
+      elements: links.slice(0, MAX_CONTEXT_ELEMENTS).map(url => ({
+        type: 'mrkdwn',
+        text: `🔗 <${url}|${linkLabel(url)}>`
+      }))
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Render share of voice as a Slack code-block table
+ * @param {Object} shareOfVoice - aggregateStats.shareOfVoice
+ * @returns {string} - mrkdwn text
+ */
+function formatShareOfVoiceText(shareOfVoice) {
+  return `${shareOfVoice.total} mentions from ${shareOfVoice.providers.join(' + ')} in the same window\n` +
+    `\`\`\`\n${DataAggregator.formatShareOfVoice(shareOfVoice)}\n\`\`\``;
+}
+
+/**
+ * Render the share-of-voice section
+ * @param {Object} shareOfVoice - aggregateStats.shareOfVoice
+ * @returns {Array} - Block Kit blocks
+ */
+function renderShareOfVoiceBlocks(shareOfVoice) {
+  return [
+    {
+      type: 'header',
+      block_id: 'shareOfVoice_header',
+      text: { type: 'plain_text', text: '📊 Share of Voice', emoji: true }
+    },
+    {
+      type: 'section',
+      block_id: 'shareOfVoice_body',
+      text: { type: 'mrkdwn', text: truncate(formatShareOfVoiceText(shareOfVoice), MAX_SECTION_TEXT) }
+    }
+  ];
+}
+
+/**
+ * Build the button row attached to reports the bot posts directly
+ * @param {Object} analysis - Analysis result (needs reportId from the report store)
+ * @param {Object} meta - { brand, competitors, platforms }
+ * @returns {Object|null} - Block Kit actions block, or null if the report was not stored
+ */
+function renderReportActions(analysis, { brand, competitors, platforms } = {}) {
+  if (!analysis.reportId || !brand) {
+    return null;
+  }
+
+  const value = JSON.stringify({
+    brand,
+    reportId: analysis.reportId,
+    competitors: competitors || '',
+    platforms: platforms || 'all'
+  });
+
+  return {
+    type: 'actions',
+    block_id: 'report_actions',
+    elements: [
+      {
+        type: 'button',
+        action_id: REPORT_ACTION_IDS.showSources,
+        text: { type: 'plain_text', text: '🔗 Show sources', emoji: true },
+        value
+      },
+      {
+        type: 'button',
+        action_id: REPORT_ACTION_IDS.rerun,
+        text: { type: 'plain_text', text: '🔁 Re-run with 30 days', emoji: true },
+        value
+      },
+      {
+        type: 'button',
+        action_id: REPORT_ACTION_IDS.escalate,
+        text: { type: 'plain_text', text: '🚨 Escalate', emoji: true },
+        style: 'danger',
+        value,
+        confirm: {
+          title: { type: 'plain_text', text: 'Escalate concerns?' },
+          text: { type: 'mrkdwn', text: 'This forwards the Critical Concerns section to the escalation channel.' },
+          confirm: { type: 'plain_text', text: 'Escalate' },
+          deny: { type: 'plain_text', text: 'Cancel' }
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Render a parsed analysis as Block Kit blocks
+ * @param {Object} analysis - Output of parseResponse() / analyzeSocialListening()
+ * @param {Object} meta - Report context
+ * @param {string} meta.brand - Brand name
+ * @param {string} meta.competitors - Competitors input
+ * @param {string} meta.timeRange - Time range input
+ * @returns {Array} - Block Kit blocks
+ */
+function renderReportBlocks(analysis, { brand, competitors, timeRange } = {}) {
+  const generated = analysis.timestamp || new Date().toISOString();
+  const dataSourceLabels = {
+    'real-time': '✅ Real-time API data',
+    partial: '⚠️ Partial API data',
+    fallback: '⚠️ Claude training data (API data unavailable)',
+    error: '❌ Analysis error'
+  };
+
+  const summaryContext = [
+    analysis.window
+      ? `*Time range:* ${timeRange || '7 days'} (${formatWindow(analysis.window)})`
+      : `*Time range:* ${timeRange || '7 days'}`,
+    `*Data:* ${dataSourceLabels[analysis.dataSource] || 'Unknown'}`,
+    `*Generated:* <!date^${Math.floor(Date.parse(generated) / 1000)}^{date_short_pretty} {time}|${generated}>`
+  ];
+  if (competitors) {
+    summaryContext.splice(1, 0, `*Competitors:* ${competitors}`);
+  }
+  if (analysis.platformIssues && analysis.platformIssues.length > 0) {
+    summaryContext.push(`*Platform issues:* ⚠️ ${analysis.platformIssues.map(issue => `${issue.label} ${issue.status}`).join(', ')}`);
+  }
+
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: truncate(`📣 Social Listening Report: ${brand || 'Brand'}`, MAX_HEADER_TEXT), emoji: true }
+    },
+    {
+      type: 'context',
+      elements: summaryContext.map(text => ({ type: 'mrkdwn', text }))
+    }
+  ];
+
+  if (analysis.hasCriticalIssues) {
+    const severity = analysis.criticalSeverity ? ` (severity: ${analysis.criticalSeverity})` : '';
+    const reasons = (analysis.severityReasons || []).map(reason => `\n• ${reason}`).join('');
+    blocks.push({
+      type: 'section',
+      block_id: 'critical_severity',
+      text: { type: 'mrkdwn', text: truncate(`🚨 *Critical issues detected*${severity} — see Critical Concerns below.${reasons}`, MAX_SECTION_TEXT) }
+    });
+  }
+
+  REPORT_SECTIONS.forEach(section => {
+    if (section.key === 'competitiveInsights' && analysis.shareOfVoice) {
+      blocks.push({ type: 'divider' });
+      blocks.push(...renderShareOfVoiceBlocks(analysis.shareOfVoice));
+    }
+    blocks.push({ type: 'divider' });
+    blocks.push(...renderSectionBlocks(analysis, section.key));
+  });
+
+  blocks.push({ type: 'divider' });
+  blocks.push({
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: '_Powered by Claude AI Social Listening System_' }]
+  });
+
+  return blocks;
+}
+
+/**
+ * Build plain-text fallback for notifications and clients without Block Kit
+ * @param {Object} analysis - Parsed analysis
+ * @param {string} brand - Brand name
+ * @returns {string} - Fallback text
+ */
+function reportFallbackText(analysis, brand) {
+  const firstLine = String(analysis.sentimentSummary || '').split('\n')[0].replace(/^[•\-*]\s*/, '');
+  return truncate(`Social Listening Report: ${brand}${firstLine ? ` — ${firstLine}` : ''}`, MAX_SECTION_TEXT);
+}
+
+/**
+ * Build a chat.postMessage / respond payload for a report, with action buttons
+ * @param {Object} analysis - Parsed analysis
+ * @param {Object} meta - { brand, competitors, timeRange, platforms }
+ * @returns {Object} - { text, blocks, unfurl_links, unfurl_media }
+ */
+function buildReportMessage(analysis, meta) {
+  const blocks = renderReportBlocks(analysis, meta);
+  const actions = renderReportActions(analysis, meta);
+
+  if (actions) {
+    blocks.push(actions);
+  }
+
+  return {
+    text: reportFallbackText(analysis, meta.brand),
+    blocks,
+    unfurl_links: false,
+    unfurl_media: false
+  };
+}
+
+module.exports = {
+  REPORT_SECTIONS,
+  REPORT_ACTION_IDS,
+  renderReportBlocks,
+  renderSectionBlocks,
+  renderReportActions,
+  renderShareOfVoiceBlocks,
+  formatShareOfVoiceText,
+  buildReportMessage,
+  reportFallbackText,
+  toSlackMrkdwn,
+  extractSourceLinks
+};
@@ -0,0 +1,303 @@
+/**
+ * Report Schema
+ * Structured (tool use) report format returned by Claude, its validator,
+ * and the renderer that produces the Slack-friendly section text
+ */
+
+const REPORT_TOOL_NAME = 'submit_social_listening_report';
+const SEVERITIES = ['critical', 'moderate', 'minor'];
+const TRENDS = ['improving', 'stable', 'declining'];
+const MAX_BULLETS = 3;
+
+const SOURCES_SCHEMA = {
+  type: 'array',
+  description: 'Source URLs (or platform names when no URL is available) backing this bullet',
+  items: { type: 'string' }
+};
+
+const BULLET_SCHEMA = {
+  type: 'object',
+  properties: {
+    text: { type: 'string', description: 'One or two concise sentences' },
+    sources: SOURCES_SCHEMA
+  },
+  required: ['text', 'sources']
+};
+
+const REPORT_TOOL = {
+  name: REPORT_TOOL_NAME,
+  description: 'Submit the completed social listening report. Always call this tool exactly once with the full report.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      sentiment: {
+        type: 'object',
+        properties: {
+          positive_percent: { type: 'number', minimum: 0, maximum: 100 },
+          neutral_percent: { type: 'number', minimum: 0, maximum: 100 },
+          negative_percent: { type: 'number', minimum: 0, maximum: 100 },
+          total_volume: { type: 'integer', minimum: 0, description: 'Total number of mentions analyzed' },
+          trend: { type: 'string', enum: TRENDS },
+          bullets: {
+            type: 'array',
+            description: 'Up to 2 bullets: overall trend context and key sentiment drivers',
+            items: BULLET_SCHEMA,
+            maxItems: 2
+          }
+        },
+        required: ['positive_percent', 'neutral_percent', 'negative_percent', 'total_volume', 'trend', 'bullets']
+      },
+      positive_highlights: {
+        type: 'array',
+        items: BULLET_SCHEMA,
+        maxItems: MAX_BULLETS
+      },
+      critical_concerns: {
+        type: 'array',
+        description: 'Empty array if there are no concerns in the monitoring period',
+        items: {
+          type: 'object',
+          properties: {
+            text: { type: 'string' },
+            severity: { type: 'string', enum: SEVERITIES },
+            sources: SOURCES_SCHEMA
+          },
+          required: ['text', 'severity', 'sources']
+        },
+        maxItems: MAX_BULLETS
+      },
+      trending_topics: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            topic: { type: 'string' },
+            context: { type: 'string', description: 'Brief context and why it matters' },
+            mentions: { type: 'integer', minimum: 0 },
+            sources: SOURCES_SCHEMA
+          },
+          required: ['topic', 'context', 'mentions', 'sources']
+        },
+        maxItems: MAX_BULLETS
+      },
+      competitive_insights: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            text: { type: 'string' },
+            competitor: { type: 'string' },
+            sources: SOURCES_SCHEMA
+          },
+          required: ['text', 'competitor', 'sources']
+        },
+        maxItems: MAX_BULLETS
+      }
+    },
+    required: ['sentiment', 'positive_highlights', 'critical_concerns', 'trending_topics', 'competitive_insights']
+  }
+};
+
+/**
+ * Validate and normalize the tool input returned by Claude
+ * Invalid items are dropped individually and reported in errors
+ * @param {Object} input - Tool use input
+ * @returns {Object} - { valid, errors, report }
+ */
+function validateReport(input) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: ['Report must be an object'], report: null };
+  }
+
+  const isString = (value) => typeof value === 'string' && value.trim().length > 0;
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+  const readSources = (sources, path) => {
+    if (!Array.isArray(sources)) {
+      errors.push(`${path}.sources must be an array`);
+      return [];
+    }
+    return sources.filter(isString).map(source => source.trim());
+  };
+
+  const readList = (value, path, readItem) => {
+    if (!Array.isArray(value)) {
+      errors.push(`${path} must be an array`);
+      return [];
+    }
+    if (value.length > MAX_BULLETS) {
+      errors.push(`${path} has ${value.length} items (max ${MAX_BULLETS}), extra items dropped`);
+    }
+    return value.slice(0, MAX_BULLETS)
+      .map((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        if (!item || typeof item !== 'object') {
+          errors.push(`${itemPath} must be an object`);
+          return null;
+        }
+        return readItem(item, itemPath);
+      })
+      .filter(Boolean);
+  };
+
+  const readBullet = (item, path) => {
+    if (!isString(item.text)) {
+      errors.push(`${path}.text is required`);
+      return null;
+    }
+    return { text: item.text.trim(), sources: readSources(item.sources, path) };
+  };
+
+  // Sentiment
+  let sentiment = null;
+  const rawSentiment = input.sentiment;
+  if (!rawSentiment || typeof rawSentiment !== 'object') {
+    errors.push('sentiment is required');
+  } else {
+    const percents = ['positive_percent', 'neutral_percent', 'negative_percent'];
+    const percentsValid = percents.every(field => isNumber(rawSentiment[field]) && rawSentiment[field] >= 0 && rawSentiment[field] <= 100);
+    if (!percentsValid) {
+      errors.push('sentiment percentages must be numbers between 0 and 100');
+    }
+
+    sentiment = {
+      positive_percent: percentsValid ? rawSentiment.positive_percent : null,
+      neutral_percent: percentsValid ? rawSentiment.neutral_percent : null,
+      negative_percent: percentsValid ? rawSentiment.negative_percent : null,
+      total_volume: isNumber(rawSentiment.total_volume) && rawSentiment.total_volume >= 0
+        ? Math.round(rawSentiment.total_volume)
+        : null,
+      trend: TRENDS.includes(rawSentiment.trend) ? rawSentiment.trend : null,
+      bullets: Array.isArray(rawSentiment.bullets)
+        ? rawSentiment.bullets.slice(0, 2).map((item, index) => readBullet(item || {}, `sentiment.bullets[${index}]`)).filter(Boolean)
+        : []
+    };
+
+    if (sentiment.total_volume === null) {
+      errors.push('sentiment.total_volume must be a non-negative integer');
+    }
+    if (sentiment.trend === null) {
+      errors.push(`sentiment.trend must be one of ${TRENDS.join(', ')}`);
+    }
+  }
+
+  const report = {
+    sentiment,
+    positive_highlights: readList(input.positive_highlights, 'positive_highlights', readBullet),
+    critical_concerns: readList(input.critical_concerns, 'critical_concerns', (item, path) => {
+      const bullet = readBullet(item, path);
+      if (!bullet) {
+        return null;
+      }
+      const severity = String(item.severity || '').toLowerCase();
+      if (!SEVERITIES.includes(severity)) {
+        errors.push(`${path}.severity must be one of ${SEVERITIES.join(', ')}`);
+      }
+      return { ...bullet, severity: SEVERITIES.includes(severity) ? severity : 'moderate' };
+    }),
+    trending_topics: readList(input.trending_topics, 'trending_topics', (item, path) => {
+      if (!isString(item.topic)) {
+        errors.push(`${path}.topic is required`);
+        return null;
+      }
+      return {
+        topic: item.topic.trim(),
+        context: isString(item.context) ? item.context.trim() : '',
+        mentions: isNumber(item.mentions) ? Math.max(0, Math.round(item.mentions)) : null,
+        sources: readSources(item.sources, path)
+      };
+    }),
+    competitive_insights: readList(input.competitive_insights, 'competitive_insights', (item, path) => {
+      const bullet = readBullet(item, path);
+      return bullet ? { ...bullet, competitor: isString(item.competitor) ? item.competitor.trim() : '' } : null;
+    })
+  };
+
+  return { valid: errors.length === 0, errors, report };
+}
+
+/**
+ * Format a bullet's source citation
+ * @param {Array} sources - Source URLs or platform names
+ * @returns {string} - " (source: ...)" or empty string
+ */
+function formatSources(sources) {
+  return sources && sources.length > 0 ? ` (source: ${sources.join(', ')})` : '';
+}
+
+/**
+ * Render a structured report into today's Slack-friendly section text
+ * @param {Object} report - Normalized report from validateReport()
+ * @param {Object} options - Render options
+ * @param {string} options.sentimentLead - Bullets that replace the percentage bullet (e.g. code-computed breakdown)
+ * @returns {Object} - Section strings plus the combined text with emoji headers
+ */
+function renderReportSections(report, { sentimentLead } = {}) {
+  const sentiment = report.sentiment;
+  const sentimentLines = [];
+
+  if (sentimentLead) {
+    sentimentLines.push(sentimentLead);
+  } else if (sentiment && sentiment.positive_percent !== null) {
+    const volume = sentiment.total_volume !== null ? ` across ${sentiment.total_volume} mentions` : '';
+    sentimentLines.push(`• ${sentiment.positive_percent}% positive, ${sentiment.neutral_percent}% neutral, ${sentiment.negative_percent}% negative${volume}`);
+  }
+  if (sentiment && sentiment.trend) {
+    const trendBullet = sentiment.bullets[0];
+    sentimentLines.push(`• Overall trend: ${sentiment.trend}${trendBullet ? ` — ${trendBullet.text}${formatSources(trendBullet.sources)}` : ''}`);
+    sentiment.bullets.slice(1).forEach(bullet => sentimentLines.push(`• ${bullet.text}${formatSources(bullet.sources)}`));
+  } else if (sentiment) {
+    sentiment.bullets.forEach(bullet => sentimentLines.push(`• ${bullet.text}${formatSources(bullet.sources)}`));
+  }
+
+  const positiveLines = report.positive_highlights.map(item => `• ${item.text}${formatSources(item.sources)}`);
+
+  const concernLines = report.critical_concerns.length > 0
+    ? report.critical_concerns.map(item => {
+      const severity = item.severity.charAt(0).toUpperCase() + item.severity.slice(1);
+      return `• ${severity}: ${item.text}${formatSources(item.sources)}`;
+    })
+    : ['• No critical issues identified in monitoring period (source: comprehensive review)'];
+
+  const trendingLines = report.trending_topics.map(item => {
+    const details = [];
+    if (item.mentions !== null) {
+      details.push(`${item.mentions} mentions`);
+    }
+    if (item.sources.length > 0) {
+      details.push(`source: ${item.sources.join(', ')}`);
+    }
+    return `• ${item.topic}: ${item.context}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+  });
+
+  const competitiveLines = report.competitive_insights.map(item => `• ${item.text}${formatSources(item.sources)}`);
+
+  const sections = {
+    sentimentSummary: sentimentLines.join('\n'),
+    positiveHighlights: positiveLines.join('\n'),
+    negativeConcerns: concernLines.join('\n'),
+    trendingTopics: trendingLines.join('\n'),
+    competitiveInsights: competitiveLines.join('\n'),
+    hasCriticalIssues: report.critical_concerns.length > 0
+  };
+
+  sections.text = [
+    `📊 **SENTIMENT BREAKDOWN**\n${sections.sentimentSummary}`,
+    `✅ **POSITIVE HIGHLIGHTS**\n${sections.positiveHighlights}`,
+    `⚠️ **CRITICAL CONCERNS**\n${sections.negativeConcerns}`,
+    `🔥 **TRENDING TOPICS**\n${sections.trendingTopics}`,
+    `🎯 **COMPETITIVE INSIGHTS**\n${sections.competitiveInsights}`
+  ].join('\n\n');
+
+  return sections;
+}
+
+module.exports = {
+  REPORT_TOOL,
+  REPORT_TOOL_NAME,
+  SEVERITIES,
+  validateReport,
+  renderReportSections
+};
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('report-store');
+
+/**
+ * Report Store
+ * Persists every analysis run per brand so later runs can be compared against earlier ones
+ */
+
+const DEFAULT_STORE_DIR = path.join(__dirname, 'data', 'reports');
+const DEFAULT_MAX_RUNS = 100;
+
+class ReportStore {
+  /**
+   * @param {string} baseDir - Directory holding one JSON history file per brand
+   * @param {Object} options - Store options
+   * @param {number} options.maxRunsPerBrand - Oldest runs beyond this count are dropped
+   */
+  constructor(baseDir = DEFAULT_STORE_DIR, options = {}) {
+    this.baseDir = baseDir;
+    this.maxRunsPerBrand = options.maxRunsPerBrand || DEFAULT_MAX_RUNS;
+    this.stateLock = Promise.resolve();
+  }
+
+  /**
+   * Normalize a brand name into a stable storage key
+   * @param {string} brand - Brand name
+   * @returns {string} - Brand key (e.g. "Microsoft Copilot" -> "microsoft-copilot")
+   */
+  static brandKey(brand) {
+    return String(brand || '')
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'unknown';
+  }
+
+  /**
+   * Extract sentiment percentages from a sentiment summary
+   * @param {string} sentimentSummary - e.g. "• 62% positive, 25% neutral, 13% negative"
+   * @returns {Object|null} - { positive, neutral, negative } or null if not found
+   */
+  static extractSentimentPercentages(sentimentSummary) {
+    if (!sentimentSummary) {
+      return null;
+    }
+
+    const readPercent = (label) => {
+      const match = sentimentSummary.match(new RegExp(`(\\d+(?:\\.\\d+)?)\\s*%\\s*${label}`, 'i'));
+      return match ? parseFloat(match[1]) : null;
+    };
+
+    const percentages = {
+      positive: readPercent('positive'),
+      neutral: readPercent('neutral'),
+      negative: readPercent('negative')
+    };
+
+    if (percentages.positive === null && percentages.neutral === null && percentages.negative === null) {
+      return null;
+    }
+
+    return percentages;
+  }
+
+  /**
+   * Build a storable record from an analysis run
+   * @param {Object} run - Run details
+   * @param {string} run.brand - Brand name
+   * @param {string} run.competitors - Competitors input
+   * @param {string} run.timeRange - Time range input
+   * @param {string} run.platforms - Platforms input
+   * @param {Object} run.analysis - Parsed analysis sections
+   * @param {Object|null} run.aggregatedData - Aggregated API data (null in fallback mode)
+   * @returns {Object} - Report record
+   */
+  static buildRecord({ brand, competitors, timeRange, platforms, analysis, aggregatedData }) {
+    const timestamp = analysis.timestamp || new Date().toISOString();
+
+    return {
+      id: `SL-${Date.parse(timestamp) || Date.now()}`,
+      brand,
+      competitors: competitors || '',
+      timeRange,
+      window: analysis.window || null,
+      platforms,
+      timestamp,
+      dataSource: analysis.dataSource || (aggregatedData ? aggregatedData.dataSource : 'fallback'),
+      sections: {
+        sentimentSummary: analysis.sentimentSummary || '',
+        positiveHighlights: analysis.positiveHighlights || '',
+        negativeConcerns: analysis.negativeConcerns || '',
+        trendingTopics: analysis.trendingTopics || '',
+        competitiveInsights: analysis.competitiveInsights || '',
+        hasCriticalIssues: Boolean(analysis.hasCriticalIssues),
+        criticalSeverity: analysis.criticalSeverity || 'none',
+        severityReasons: analysis.severityReasons || []
+      },
+      structured: analysis.structuredReport || null,
+      shareOfVoice: analysis.shareOfVoice || null,
+      cacheStats: analysis.cacheStats || null,
+      usage: analysis.usage || null,
+      sentiment: analysis.sentimentBreakdown
+        ? { ...analysis.sentimentBreakdown.percentages }
+        : this.extractSentimentPercentages(analysis.sentimentSummary),
+      aggregateStats: aggregatedData ? aggregatedData.aggregateStats : null,
+      sources: aggregatedData ? Object.keys(aggregatedData.platforms).reduce((sources, key) => {
+        sources[key] = aggregatedData.platforms[key].mentions;
+        return sources;
+      }, {}) : null
+    };
+  }
+
+  /**
+   * Compare a run against the previous run for the same brand
+   * @param {Object} current - Current report record
+   * @param {Object|null} previous - Previous report record
+   * @returns {Object} - { sentimentDelta, volumeDelta, previousReportAt } as display strings
+   */
+  static compareRuns(current, previous) {
+    if (!previous) {
+      return {
+        sentimentDelta: 'No previous report to compare against yet.',
+        volumeDelta: 'No previous report to compare against yet.',
+        previousReportAt: ''
+      };
+    }
+
+    const since = previous.timestamp.split('T')[0];
+    const formatChange = (value, unit) => `${value > 0 ? '+' : ''}${Math.round(value * 10) / 10}${unit}`;
+
+    let sentimentDelta;
+    if (current.sentiment && previous.sentiment) {
+      sentimentDelta = ['positive', 'neutral', 'negative']
+        .filter(label => current.sentiment[label] !== null && previous.sentiment[label] !== null)
+        .map(label => {
+          const change = current.sentiment[label] - previous.sentiment[label];
+          const name = label.charAt(0).toUpperCase() + label.slice(1);
+          return `${name}: ${current.sentiment[label]}% (${formatChange(change, ' pts')})`;
+        })
+        .join(', ') + ` vs ${since}`;
+    } else {
+      sentimentDelta = `Sentiment percentages unavailable for comparison with ${since}.`;
+    }
+
+    let volumeDelta;
+    if (current.aggregateStats && previous.aggregateStats) {
+      const currentVolume = current.aggregateStats.totalSources;
+      const previousVolume = previous.aggregateStats.totalSources;
+      const change = currentVolume - previousVolume;
+      const percentChange = previousVolume > 0
+        ? ` (${formatChange((change / previousVolume) * 100, '%')})`
+        : '';
+      volumeDelta = `${currentVolume} mentions, ${formatChange(change, '')}${percentChange} vs ${previousVolume} on ${since}`;
+    } else {
+      volumeDelta = `Mention volume unavailable for comparison with ${since}.`;
+    }
+
+    return {
+      sentimentDelta,
+      volumeDelta,
+      previousReportAt: previous.timestamp
+    };
+  }
+
+  /**
+   * Get the history file path for a brand
+   * @param {string} brand - Brand name
+   * @returns {string} - Absolute file path
+   */
+  filePath(brand) {
+    return path.join(this.baseDir, `${ReportStore.brandKey(brand)}.json`);
+  }
+
+  /**
+   * Load all stored runs for a brand (oldest first)
+   * @param {string} brand - Brand name
+   * @returns {Promise<Array>} - Report records
+   */
+  async getHistory(brand) {
+    try {
+      const contents = await fs.readFile(this.filePath(brand), 'utf8');
+      const runs = JSON.parse(contents);
+      return Array.isArray(runs) ? runs : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Could not read report history', { brand, error });
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Get the most recent stored run for a brand
+   * @param {string} brand - Brand name
+   * @returns {Promise<Object|null>} - Latest report record
+   */
+  async getLatest(brand) {
+    const runs = await this.getHistory(brand);
+    return runs.length > 0 ? runs[runs.length - 1] : null;
+  }
+
+  /**
+   * Find a specific stored run
+   * @param {string} brand - Brand name
+   * @param {string} id - Report id (e.g. "SL-1736154000000")
+   * @returns {Promise<Object|null>} - Report record
+   */
+  async findById(brand, id) {
+    const runs = await this.getHistory(brand);
+    return runs.find(run => run.id === id) || null;
+  }
+
+  /**
+   * Append a run to a brand's history
+   * @param {Object} record - Report record from buildRecord()
+   * @returns {Promise<Object>} - The saved record
+   */
+  async save(record) {
+    // A schedule and /listen can finish for the same brand at once; the read-modify-write is serialized
+    return this.withStateLock(async () => {
+      const runs = await this.getHistory(record.brand);
+      runs.push(record);
+
+      const trimmed = runs.slice(-this.maxRunsPerBrand);
+      const target = this.filePath(record.brand);
+      const tempFile = `${target}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+      await fs.mkdir(this.baseDir, { recursive: true });
+      await fs.writeFile(tempFile, JSON.stringify(trimmed, null, 2));
+      await fs.rename(tempFile, target);
+
+      logger.info('Saved report', { reportId: record.id, brand: record.brand, runsStored: trimmed.length });
+      return record;
+    });
+  }
+
+  /**
+   * Serialize history writes so concurrent runs don't drop each other's records
+   * @param {Function} fn - Async function to run while holding the lock
+   * @returns {Promise<*>} - Result of fn
+   */
+  withStateLock(fn) {
+    const run = this.stateLock.then(fn);
+    this.stateLock = run.catch(() => {});
+    return run;
+  }
+}
+
+let defaultStore = null;
+
+/**
+ * Get the shared report store (REPORT_STORE_DIR overrides the default location)
+ * @returns {ReportStore} - Report store instance
+ */
+function getReportStore() {
+  if (!defaultStore) {
+    defaultStore = new ReportStore(process.env.REPORT_STORE_DIR || DEFAULT_STORE_DIR);
+  }
+  return defaultStore;
+}
+
+module.exports = { ReportStore, getReportStore };
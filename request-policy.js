@@ -0,0 +1,282 @@
+/**
+ * Request Policy
+ * Shared layer for outbound API calls: per-provider concurrency limits, retries with
+ * exponential backoff and jitter (honoring Retry-After), and a circuit breaker that stops
+ * calling a provider after repeated failures
+ */
+
+const { getMetrics } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('request-policy');
+
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 10000;
+// A Retry-After longer than this fails the call instead of holding the run
+const MAX_RETRY_AFTER_MS = 60000;
+const DEFAULT_BREAKER_THRESHOLD = 5;
+const DEFAULT_BREAKER_COOLDOWN_SECONDS = 60;
+
+// Concurrent requests per provider (override with <PROVIDER>_CONCURRENCY)
+const DEFAULT_CONCURRENCY = {
+  serper: 3,
+  reddit: 4,
+  hackernews: 4,
+  feeds: 4,
+  anthropic: 2
+};
+
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504, 529];
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+class CircuitOpenError extends Error {
+  /**
+   * @param {string} provider - Provider name
+   * @param {number} openUntil - Epoch ms when calls are allowed again
+   */
+  constructor(provider, openUntil) {
+    super(`${provider} circuit open after repeated failures, retrying after ${new Date(openUntil).toISOString().slice(11, 19)} UTC`);
+    this.name = 'CircuitOpenError';
+    this.provider = provider;
+    this.openUntil = openUntil;
+  }
+}
+
+/**
+ * HTTP status of an error from axios, snoowrap or the Anthropic SDK
+ * @param {Error} error - Request error
+ * @returns {number|null} - Status code
+ */
+function errorStatus(error) {
+  if (error.response && error.response.status) {
+    return error.response.status;
+  }
+  return error.statusCode || error.status || null;
+}
+
+/**
+ * Read a Retry-After header (seconds or HTTP date) from a request error
+ * @param {Error} error - Request error
+ * @param {number} now - Epoch ms
+ * @returns {number|null} - Delay in ms
+ */
+function retryAfterMs(error, now = Date.now()) {
+  const headers = (error.response && error.response.headers) || error.headers;
+  if (!headers) {
+    return null;
+  }
+
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Whether a failed call is worth retrying (rate limits, server errors, dropped connections)
+ * @param {Error} error - Request error
+ * @returns {boolean} - True if transient
+ */
+function isRetryable(error) {
+  const status = errorStatus(error);
+  if (status) {
+    return RETRYABLE_STATUSES.includes(status);
+  }
+  return RETRYABLE_CODES.includes(error.code) || error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError';
+}
+
+/**
+ * Short description of a request error for logs and report headers
+ * @param {Error} error - Request error
+ * @returns {string} - e.g. "429 rate limited" or "ECONNRESET"
+ */
+function describeError(error) {
+  const status = errorStatus(error);
+  if (status === 429) {
+    return '429 rate limited';
+  }
+  if (status === 401 || status === 403) {
+    return `${status} access denied, check the API key`;
+  }
+  if (status) {
+    return `HTTP ${status}`;
+  }
+  return error.code || error.message;
+}
+
+class RequestPolicy {
+  /**
+   * @param {string} name - Provider name (used in logs and errors)
+   * @param {Object} options - Policy options
+   * @param {number} options.concurrency - Requests allowed in flight at once
+   * @param {number} options.maxRetries - Retries after the first attempt for transient errors
+   * @param {number} options.breakerThreshold - Consecutive transient failures that open the circuit
+   * @param {number} options.breakerCooldownMs - How long an open circuit rejects calls
+   * @param {Function} options.sleep - async (ms) => void, replaceable for tests
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY[name] || 2);
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : DEFAULT_MAX_RETRIES;
+    this.breakerThreshold = options.breakerThreshold || DEFAULT_BREAKER_THRESHOLD;
+    this.breakerCooldownMs = options.breakerCooldownMs || DEFAULT_BREAKER_COOLDOWN_SECONDS * 1000;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    this.active = 0;
+    this.waiting = [];
+    this.consecutiveFailures = 0;
+    this.openUntil = 0;
+  }
+
+  /**
+   * Run a request under the policy
+   * @param {Function} request - async () => response
+   * @param {string} label - What is being requested, for logs
+   * @returns {Promise<*>} - Response
+   * @throws {CircuitOpenError} - While the circuit is open
+   */
+  async run(request, label = this.name) {
+    for (let attempt = 0; ; attempt++) {
+      // After the cooldown the next call goes through; another failure reopens the circuit
+      if (Date.now() < this.openUntil) {
+        getMetrics().increment('provider_errors_total', { provider: this.name, reason: 'circuit_open' });
+        throw new CircuitOpenError(this.name, this.openUntil);
+      }
+
+      let failure;
+      await this.acquire();
+      getMetrics().increment('provider_requests_total', { provider: this.name });
+      logger.debug('Sending request', { provider: this.name, label, attempt: attempt + 1 });
+      try {
+        const response = await request();
+        this.consecutiveFailures = 0;
+        this.openUntil = 0;
+        return response;
+      } catch (error) {
+        failure = error;
+      } finally {
+        this.release();
+      }
+
+      if (!isRetryable(failure)) {
+        getMetrics().increment('provider_errors_total', { provider: this.name, reason: 'non_retryable' });
+        throw failure;
+      }
+
+      this.recordFailure();
+
+      const retryAfter = retryAfterMs(failure);
+      if (attempt >= this.maxRetries || (retryAfter !== null && retryAfter > MAX_RETRY_AFTER_MS)) {
+        getMetrics().increment('provider_errors_total', { provider: this.name, reason: 'retries_exhausted' });
+        logger.error('Request failed', { provider: this.name, label, attempts: attempt + 1, reason: describeError(failure) });
+        throw failure;
+      }
+
+      const delay = retryAfter !== null ? retryAfter + Math.random() * BASE_DELAY_MS : this.backoff(attempt);
+      getMetrics().increment('provider_retries_total', { provider: this.name });
+      logger.warn('Retrying request', {
+        provider: this.name,
+        label,
+        reason: describeError(failure),
+        retry: attempt + 1,
+        maxRetries: this.maxRetries,
+        delayMs: Math.round(delay)
+      });
+      await this.sleep(delay);
+    }
+  }
+
+  /**
+   * Exponential backoff with full jitter
+   * @param {number} attempt - 0-based attempt that just failed
+   * @returns {number} - Delay in ms
+   */
+  backoff(attempt) {
+    return Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt + 1));
+  }
+
+  /**
+   * Count a transient failure and open the circuit at the threshold
+   */
+  recordFailure() {
+    this.consecutiveFailures++;
+    if (this.consecutiveFailures >= this.breakerThreshold) {
+      this.openUntil = Date.now() + this.breakerCooldownMs;
+      logger.error('Circuit opened after consecutive failures', {
+        provider: this.name,
+        failures: this.consecutiveFailures,
+        cooldownSeconds: Math.round(this.breakerCooldownMs / 1000)
+      });
+    }
+  }
+
+  /**
+   * Wait for a free concurrency slot
+   * @returns {Promise<void>}
+   */
+  async acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return;
+    }
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Hand the slot to the next waiting request, or free it
+   */
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+}
+
+const policies = new Map();
+
+/**
+ * Get the shared policy for a provider
+ * A name can be scoped to one host ("feeds:example.com") so it gets its own circuit breaker;
+ * concurrency defaults and overrides come from the provider part
+ * @param {string} name - Provider name (serper, reddit, hackernews, feeds, anthropic), optionally ":<host>"
+ * @returns {RequestPolicy} - Policy configured from the environment
+ */
+function getRequestPolicy(name) {
+  if (!policies.has(name)) {
+    const provider = name.split(':')[0];
+    const readInt = (value) => {
+      const parsed = parseInt(value, 10);
+      return Number.isInteger(parsed) && parsed >= 0 ? parsed : undefined;
+    };
+    const cooldownSeconds = readInt(process.env.CIRCUIT_BREAKER_COOLDOWN_SECONDS);
+
+    policies.set(name, new RequestPolicy(name, {
+      concurrency: readInt(process.env[`${provider.toUpperCase()}_CONCURRENCY`]) || DEFAULT_CONCURRENCY[provider],
+      maxRetries: readInt(process.env.REQUEST_MAX_RETRIES),
+      breakerThreshold: readInt(process.env.CIRCUIT_BREAKER_THRESHOLD),
+      breakerCooldownMs: cooldownSeconds !== undefined ? cooldownSeconds * 1000 : undefined
+    }));
+  }
+  return policies.get(name);
+}
+
+module.exports = {
+  RequestPolicy,
+  CircuitOpenError,
+  getRequestPolicy,
+  isRetryable,
+  retryAfterMs,
+  describeError
+};
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('cache');
+
+/**
+ * Response Cache
+ * Local file cache for source API responses (Reddit, Serper), keyed by source, normalized
+ * query and time window, so re-running a brand shortly after does not spend quota again
+ */
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, 'data', 'cache');
+
+// Per-source TTLs in minutes (override with CACHE_TTL_<SOURCE>_MINUTES, 0 disables)
+const DEFAULT_TTL_MINUTES = {
+  serper: 360,
+  reddit: 30
+};
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Normalize a query so trivially different spellings share an entry
+ * @param {string} query - Query text
+ * @returns {string} - Lowercased, whitespace-collapsed query
+ */
+function normalizeQuery(query) {
+  return String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Cache key part for a time window
+ * Relative windows ("last 7 days") move with the clock, so they are keyed by label and
+ * bounded by the TTL; explicit ranges are keyed by their exact bounds
+ * @param {Object} range - Resolved time range
+ * @returns {string} - Window key
+ */
+function windowKey(range) {
+  if (!range) {
+    return 'any';
+  }
+  return range.explicit ? `${range.start.toISOString()}..${range.end.toISOString()}` : range.label;
+}
+
+/**
+ * Per-run cache options and hit/miss counters, passed to services through provider options
+ * @param {Object} options - { refresh } bypass cached entries and store fresh responses
+ * @returns {Object} - { refresh, stats: { hits, misses, refreshed, bySource } }
+ */
+function createCacheContext({ refresh = false } = {}) {
+  return { refresh: Boolean(refresh), stats: { hits: 0, misses: 0, refreshed: Boolean(refresh), bySource: {} } };
+}
+
+class ResponseCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.dir - Directory holding one JSON file per entry
+   * @param {Object} options.ttlMinutes - Map of source to TTL in minutes
+   */
+  constructor({ dir, ttlMinutes } = {}) {
+    this.dir = dir || DEFAULT_CACHE_DIR;
+    this.ttlMinutes = ttlMinutes || ResponseCache.readTtls();
+    this.pruneTimer = null;
+  }
+
+  /**
+   * Read per-source TTLs from the environment
+   * @returns {Object} - Map of source to TTL in minutes
+   */
+  static readTtls() {
+    const ttls = {};
+    Object.keys(DEFAULT_TTL_MINUTES).forEach(source => {
+      const value = parseInt(process.env[`CACHE_TTL_${source.toUpperCase()}_MINUTES`], 10);
+      ttls[source] = Number.isInteger(value) && value >= 0 ? value : DEFAULT_TTL_MINUTES[source];
+    });
+    return ttls;
+  }
+
+  /**
+   * Build the entry key
+   * @param {string} source - Source name (e.g. 'serper')
+   * @param {Array} parts - Key parts: operation, normalized query, window, paging...
+   * @returns {string} - Hex key
+   */
+  key(source, parts) {
+    return crypto.createHash('sha1').update(JSON.stringify([source, ...parts])).digest('hex');
+  }
+
+  /**
+   * Return a cached response or fetch and store it
+   * Errors thrown by fetcher are not cached
+   * @param {string} source - Source name
+   * @param {Array} parts - Key parts
+   * @param {Function} fetcher - async () => JSON-serializable response
+   * @param {Object|null} context - Output of createCacheContext() for this run
+   * @returns {Promise<*>} - Response
+   */
+  async wrap(source, parts, fetcher, context = null) {
+    const ttl = (this.ttlMinutes[source] || 0) * 60 * 1000;
+    if (ttl <= 0) {
+      return fetcher();
+    }
+
+    const file = path.join(this.dir, source, `${this.key(source, parts)}.json`);
+
+    if (!context || !context.refresh) {
+      const entry = await this.read(file);
+      if (entry && Date.now() - entry.storedAt < ttl) {
+        this.count(context, source, 'hits');
+        return entry.value;
+      }
+    }
+
+    this.count(context, source, 'misses');
+    const value = await fetcher();
+    await this.write(file, { storedAt: Date.now(), parts, value });
+    return value;
+  }
+
+  /**
+   * Record a hit or miss on the run's counters
+   * @param {Object|null} context - Cache context
+   * @param {string} source - Source name
+   * @param {string} outcome - 'hits' or 'misses'
+   */
+  count(context, source, outcome) {
+    if (!context) {
+      return;
+    }
+    context.stats[outcome]++;
+    context.stats.bySource[source] = context.stats.bySource[source] || { hits: 0, misses: 0 };
+    context.stats.bySource[source][outcome]++;
+  }
+
+  /**
+   * Read an entry file
+   * @param {string} file - Entry path
+   * @returns {Promise<Object|null>} - Entry or null if missing/unreadable
+   */
+  async read(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Ignoring unreadable cache entry', { file: path.basename(file), error });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Write an entry file atomically; failures only cost a future cache miss
+   * @param {string} file - Entry path
+   * @param {Object} entry - { storedAt, parts, value }
+   */
+  async write(file, entry) {
+    const tempFile = `${file}.${process.pid}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(tempFile, JSON.stringify(entry));
+      await fs.rename(tempFile, file);
+    } catch (error) {
+      logger.warn('Could not write cache entry', { error });
+    }
+  }
+
+  /**
+   * Delete entries older than their source's TTL
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async prune() {
+    let removed = 0;
+
+    for (const source of Object.keys(this.ttlMinutes)) {
+      const sourceDir = path.join(this.dir, source);
+      let files = [];
+      try {
+        files = await fs.readdir(sourceDir);
+      } catch (error) {
+        continue;
+      }
+
+      const ttl = this.ttlMinutes[source] * 60 * 1000;
+      for (const name of files.filter(file => file.endsWith('.json'))) {
+        const entry = await this.read(path.join(sourceDir, name));
+        if (!entry || Date.now() - entry.storedAt >= ttl) {
+          await fs.unlink(path.join(sourceDir, name)).catch(() => {});
+          removed++;
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Prune expired entries now and then every hour, so the cache directory does not grow without bound
+   */
+  startPruning() {
+    if (this.pruneTimer) {
+      return;
+    }
+
+    const safePrune = () => this.prune()
+      .then(removed => {
+        if (removed > 0) {
+          logger.info('Pruned expired cache entries', { removed });
+        }
+      })
+      .catch(error => {
+        logger.warn('Cache prune failed', { error });
+      });
+
+    this.pruneTimer = setInterval(safePrune, PRUNE_INTERVAL_MS);
+    safePrune();
+  }
+
+  /**
+   * Stop periodic pruning
+   */
+  stopPruning() {
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+  }
+}
+
+let defaultCache = null;
+
+/**
+ * Get the shared response cache
+ * @returns {ResponseCache} - Cache in CACHE_DIR (defaults to ./data/cache)
+ */
+function getResponseCache() {
+  if (!defaultCache) {
+    defaultCache = new ResponseCache({ dir: process.env.CACHE_DIR || DEFAULT_CACHE_DIR });
+  }
+  return defaultCache;
+}
+
+module.exports = {
+  ResponseCache,
+  getResponseCache,
+  createCacheContext,
+  normalizeQuery,
+  windowKey
+};
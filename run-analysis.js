@@ -0,0 +1,48 @@
+require('dotenv').config();
+const { analyzeSocialListening } = require('./claude-service');
+const { getFixtureStore } = require('./fixture-store');
+const { withCorrelation, newCorrelationId } = require('./logger');
+
+/**
+ * Run one analysis from the command line and print the report
+ * Usage: node run-analysis.js "<brand>" ["<competitors>"] ["<time range>"] ["<platforms>"]
+ * With FIXTURE_MODE=record the run's responses are saved to FIXTURE_DIR; with FIXTURE_MODE=replay
+ * they are served back offline, and the recorded inputs are used when no brand is given
+ */
+async function runAnalysis() {
+  const [brandArg, competitorsArg, timeRangeArg, platformsArg] = process.argv.slice(2);
+  const fixtures = getFixtureStore();
+
+  let inputs = { brand: brandArg, competitors: competitorsArg, timeRange: timeRangeArg, platforms: platformsArg, subreddits: null };
+  if (!brandArg && fixtures.replaying) {
+    inputs = await fixtures.readRun();
+  }
+
+  if (!inputs.brand) {
+    console.error('Usage: node run-analysis.js "<brand>" ["<competitors>"] ["<time range>"] ["<platforms>"]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const analysis = await analyzeSocialListening(
+      inputs.brand,
+      inputs.competitors || '',
+      inputs.timeRange || '7 days',
+      inputs.platforms || 'all',
+      { subreddits: inputs.subreddits || undefined }
+    );
+
+    console.log(`\n${analysis.fullReport}\n`);
+    console.log(`📊 Data source: ${analysis.dataSource}, critical severity: ${analysis.criticalSeverity || 'none'}`);
+
+    if (analysis.dataSource === 'error') {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Analysis failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+withCorrelation(newCorrelationId('cli'), runAnalysis);
@@ -0,0 +1,411 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { buildReportMessage } = require('./report-blocks');
+const { createLogger, withCorrelation, newCorrelationId } = require('./logger');
+
+const logger = createLogger('scheduler');
+
+/**
+ * Scheduler Service
+ * Runs recurring social listening reports from cron-style schedule definitions
+ * and posts them to Slack channels without needing a Workflow Builder trigger
+ */
+
+const DEFAULT_SCHEDULES_FILE = path.join(__dirname, 'schedules.json');
+const DEFAULT_STATE_FILE = path.join(__dirname, 'data', 'scheduler-state.json');
+const TICK_INTERVAL_MS = 30 * 1000;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+class Scheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Object} options.client - Slack Web API client (needs chat.postMessage)
+   * @param {Function} options.analyze - Analysis function (brand, competitors, timeRange, platforms, options)
+   * @param {string} options.schedulesFile - JSON file with schedule definitions
+   * @param {string} options.stateFile - JSON file recording when each schedule last fired
+   */
+  constructor({ client, analyze, schedulesFile, stateFile }) {
+    this.client = client;
+    this.analyze = analyze;
+    this.schedulesFile = schedulesFile || DEFAULT_SCHEDULES_FILE;
+    this.stateFile = stateFile || DEFAULT_STATE_FILE;
+    this.timer = null;
+    this.running = new Set();
+    this.queue = Promise.resolve();
+    this.stateLock = Promise.resolve();
+  }
+
+  /**
+   * Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+   * Supports "*", lists ("1,15"), ranges ("1-5") and steps ("*\/15", "0-30/10")
+   * @param {string} expression - Cron expression
+   * @returns {Object} - Sets of allowed values per field
+   */
+  static parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+
+    if (parts.length !== CRON_FIELDS.length) {
+      throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+    }
+
+    const parsed = {};
+
+    CRON_FIELDS.forEach((field, index) => {
+      const values = new Set();
+
+      parts[index].split(',').forEach(segment => {
+        const [rangePart, stepPart] = segment.split('/');
+        const step = stepPart ? parseInt(stepPart, 10) : 1;
+        let start = field.min;
+        let end = field.max;
+
+        if (rangePart !== '*') {
+          const [low, high] = rangePart.split('-').map(value => parseInt(value, 10));
+          start = low;
+          end = high !== undefined ? high : (stepPart ? field.max : low);
+        }
+
+        if ([start, end, step].some(Number.isNaN) || step < 1 || start < field.min || end > field.max || start > end) {
+          throw new Error(`Invalid cron expression "${expression}": bad ${field.name} field "${segment}"`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+          // Both 0 and 7 mean Sunday
+          values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+        }
+      });
+
+      parsed[field.name] = values;
+      parsed[`${field.name}Restricted`] = parts[index] !== '*';
+    });
+
+    return parsed;
+  }
+
+  /**
+   * Get calendar fields for a date in a given time zone
+   * @param {Date} date - Date to convert
+   * @param {string} timeZone - IANA time zone (defaults to the server's)
+   * @returns {Object} - { minute, hour, dayOfMonth, month, dayOfWeek }
+   */
+  static dateParts(date, timeZone) {
+    if (!timeZone) {
+      return {
+        minute: date.getMinutes(),
+        hour: date.getHours(),
+        dayOfMonth: date.getDate(),
+        month: date.getMonth() + 1,
+        dayOfWeek: date.getDay()
+      };
+    }
+
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      minute: 'numeric',
+      hour: 'numeric',
+      day: 'numeric',
+      month: 'numeric',
+      weekday: 'short'
+    });
+
+    const parts = {};
+    formatter.formatToParts(date).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    return {
+      minute: parseInt(parts.minute, 10),
+      hour: parseInt(parts.hour, 10),
+      dayOfMonth: parseInt(parts.day, 10),
+      month: parseInt(parts.month, 10),
+      dayOfWeek: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+  }
+
+  /**
+   * Check whether a parsed cron expression fires at the given minute
+   * @param {Object} cron - Output of parseCron()
+   * @param {Date} date - Date to check
+   * @param {string} timeZone - IANA time zone
+   * @returns {boolean} - True if the schedule is due
+   */
+  static matches(cron, date, timeZone) {
+    const parts = this.dateParts(date, timeZone);
+
+    if (!cron.minute.has(parts.minute) || !cron.hour.has(parts.hour) || !cron.month.has(parts.month)) {
+      return false;
+    }
+
+    // Standard cron semantics: if both day fields are restricted, either may match
+    const dayOfMonthMatch = cron.dayOfMonth.has(parts.dayOfMonth);
+    const dayOfWeekMatch = cron.dayOfWeek.has(parts.dayOfWeek);
+
+    if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+      return dayOfMonthMatch || dayOfWeekMatch;
+    }
+
+    return dayOfMonthMatch && dayOfWeekMatch;
+  }
+
+  /**
+   * Identify a single minute so a schedule fires at most once per matching minute
+   * @param {Date} date - Date
+   * @returns {string} - UTC minute key (e.g. "2025-01-06T09:00")
+   */
+  static minuteKey(date) {
+    return date.toISOString().slice(0, 16);
+  }
+
+  /**
+   * Load and validate schedule definitions
+   * @returns {Promise<Array>} - Valid schedules
+   */
+  async loadSchedules() {
+    let definitions;
+
+    try {
+      definitions = JSON.parse(await fs.readFile(this.schedulesFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Could not load schedules', { file: this.schedulesFile, error });
+      }
+      return [];
+    }
+
+    const list = Array.isArray(definitions) ? definitions : definitions.schedules || [];
+
+    return list.filter(schedule => {
+      if (schedule.enabled === false) {
+        return false;
+      }
+
+      if (!schedule.id || !schedule.brand || !schedule.channel || !schedule.cron) {
+        logger.warn('Skipping schedule missing id, brand, channel or cron', { schedule });
+        return false;
+      }
+
+      try {
+        schedule.parsedCron = Scheduler.parseCron(schedule.cron);
+        if (schedule.timezone) {
+          // Throws RangeError for an unknown zone, which would otherwise abort every tick
+          new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+        }
+        return true;
+      } catch (error) {
+        logger.warn('Skipping schedule', { scheduleId: schedule.id, error });
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Load persisted fire state
+   * @returns {Promise<Object>} - Map of schedule id to { lastFiredMinute, lastRunAt, lastStatus }
+   */
+  async loadState() {
+    try {
+      return JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Could not read scheduler state', { error });
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Persist fire state
+   * @param {Object} state - Map of schedule id to state
+   */
+  async saveState(state) {
+    const tempFile = `${this.stateFile}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+    await fs.writeFile(tempFile, JSON.stringify(state, null, 2));
+    await fs.rename(tempFile, this.stateFile);
+  }
+
+  /**
+   * Serialize read-modify-write cycles on the state file
+   * @param {Function} fn - Async function to run while holding the lock
+   * @returns {Promise<*>} - Result of fn
+   */
+  withStateLock(fn) {
+    const run = this.stateLock.then(fn);
+    this.stateLock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Update one schedule's entry in the persisted state
+   * @param {string} id - Schedule id
+   * @param {Object} changes - Fields to merge
+   */
+  async updateState(id, changes) {
+    await this.withStateLock(async () => {
+      const state = await this.loadState();
+      state[id] = { ...(state[id] || {}), ...changes };
+      await this.saveState(state);
+    });
+  }
+
+  /**
+   * Record the outcome of a run; a state write failure is logged, not thrown, so it can neither
+   * turn a posted report into a failure nor break the run queue
+   * @param {string} id - Schedule id
+   * @param {Object} changes - Fields to merge
+   */
+  async recordRun(id, changes) {
+    try {
+      await this.updateState(id, changes);
+    } catch (error) {
+      logger.warn('Could not record scheduled run', { scheduleId: id, error });
+    }
+  }
+
+  /**
+   * Check all schedules and queue any that are due this minute
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} - Ids of schedules fired on this tick
+   */
+  async tick(now = new Date()) {
+    const schedules = await this.loadSchedules();
+    const minute = Scheduler.minuteKey(now);
+
+    const due = await this.withStateLock(async () => {
+      const state = await this.loadState();
+      const dueNow = schedules.filter(schedule =>
+        Scheduler.matches(schedule.parsedCron, now, schedule.timezone) &&
+        (!state[schedule.id] || state[schedule.id].lastFiredMinute !== minute) &&
+        !this.running.has(schedule.id)
+      );
+
+      if (dueNow.length > 0) {
+        // Claim the minute before running so a restart mid-run cannot fire it again
+        dueNow.forEach(schedule => {
+          state[schedule.id] = { ...(state[schedule.id] || {}), lastFiredMinute: minute, lastFiredAt: now.toISOString() };
+        });
+        await this.saveState(state);
+      }
+
+      return dueNow;
+    });
+
+    if (due.length === 0) {
+      return [];
+    }
+
+    // Run due schedules one after another to keep API usage predictable
+    due.forEach(schedule => {
+      this.running.add(schedule.id);
+      this.queue = this.queue
+        .then(() => withCorrelation(newCorrelationId('schedule'), () => this.runSchedule(schedule)))
+        .catch(error => logger.error('Scheduled run crashed', { scheduleId: schedule.id, error }))
+        .finally(() => this.running.delete(schedule.id));
+    });
+
+    return due.map(schedule => schedule.id);
+  }
+
+  /**
+   * Run one scheduled analysis and post it to the schedule's channel
+   * @param {Object} schedule - Schedule definition
+   */
+  async runSchedule(schedule) {
+    logger.info('Running scheduled report', { scheduleId: schedule.id, brand: schedule.brand, channel: schedule.channel });
+
+    try {
+      const analysis = await this.analyze(
+        schedule.brand,
+        schedule.competitors || '',
+        schedule.timeRange || '7 days',
+        schedule.platforms || 'all',
+        { subreddits: schedule.subreddits }
+      );
+
+      await this.client.chat.postMessage({
+        channel: schedule.channel,
+        ...buildReportMessage(analysis, {
+          brand: schedule.brand,
+          competitors: schedule.competitors,
+          timeRange: schedule.timeRange || '7 days',
+          platforms: schedule.platforms || 'all'
+        })
+      });
+
+      await this.recordRun(schedule.id, { lastRunAt: new Date().toISOString(), lastStatus: 'success' });
+      logger.info('Scheduled report posted', { scheduleId: schedule.id });
+
+    } catch (error) {
+      logger.error('Scheduled report failed', { scheduleId: schedule.id, error });
+      await this.recordRun(schedule.id, {
+        lastRunAt: new Date().toISOString(),
+        lastStatus: 'error',
+        lastError: error.message
+      });
+
+      try {
+        await this.client.chat.postMessage({
+          channel: schedule.channel,
+          text: `⚠️ Scheduled social listening report for *${schedule.brand}* failed: ${error.message}`
+        });
+      } catch (postError) {
+        logger.error('Could not post failure notice', { scheduleId: schedule.id, error: postError });
+      }
+    }
+  }
+
+  /**
+   * Describe schedules and their last run (used by status views)
+   * @returns {Promise<Array>} - Schedule summaries
+   */
+  async describe() {
+    const schedules = await this.loadSchedules();
+    const state = await this.loadState();
+
+    return schedules.map(schedule => ({
+      id: schedule.id,
+      brand: schedule.brand,
+      channel: schedule.channel,
+      cron: schedule.cron,
+      timezone: schedule.timezone || 'server',
+      ...(state[schedule.id] || {})
+    }));
+  }
+
+  /**
+   * Start checking schedules every 30 seconds
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const safeTick = () => this.tick().catch(error => {
+      logger.error('Scheduler tick failed', { error });
+    });
+
+    this.timer = setInterval(safeTick, TICK_INTERVAL_MS);
+    safeTick();
+    logger.info('Scheduler started', { file: this.schedulesFile });
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = { Scheduler };
@@ -1,13 +1,47 @@
 const axios = require('axios');
+const { resolveTimeRange, toSerperTbs, parsePublishedDate } = require('./time-range');
+const { getResponseCache, normalizeQuery, windowKey } = require('./response-cache');
+const { recordCall } = require('./usage-ledger');
+const { getRequestPolicy, describeError } = require('./request-policy');
+const { getFixtureStore, REPLAY_CREDENTIAL } = require('./fixture-store');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('serper');
+
+const MAX_RESULTS_PER_PAGE = 10; // Serper allows max 10 per request
+const DEFAULT_MAX_PAGES = 2;
+
+// Serper endpoints and the response field holding their results
+const SERPER_ENDPOINTS = {
+  search: { url: 'https://google.serper.dev/search', resultsKey: 'organic' },
+  news: { url: 'https://google.serper.dev/news', resultsKey: 'news' }
+};
 
 class SerperSearchService {
-  constructor(apiKey) {
+  /**
+   * @param {string} apiKey - Serper API key
+   * @param {Object} options - Search options
+   * @param {string|Object} options.timeRange - Time range or resolved range, sent to Google as a recency filter
+   * @param {number} options.maxPages - Pages fetched per query while pages come back full
+   * @param {number} options.maxQueries - Queries run per platform (fewer when the budget is tight)
+   * @param {Object} options.cache - Run cache context from createCacheContext()
+   * @param {Object} options.usage - Run usage counters from createUsageContext()
+   */
+  constructor(apiKey, options = {}) {
     if (!apiKey) {
       throw new Error('Serper API key is required');
     }
 
     this.apiKey = apiKey;
-    this.endpoint = 'https://google.serper.dev/search';
+    this.endpoint = SERPER_ENDPOINTS.search.url;
+    this.range = options.timeRange ? resolveTimeRange(options.timeRange, getFixtureStore().now()) : null;
+    this.tbs = this.range ? toSerperTbs(this.range, getFixtureStore().now()) : null;
+    this.maxPages = Math.max(1, options.maxPages || DEFAULT_MAX_PAGES);
+    this.maxQueries = options.maxQueries || Infinity;
+    this.cache = options.cache || null;
+    this.usage = options.usage || null;
+    // Per platform: { failed, total, error } for queries that failed after retries
+    this.failures = {};
   }
 
   /**
@@ -17,7 +51,7 @@ class SerperSearchService {
    */
   async searchLinkedIn(brand) {
     try {
-      console.log(`🔍 Searching LinkedIn for: ${brand}`);
+      logger.info('Searching Serper', { platform: 'linkedin', brand });
 
       const queries = [
         `"${brand}" site:linkedin.com/posts`,
@@ -25,21 +59,16 @@ class SerperSearchService {
         `"${brand} review" site:linkedin.com`
       ];
 
-      const results = [];
-
-      for (const query of queries) {
-        const searchResults = await this.executeSerperSearch(query, 5);
-        results.push(...searchResults);
-      }
+      const results = await this.runQueries('linkedin', queries, 5);
 
       // Deduplicate by URL
       const unique = this.deduplicateResults(results);
 
-      console.log(`✅ Found ${unique.length} LinkedIn results`);
+      logger.info('Found Serper results', { platform: 'linkedin', results: unique.length });
       return unique;
 
     } catch (error) {
-      console.error('❌ LinkedIn search error:', error.message);
+      logger.error('Serper search error', { platform: 'linkedin', error });
       return [];
     }
   }
@@ -51,7 +80,7 @@ class SerperSearchService {
    */
   async searchTwitter(brand) {
     try {
-      console.log(`🔍 Searching X/Twitter for: ${brand}`);
+      logger.info('Searching Serper', { platform: 'twitter', brand });
 
       const queries = [
         `"${brand}" (site:twitter.com OR site:x.com)`,
@@ -59,20 +88,15 @@ class SerperSearchService {
         `"${brand} complaint" site:x.com`
       ];
 
-      const results = [];
-
-      for (const query of queries) {
-        const searchResults = await this.executeSerperSearch(query, 5);
-        results.push(...searchResults);
-      }
+      const results = await this.runQueries('twitter', queries, 5);
 
       const unique = this.deduplicateResults(results);
 
-      console.log(`✅ Found ${unique.length} Twitter/X results`);
+      logger.info('Found Serper results', { platform: 'twitter', results: unique.length });
       return unique;
 
     } catch (error) {
-      console.error('❌ Twitter search error:', error.message);
+      logger.error('Serper search error', { platform: 'twitter', error });
       return [];
     }
   }
@@ -84,7 +108,7 @@ class SerperSearchService {
    */
   async searchReviewSites(brand) {
     try {
-      console.log(`🔍 Searching review sites for: ${brand}`);
+      logger.info('Searching Serper', { platform: 'reviews', brand });
 
       const queries = [
         `"${brand}" site:g2.com`,
@@ -92,20 +116,15 @@ class SerperSearchService {
         `"${brand} review" site:trustradius.com`
       ];
 
-      const results = [];
-
-      for (const query of queries) {
-        const searchResults = await this.executeSerperSearch(query, 5);
-        results.push(...searchResults);
-      }
+      const results = await this.runQueries('reviews', queries, 5);
 
       const unique = this.deduplicateResults(results);
 
-      console.log(`✅ Found ${unique.length} review site results`);
+      logger.info('Found Serper results', { platform: 'reviews', results: unique.length });
       return unique;
 
     } catch (error) {
-      console.error('❌ Review sites search error:', error.message);
+      logger.error('Serper search error', { platform: 'reviews', error });
       return [];
     }
   }
@@ -117,82 +136,180 @@ class SerperSearchService {
    */
   async searchBlogs(brand) {
     try {
-      console.log(`🔍 Searching blogs for: ${brand}`);
+      logger.info('Searching Serper', { platform: 'blogs', brand });
 
       const queries = [
         `"${brand}" site:medium.com`,
         `"${brand}" site:dev.to`,
-        `"${brand}" site:news.ycombinator.com`
+        `"${brand}" site:hashnode.com`
       ];
 
-      const results = [];
+      const results = await this.runQueries('blogs', queries, 5);
 
-      for (const query of queries) {
-        const searchResults = await this.executeSerperSearch(query, 5);
-        results.push(...searchResults);
-      }
+      const unique = this.deduplicateResults(results);
+
+      logger.info('Found Serper results', { platform: 'blogs', results: unique.length });
+      return unique;
+
+    } catch (error) {
+      logger.error('Serper search error', { platform: 'blogs', error });
+      return [];
+    }
+  }
+
+  /**
+   * Search news articles about the brand (Serper news endpoint)
+   * @param {string} brand - Brand name
+   * @returns {Promise<Array>} - Array of news results
+   */
+  async searchNews(brand) {
+    try {
+      logger.info('Searching Serper', { platform: 'news', brand });
+
+      const queries = [
+        `"${brand}"`,
+        `"${brand}" (launch OR outage OR lawsuit OR acquisition OR pricing)`
+      ];
+
+      const results = await this.runQueries('news', queries, 10, 'news');
 
       const unique = this.deduplicateResults(results);
 
-      console.log(`✅ Found ${unique.length} blog results`);
+      logger.info('Found Serper results', { platform: 'news', results: unique.length });
       return unique;
 
     } catch (error) {
-      console.error('❌ Blog search error:', error.message);
+      logger.error('Serper search error', { platform: 'news', error });
       return [];
     }
   }
 
   /**
-   * Execute a Serper API search
+   * Run a platform's queries, recording the ones that still fail after retries
+   * @param {string} platform - Platform key
+   * @param {Array} queries - Queries (trimmed to maxQueries)
+   * @param {number} num - Results per page
+   * @param {string} type - Serper endpoint: 'search' or 'news'
+   * @returns {Promise<Array>} - Results of the queries that succeeded
+   */
+  async runQueries(platform, queries, num, type = 'search') {
+    const selected = queries.slice(0, this.maxQueries);
+    const results = [];
+
+    for (const query of selected) {
+      try {
+        results.push(...await this.executeSerperSearch(query, num, type));
+      } catch (error) {
+        logger.error('Serper query failed', { platform, query, reason: describeError(error) });
+        const failure = this.failures[platform] || { failed: 0, total: selected.length, error: null };
+        failure.failed++;
+        failure.error = describeError(error);
+        this.failures[platform] = failure;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Platforms with failed queries
+   * @returns {Array} - Array of { platform, status: 'failed'|'partial', error }
+   */
+  platformFailures() {
+    return Object.keys(this.failures).map(platform => {
+      const { failed, total, error } = this.failures[platform];
+      return {
+        platform,
+        status: failed >= total ? 'failed' : 'partial',
+        error: `${failed} of ${total} queries failed (${error})`
+      };
+    });
+  }
+
+  /**
+   * Execute a Serper API search, paging through while pages come back full
+   * @param {string} query - Search query
+   * @param {number} num - Results per page (max 10 per request)
+   * @param {string} type - Serper endpoint: 'search' or 'news'
+   * @returns {Promise<Array>} - Array of search results
+   */
+  async executeSerperSearch(query, num = 10, type = 'search') {
+    const perPage = Math.min(num, MAX_RESULTS_PER_PAGE);
+    const results = [];
+
+    for (let page = 1; page <= this.maxPages; page++) {
+      let pageResults;
+      try {
+        pageResults = await this.requestSerperPage(query, perPage, page, type);
+      } catch (error) {
+        // Keep the pages already fetched; only a failed first page fails the query
+        if (page === 1) {
+          throw error;
+        }
+        logger.warn('Serper page failed, keeping earlier pages', { query, page, results: results.length, reason: describeError(error) });
+        break;
+      }
+      results.push(...pageResults);
+
+      // A short page means there is nothing more to fetch
+      if (pageResults.length < perPage) {
+        break;
+      }
+    }
+
+    return this.deduplicateResults(results);
+  }
+
+  /**
+   * Request one page of Serper results, served from the response cache when fresh
+   * Goes through the shared request policy (retries, rate limits, circuit breaker)
    * @param {string} query - Search query
-   * @param {number} num - Number of results to return (max 10 per request)
+   * @param {number} num - Results per page
+   * @param {number} page - 1-based page number
+   * @param {string} type - Serper endpoint: 'search' or 'news'
    * @returns {Promise<Array>} - Array of search results
+   * @throws {Error} - When the request still fails after retries
    */
-  async executeSerperSearch(query, num = 10) {
-    try {
+  async requestSerperPage(query, num, page, type = 'search') {
+    const endpoint = SERPER_ENDPOINTS[type] || SERPER_ENDPOINTS.search;
+
+    const fetchPage = async () => {
       const config = {
         method: 'post',
-        url: this.endpoint,
+        url: endpoint.url,
         headers: {
           'X-API-KEY': this.apiKey,
           'Content-Type': 'application/json'
         },
         data: {
           q: query,
-          num: Math.min(num, 10) // Serper allows max 10 per request
+          num,
+          ...(page > 1 ? { page } : {}),
+          ...(this.tbs ? { tbs: this.tbs } : {})
         }
       };
 
-      const response = await axios(config);
+      const response = await getRequestPolicy('serper').run(() => {
+        recordCall(this.usage, 'serperQueries');
+        return axios(config);
+      }, `${query} (page ${page})`);
 
-      if (!response.data || !response.data.organic) {
+      if (!response.data || !Array.isArray(response.data[endpoint.resultsKey])) {
         return [];
       }
 
-      return response.data.organic.map(item => ({
+      return response.data[endpoint.resultsKey].map(item => ({
         name: item.title || '',
         url: item.link || '',
         snippet: item.snippet || '',
         datePublished: item.date || null,
-        displayUrl: item.link ? new URL(item.link).hostname : ''
+        publishedAt: parsePublishedDate(item.date, getFixtureStore().now()),
+        displayUrl: item.source || (item.link ? new URL(item.link).hostname : '')
       }));
+    };
 
-    } catch (error) {
-      // Handle quota errors gracefully
-      if (error.response) {
-        if (error.response.status === 429) {
-          console.error(`⚠️ Serper Search quota exceeded`);
-        } else if (error.response.status === 401 || error.response.status === 403) {
-          console.error(`⚠️ Serper Search API access denied - check API key`);
-        } else {
-          console.error(`❌ Serper search failed for query "${query}": ${error.response.status} ${error.response.statusText}`);
-        }
-      } else {
-        console.error(`❌ Serper search failed for query "${query}":`, error.message);
-      }
-      return [];
-    }
+    const cacheKey = [type, normalizeQuery(query), num, page, windowKey(this.range)];
+    return getFixtureStore().through('serper', cacheKey, () => getResponseCache().wrap('serper', cacheKey, fetchPage, this.cache));
   }
 
   /**
@@ -259,6 +376,16 @@ class SerperSearchService {
       });
     }
 
+    // News results
+    if (allResults.news && allResults.news.length > 0) {
+      formatted += `\nNEWS DATA (${allResults.news.length} articles):\n`;
+      allResults.news.forEach((result, index) => {
+        formatted += `${index + 1}. ${result.name} (${result.displayUrl}${result.datePublished ? `, ${result.datePublished}` : ''})\n`;
+        formatted += `   ${result.url}\n`;
+        formatted += `   Snippet: "${result.snippet}"\n\n`;
+      });
+    }
+
     if (formatted === '') {
       return 'No web search results found.';
     }
@@ -271,62 +398,85 @@ class SerperSearchService {
  * Main export function for web search across all platforms using Serper
  * @param {string} brand - Brand name
  * @param {string} platforms - Platforms to search (comma-separated or 'all')
+ * @param {string|Object} timeRange - Time range or resolved range (optional, no recency filter when omitted)
+ * @param {Object} options - { maxPages, maxQueries, cache, usage } pages per query (defaults to SERPER_MAX_PAGES),
+ *   queries per platform, run cache context and usage counters
  * @returns {Promise<Object>} - Search results by platform
  */
-async function searchSerper(brand, platforms = 'all') {
-  const apiKey = process.env.SERPER_API_KEY;
+async function searchSerper(brand, platforms = 'all', timeRange = null, options = {}) {
+  // Replays are served from recorded fixtures and need no key
+  const apiKey = process.env.SERPER_API_KEY || (getFixtureStore().replaying ? REPLAY_CREDENTIAL : null);
 
   if (!apiKey) {
-    console.warn('⚠️ Serper Search API key not configured, skipping web search');
+    logger.warn('Serper Search API key not configured, skipping web search');
     return {
       linkedin: [],
       twitter: [],
       reviews: [],
       blogs: [],
+      news: [],
       formattedText: 'Web search data unavailable (Serper API key not configured)',
       totalResults: 0
     };
   }
 
   try {
-    const service = new SerperSearchService(apiKey);
+    const service = new SerperSearchService(apiKey, {
+      timeRange,
+      maxPages: options.maxPages || parseInt(process.env.SERPER_MAX_PAGES, 10) || DEFAULT_MAX_PAGES,
+      maxQueries: options.maxQueries,
+      cache: options.cache,
+      usage: options.usage
+    });
 
     // Determine which platforms to search
     const shouldSearch = {
       linkedin: platforms === 'all' || platforms.toLowerCase().includes('linkedin'),
       twitter: platforms === 'all' || platforms.toLowerCase().includes('twitter') || platforms.toLowerCase().includes('x'),
       reviews: platforms === 'all' || platforms.toLowerCase().includes('g2') || platforms.toLowerCase().includes('capterra'),
-      blogs: platforms === 'all' || platforms.toLowerCase().includes('blog') || platforms.toLowerCase().includes('medium')
+      blogs: platforms === 'all' || platforms.toLowerCase().includes('blog') || platforms.toLowerCase().includes('medium'),
+      news: platforms === 'all' || /\bnews\b/i.test(platforms.replace(/hacker\s*news/gi, ''))
     };
 
     // Execute searches in parallel
-    const [linkedin, twitter, reviews, blogs] = await Promise.all([
+    const [linkedin, twitter, reviews, blogs, news] = await Promise.all([
       shouldSearch.linkedin ? service.searchLinkedIn(brand) : Promise.resolve([]),
       shouldSearch.twitter ? service.searchTwitter(brand) : Promise.resolve([]),
       shouldSearch.reviews ? service.searchReviewSites(brand) : Promise.resolve([]),
-      shouldSearch.blogs ? service.searchBlogs(brand) : Promise.resolve([])
+      shouldSearch.blogs ? service.searchBlogs(brand) : Promise.resolve([]),
+      shouldSearch.news ? service.searchNews(brand) : Promise.resolve([])
     ]);
 
-    const results = { linkedin, twitter, reviews, blogs };
-    const totalResults = linkedin.length + twitter.length + reviews.length + blogs.length;
+    const results = { linkedin, twitter, reviews, blogs, news };
+    const totalResults = linkedin.length + twitter.length + reviews.length + blogs.length + news.length;
 
-    console.log(`✅ Total web search results: ${totalResults}`);
+    logger.info('Web search complete', { results: totalResults });
+
+    const failures = service.platformFailures();
+    if (failures.length > 0) {
+      logger.warn('Serper platforms with failures', {
+        platforms: failures.map(failure => ({ platform: failure.platform, status: failure.status }))
+      });
+    }
 
     return {
       ...results,
       formattedText: service.formatForClaude(results),
-      totalResults
+      totalResults,
+      failures
     };
 
   } catch (error) {
-    console.error('❌ Web search failed:', error);
+    logger.error('Web search failed', { error });
     return {
       linkedin: [],
       twitter: [],
       reviews: [],
       blogs: [],
+      news: [],
       formattedText: `Web search error: ${error.message}`,
-      totalResults: 0
+      totalResults: 0,
+      error: error.message
     };
   }
 }
@@ -335,4 +485,55 @@ async function searchSerper(brand, platforms = 'all') {
 const searchGoogle = searchSerper;
 const searchBing = searchSerper;
 
-module.exports = { SerperSearchService, searchSerper, searchGoogle, searchBing };
+/**
+ * Source provider for the provider registry
+ */
+const serperProvider = {
+  name: 'serper',
+  platforms: [
+    { key: 'linkedin', label: 'LinkedIn', heading: 'LINKEDIN DATA', unit: 'results' },
+    { key: 'twitter', label: 'Twitter/X', heading: 'TWITTER/X DATA', unit: 'results' },
+    { key: 'reviews', label: 'Review Sites', heading: 'REVIEW SITES DATA (G2, Capterra, TrustRadius)', unit: 'results' },
+    { key: 'blogs', label: 'Blogs', heading: 'BLOGS & FORUMS DATA', unit: 'results' },
+    { key: 'news', label: 'News', heading: 'NEWS DATA', unit: 'articles' }
+  ],
+
+  isConfigured() {
+    return Boolean(process.env.SERPER_API_KEY);
+  },
+
+  async fetch(brand, { platforms = 'all', timeRange = '7 days', window, maxPages, maxQueries, cache, usage } = {}) {
+    return searchSerper(brand, platforms, window || timeRange, { maxPages, maxQueries, cache, usage });
+  },
+
+  failures(serperData) {
+    if (serperData.error) {
+      return serperProvider.platforms.map(({ key }) => ({ platform: key, status: 'failed', error: serperData.error }));
+    }
+    return serperData.failures || [];
+  },
+
+  normalize(serperData) {
+    const mentions = [];
+
+    serperProvider.platforms.forEach(({ key }) => {
+      (serperData[key] || []).forEach((result, index) => {
+        mentions.push({
+          id: `${key}-${index}`,
+          platform: key,
+          title: result.name,
+          text: result.snippet,
+          url: result.url,
+          author: null,
+          createdAt: result.publishedAt || null,
+          context: result.displayUrl,
+          engagement: null
+        });
+      });
+    });
+
+    return mentions;
+  }
+};
+
+module.exports = { SerperSearchService, searchSerper, searchGoogle, searchBing, serperProvider };
@@ -0,0 +1,165 @@
+/**
+ * Sentiment Classifier
+ * Labels each collected mention individually so percentages can be computed in code
+ */
+
+const { recordClaudeUsage } = require('./usage-ledger');
+const { getRequestPolicy } = require('./request-policy');
+const { getFixtureStore } = require('./fixture-store');
+const { normalizeQuery } = require('./response-cache');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('classifier');
+
+const CLASSIFIER_MODEL = 'claude-sonnet-4-20250514';
+const BATCH_SIZE = 20;
+const MAX_TEXT_LENGTH = 500;
+const LABELS = ['positive', 'neutral', 'negative'];
+
+class SentimentClassifier {
+  /**
+   * @param {Object} client - Anthropic client
+   * @param {Object} options - { usage } run usage counters from createUsageContext()
+   */
+  constructor(client, { usage = null } = {}) {
+    if (!client) {
+      throw new Error('Anthropic client is required for sentiment classification');
+    }
+
+    this.client = client;
+    this.usage = usage;
+  }
+
+  /**
+   * Classify mentions toward a brand
+   * @param {string} brand - Brand name
+   * @param {Array} mentions - Array of { id, platform, title, text }
+   * @returns {Promise<Object>} - Map of mention id to { label, score, reason }; mentions the model
+   *   did not return (e.g. a truncated response) are left out rather than guessed as neutral
+   */
+  async classifyMentions(brand, mentions) {
+    const classifications = {};
+
+    for (let start = 0; start < mentions.length; start += BATCH_SIZE) {
+      const batch = mentions.slice(start, start + BATCH_SIZE);
+      const results = await this.classifyBatch(brand, batch);
+
+      batch.forEach(mention => {
+        if (results[mention.id]) {
+          classifications[mention.id] = results[mention.id];
+        }
+      });
+    }
+
+    const classified = Object.keys(classifications).length;
+    if (classified < mentions.length) {
+      logger.warn('Model did not classify every mention', { brand, mentions: mentions.length, unclassified: mentions.length - classified });
+    }
+    logger.info('Classified mentions', { brand, mentions: classified });
+    return classifications;
+  }
+
+  /**
+   * Classify one batch of mentions with a single Claude call
+   * @param {string} brand - Brand name
+   * @param {Array} batch - Mentions
+   * @returns {Promise<Object>} - Map of mention id to classification
+   */
+  async classifyBatch(brand, batch) {
+    // Batches run in order per brand, so replays are keyed by brand and position
+    const fixtureKey = ['classify', normalizeQuery(brand), getFixtureStore().next(`classify:${normalizeQuery(brand)}`)];
+    const message = await getFixtureStore().through('anthropic', fixtureKey, async () => {
+      const response = await getRequestPolicy('anthropic').run(() => this.client.messages.create({
+        model: CLASSIFIER_MODEL,
+        max_tokens: 2000,
+        temperature: 0,
+        messages: [{
+          role: 'user',
+          content: this.buildClassificationPrompt(brand, batch)
+        }]
+      }), `classify ${batch.length} ${brand} mentions`);
+      recordClaudeUsage(this.usage, response);
+      return response;
+    });
+
+    let responseText = '';
+    for (const content of message.content) {
+      if (content.type === 'text') {
+        responseText += content.text;
+      }
+    }
+
+    return SentimentClassifier.parseClassifications(responseText);
+  }
+
+  /**
+   * Build the classification prompt for a batch
+   * @param {string} brand - Brand name
+   * @param {Array} batch - Mentions
+   * @returns {string} - Prompt text
+   */
+  buildClassificationPrompt(brand, batch) {
+    const items = batch.map(mention => {
+      const text = `${mention.title || ''} ${mention.text || ''}`.replace(/\s+/g, ' ').trim();
+      return `[${mention.id}] (${mention.platform}) ${text.substring(0, MAX_TEXT_LENGTH)}`;
+    }).join('\n');
+
+    return `Classify the sentiment of each mention below toward the brand "${brand}".
+
+For every mention return:
+- "id": the id in square brackets
+- "label": one of "positive", "neutral", "negative" (sentiment toward ${brand}, not the topic in general)
+- "score": number from -1 (very negative) to 1 (very positive)
+- "reason": a short justification (max 12 words)
+
+Mentions that do not express an opinion about ${brand} are "neutral".
+
+Respond with ONLY a JSON array, no other text.
+
+MENTIONS:
+${items}`;
+  }
+
+  /**
+   * Parse and validate the model's JSON array
+   * @param {string} responseText - Raw model output
+   * @returns {Object} - Map of mention id to { label, score, reason }
+   */
+  static parseClassifications(responseText) {
+    const start = responseText.indexOf('[');
+    const end = responseText.lastIndexOf(']');
+
+    if (start === -1 || end <= start) {
+      logger.warn('Sentiment classifier returned no JSON array');
+      return {};
+    }
+
+    let entries;
+    try {
+      entries = JSON.parse(responseText.slice(start, end + 1));
+    } catch (error) {
+      logger.warn('Could not parse sentiment classifications', { error });
+      return {};
+    }
+
+    const classifications = {};
+    (Array.isArray(entries) ? entries : []).forEach(entry => {
+      if (!entry || !entry.id) {
+        return;
+      }
+
+      const label = String(entry.label || '').toLowerCase();
+      const score = Number(entry.score);
+
+      classifications[entry.id] = {
+        label: LABELS.includes(label) ? label : 'neutral',
+        score: Number.isFinite(score) ? Math.max(-1, Math.min(1, Math.round(score * 100) / 100)) : 0,
+        reason: String(entry.reason || '').slice(0, 160)
+      };
+    });
+
+    return classifications;
+  }
+}
+
+module.exports = { SentimentClassifier, LABELS };
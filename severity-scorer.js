@@ -0,0 +1,245 @@
+/**
+ * Severity Scorer
+ * Scores each critical concern from model severity, cited mention volume, engagement
+ * and keyword rules, and decides the report's critical severity against configurable thresholds
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DataAggregator } = require('./data-aggregator');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('severity');
+
+const DEFAULT_SEVERITY_FILE = path.join(__dirname, 'severity.json');
+const SEVERITY_LEVELS = ['none', 'minor', 'moderate', 'critical'];
+const URL_PATTERN = /https?:\/\/[^\s)>\]]+/g;
+const REASON_TEXT_LENGTH = 80;
+
+const DEFAULT_SEVERITY_CONFIG = {
+  // Points for the severity Claude assigned to the concern
+  modelSeverity: { critical: 50, moderate: 25, minor: 10 },
+  // Points per cited mention found in the collected data, capped
+  volume: { perMention: 5, max: 25 },
+  // Points per engagement unit (score + 2 x comments) across cited mentions, capped
+  engagement: { perPoint: 0.1, max: 25 },
+  // Keyword rules matched against the concern and its cited mentions
+  keywords: [
+    { name: 'outage', pattern: '\\b(outage|downtime|is down|went down|not loading|unavailable)\\b', weight: 30 },
+    { name: 'security', pattern: '\\b(security|breach|vulnerabilit(y|ies)|hacked|exploit|leak(ed)?)\\b', weight: 35 },
+    { name: 'data loss', pattern: '\\b(data loss|lost (my|our|all)? ?data|deleted (my|our|all)|corrupt(ed|ion))\\b', weight: 35 },
+    { name: 'lawsuit', pattern: '\\b(lawsuit|sued|suing|class action|legal action|regulator)\\b', weight: 30 }
+  ],
+  // Minimum score for each level; below "minor" a concern is treated as noise
+  thresholds: { critical: 70, moderate: 40, minor: 15 },
+  // Lowest overall severity that sets has_critical_issues
+  alertLevel: 'moderate'
+};
+
+/**
+ * Load severity configuration from SEVERITY_FILE (defaults to ./severity.json)
+ * Missing keys fall back to the built-in defaults
+ * @param {string} file - Optional path override
+ * @returns {Object} - Severity configuration
+ */
+function loadSeverityConfig(file = process.env.SEVERITY_FILE || DEFAULT_SEVERITY_FILE) {
+  if (!fs.existsSync(file)) {
+    return DEFAULT_SEVERITY_CONFIG;
+  }
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+      modelSeverity: { ...DEFAULT_SEVERITY_CONFIG.modelSeverity, ...parsed.modelSeverity },
+      volume: { ...DEFAULT_SEVERITY_CONFIG.volume, ...parsed.volume },
+      engagement: { ...DEFAULT_SEVERITY_CONFIG.engagement, ...parsed.engagement },
+      keywords: Array.isArray(parsed.keywords) ? parsed.keywords : DEFAULT_SEVERITY_CONFIG.keywords,
+      thresholds: { ...DEFAULT_SEVERITY_CONFIG.thresholds, ...parsed.thresholds },
+      alertLevel: SEVERITY_LEVELS.includes(parsed.alertLevel) ? parsed.alertLevel : DEFAULT_SEVERITY_CONFIG.alertLevel
+    };
+  } catch (error) {
+    logger.error('Could not load severity config', { file, error });
+    return DEFAULT_SEVERITY_CONFIG;
+  }
+}
+
+class SeverityScorer {
+  /**
+   * @param {Object} config - Severity configuration (see DEFAULT_SEVERITY_CONFIG)
+   */
+  constructor(config = DEFAULT_SEVERITY_CONFIG) {
+    this.config = config;
+    this.keywordRules = config.keywords
+      .filter(rule => rule && rule.name && rule.pattern)
+      .map(rule => {
+        try {
+          return { name: rule.name, weight: Number(rule.weight) || 0, regex: new RegExp(rule.pattern, 'i') };
+        } catch (error) {
+          logger.warn('Ignoring severity keyword rule', { rule: rule.name, error });
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Score every concern and decide the overall severity
+   * @param {Array} concerns - Array of { text, severity, sources }
+   * @param {Object|null} aggregatedData - Aggregated API data used to look up cited mentions
+   * @returns {Object} - { level, hasCriticalIssues, reasons, concerns: [{ text, score, level, reasons }] }
+   */
+  scoreConcerns(concerns, aggregatedData = null) {
+    const mentionsByUrl = this.indexMentions(aggregatedData);
+    const scored = concerns.map(concern => this.scoreConcern(concern, mentionsByUrl));
+
+    const level = scored.reduce((highest, concern) => (this.rank(concern.level) > this.rank(highest) ? concern.level : highest), 'none');
+    const reasons = scored
+      .filter(concern => concern.level !== 'none')
+      .sort((a, b) => b.score - a.score)
+      .map(concern => `${concern.level.charAt(0).toUpperCase() + concern.level.slice(1)} (score ${concern.score}): ` +
+        `"${this.truncate(concern.text)}" — ${concern.reasons.join(', ')}`);
+
+    return {
+      level,
+      hasCriticalIssues: this.rank(level) >= this.rank(this.config.alertLevel),
+      reasons,
+      concerns: scored
+    };
+  }
+
+  /**
+   * Score a single concern
+   * @param {Object} concern - { text, severity, sources }
+   * @param {Map} mentionsByUrl - Collected mentions keyed by URL
+   * @returns {Object} - { text, severity, score, level, reasons }
+   */
+  scoreConcern(concern, mentionsByUrl) {
+    const { modelSeverity, volume, engagement, thresholds } = this.config;
+    const reasons = [];
+    let score = 0;
+
+    const severityPoints = modelSeverity[concern.severity] || 0;
+    score += severityPoints;
+    reasons.push(`model severity ${concern.severity} +${severityPoints}`);
+
+    const cited = (concern.sources || []).map(source => mentionsByUrl.get(source)).filter(Boolean);
+    if (cited.length > 0) {
+      const volumePoints = Math.min(cited.length * volume.perMention, volume.max);
+      score += volumePoints;
+      reasons.push(`${cited.length} cited mention${cited.length === 1 ? '' : 's'} +${volumePoints}`);
+
+      const totalEngagement = cited.reduce((sum, mention) => sum + DataAggregator.engagementScore(mention), 0);
+      const engagementPoints = Math.round(Math.min(totalEngagement * engagement.perPoint, engagement.max));
+      if (engagementPoints > 0) {
+        score += engagementPoints;
+        reasons.push(`engagement ${totalEngagement} +${engagementPoints}`);
+      }
+    }
+
+    const searchable = [concern.text, ...cited.map(mention => `${mention.title || ''} ${mention.text || ''}`)].join('\n');
+    this.keywordRules.forEach(rule => {
+      if (rule.regex.test(searchable)) {
+        score += rule.weight;
+        reasons.push(`keyword "${rule.name}" +${rule.weight}`);
+      }
+    });
+
+    score = Math.round(score);
+    const level = ['critical', 'moderate', 'minor'].find(candidate => score >= thresholds[candidate]) || 'none';
+
+    return { text: concern.text, severity: concern.severity, score, level, reasons };
+  }
+
+  /**
+   * Map every collected mention (and nested comment) URL to its mention
+   * @param {Object|null} aggregatedData - Aggregated API data
+   * @returns {Map} - URL to mention
+   */
+  indexMentions(aggregatedData) {
+    const index = new Map();
+    if (!aggregatedData) {
+      return index;
+    }
+
+    DataAggregator.allMentions(aggregatedData).forEach(mention => {
+      if (mention.url) {
+        index.set(mention.url, mention);
+      }
+      (mention.comments || []).forEach(comment => {
+        if (comment.url && !index.has(comment.url)) {
+          index.set(comment.url, { ...comment, engagement: { score: comment.score, comments: 0 } });
+        }
+      });
+    });
+
+    return index;
+  }
+
+  /**
+   * Position of a level in SEVERITY_LEVELS
+   * @param {string} level - Severity level
+   * @returns {number} - 0 (none) to 3 (critical)
+   */
+  rank(level) {
+    return Math.max(0, SEVERITY_LEVELS.indexOf(level));
+  }
+
+  /**
+   * Shorten concern text for reasons
+   * @param {string} text - Concern text
+   * @returns {string} - Truncated text
+   */
+  truncate(text) {
+    return text.length > REASON_TEXT_LENGTH ? `${text.slice(0, REASON_TEXT_LENGTH - 1)}…` : text;
+  }
+}
+
+/**
+ * Read concerns from a parsed analysis
+ * Structured reports carry them directly; text responses are split into bullets,
+ * reading a leading "Critical:"/"Moderate:"/"Minor:" as the model severity
+ * @param {Object} analysis - Parsed analysis
+ * @returns {Array} - Array of { text, severity, sources }
+ */
+function extractConcerns(analysis) {
+  if (analysis.structuredReport) {
+    return analysis.structuredReport.critical_concerns;
+  }
+
+  return String(analysis.negativeConcerns || '')
+    .split('\n')
+    .map(line => line.replace(/^\s*(?:[•\-*]|\d+[.)])\s*/, '').trim())
+    .filter(line => line && !/^no (?:critical |significant )?(?:concerns|issues)\b/i.test(line))
+    .map(line => {
+      const prefix = line.match(/^\**(critical|moderate|minor)\**\s*[:\-–]\s*/i);
+      return {
+        text: prefix ? line.slice(prefix[0].length) : line,
+        severity: prefix ? prefix[1].toLowerCase() : 'moderate',
+        sources: (line.match(URL_PATTERN) || []).map(url => url.replace(/[.,;]+$/, ''))
+      };
+    });
+}
+
+/**
+ * Score an analysis' concerns with the configured thresholds
+ * @param {Object} analysis - Parsed analysis
+ * @param {Object|null} aggregatedData - Aggregated API data
+ * @returns {Object} - { level, hasCriticalIssues, reasons, concerns }
+ */
+function scoreSeverity(analysis, aggregatedData = null) {
+  const scorer = new SeverityScorer(loadSeverityConfig());
+  const result = scorer.scoreConcerns(extractConcerns(analysis), aggregatedData);
+
+  logger.info('Scored severity', { level: result.level, concerns: result.concerns.length, alertLevel: scorer.config.alertLevel });
+
+  return result;
+}
+
+module.exports = {
+  SeverityScorer,
+  SEVERITY_LEVELS,
+  DEFAULT_SEVERITY_CONFIG,
+  loadSeverityConfig,
+  extractConcerns,
+  scoreSeverity
+};
@@ -0,0 +1,187 @@
+/**
+ * Source Provider Registry
+ * Every data source (Reddit, Serper, ...) registers a provider so the aggregator and
+ * prompt builder can work over any set of sources.
+ *
+ * A provider is an object with:
+ *   name         {string}   - Unique provider name (e.g. 'reddit')
+ *   platforms    {Array}    - Platforms it produces: { key, label, heading, unit }
+ *   isConfigured {Function} - () => boolean, true if credentials/config are present
+ *   fetch        {Function} - async (brand, { timeRange, window, platforms, subreddits, maxPages }) => raw provider data
+ *                             (window is the resolved time range; use it for the source's coarse filter)
+ *   normalize    {Function} - (raw) => Array of mentions
+ *   failures     {Function} - Optional (raw) => Array of { platform, status: 'failed'|'partial', error }
+ *                             for platforms that lost data to requests failing after retries
+ *
+ * A mention is a plain object:
+ *   { id, platform, title, text, url, author, createdAt, context, engagement: { score, comments } }
+ * and may carry nested replies (e.g. Reddit comments):
+ *   comments: [{ id, text, url, author, createdAt, score }]
+ */
+
+const { isWithinRange } = require('./time-range');
+const { getFixtureStore } = require('./fixture-store');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('providers');
+
+/**
+ * Drop mentions (and nested comments) whose timestamp falls outside the window
+ * Undated mentions are kept since they already passed the source's own recency filter
+ * @param {Array} mentions - Normalized mentions
+ * @param {Object} window - Resolved time range
+ * @returns {Object} - { mentions, outOfWindow, undated }
+ */
+function filterMentionsByWindow(mentions, window) {
+  let outOfWindow = 0;
+  let undated = 0;
+
+  const kept = mentions.filter(mention => {
+    const inRange = isWithinRange(mention.createdAt, window);
+    if (inRange === null) {
+      undated++;
+    } else if (!inRange) {
+      outOfWindow++;
+    }
+    return inRange !== false;
+  }).map(mention => {
+    if (!Array.isArray(mention.comments)) {
+      return mention;
+    }
+    const comments = mention.comments.filter(comment => isWithinRange(comment.createdAt, window) !== false);
+    outOfWindow += mention.comments.length - comments.length;
+    return { ...mention, comments };
+  });
+
+  return { mentions: kept, outOfWindow, undated };
+}
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Register a source provider
+   * @param {Object} provider - Provider implementing the interface above
+   * @returns {ProviderRegistry} - This registry (chainable)
+   */
+  register(provider) {
+    ['fetch', 'normalize', 'isConfigured'].forEach(method => {
+      if (typeof provider[method] !== 'function') {
+        throw new Error(`Provider "${provider.name}" must implement ${method}()`);
+      }
+    });
+
+    if (!provider.name || !Array.isArray(provider.platforms) || provider.platforms.length === 0) {
+      throw new Error('Provider must have a name and at least one platform');
+    }
+
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  /**
+   * Remove a provider
+   * @param {string} name - Provider name
+   */
+  unregister(name) {
+    this.providers.delete(name);
+  }
+
+  /**
+   * List registered providers
+   * @returns {Array} - Providers in registration order
+   */
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * Look up platform metadata across all providers
+   * @param {string} key - Platform key (e.g. 'linkedin')
+   * @returns {Object|null} - { key, label, heading, unit }
+   */
+  getPlatform(key) {
+    for (const provider of this.providers.values()) {
+      const platform = provider.platforms.find(candidate => candidate.key === key);
+      if (platform) {
+        return platform;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Fetch and normalize mentions from every configured provider in parallel
+   * A failing provider is reported in its result instead of failing the whole run.
+   * When options.window is set, mentions dated outside it are dropped.
+   * When options.providers is set, only the named providers are queried.
+   * @param {string} brand - Brand name
+   * @param {Object} options - { timeRange, window, platforms, subreddits, providers, maxPages, maxQueries, comments, cache, usage }
+   * @returns {Promise<Array>} - Array of { provider, platforms, mentions, error, failures, outOfWindow, undated }
+   */
+  async fetchAll(brand, options = {}) {
+    const selected = Array.isArray(options.providers)
+      ? this.list().filter(provider => options.providers.includes(provider.name))
+      : this.list();
+
+    const configured = selected.filter(provider => {
+      // Replays run every provider that was recorded, with or without credentials
+      if (provider.isConfigured() || getFixtureStore().hasRecordings(provider.name)) {
+        return true;
+      }
+      logger.warn('Provider not configured, skipping', { provider: provider.name });
+      return false;
+    });
+
+    return Promise.all(configured.map(async provider => {
+      try {
+        const raw = await provider.fetch(brand, options);
+        const normalized = provider.normalize(raw);
+        const { mentions, outOfWindow, undated } = options.window
+          ? filterMentionsByWindow(normalized, options.window)
+          : { mentions: normalized, outOfWindow: 0, undated: 0 };
+
+        const failures = typeof provider.failures === 'function' ? provider.failures(raw) : [];
+
+        logger.info('Provider mentions collected', {
+          provider: provider.name,
+          mentions: mentions.length,
+          outOfWindow,
+          failedPlatforms: failures.length
+        });
+        return { provider: provider.name, platforms: provider.platforms, mentions, error: null, failures, outOfWindow, undated };
+      } catch (error) {
+        logger.error('Provider failed', { provider: provider.name, error });
+        const failures = provider.platforms.map(({ key }) => ({ platform: key, status: 'failed', error: error.message }));
+        return { provider: provider.name, platforms: provider.platforms, mentions: [], error: error.message, failures, outOfWindow: 0, undated: 0 };
+      }
+    }));
+  }
+}
+
+let defaultRegistry = null;
+
+/**
+ * Get the registry with all built-in providers registered
+ * @returns {ProviderRegistry} - Shared registry
+ */
+function getDefaultRegistry() {
+  if (!defaultRegistry) {
+    // Required lazily so service modules can be loaded on their own
+    const { redditProvider } = require('./reddit-service');
+    const { serperProvider } = require('./search-service');
+    const { hackerNewsProvider } = require('./hackernews-service');
+    const { feedProvider } = require('./feed-service');
+
+    defaultRegistry = new ProviderRegistry()
+      .register(redditProvider)
+      .register(serperProvider)
+      .register(hackerNewsProvider)
+      .register(feedProvider);
+  }
+  return defaultRegistry;
+}
+
+module.exports = { ProviderRegistry, getDefaultRegistry, filterMentionsByWindow };
@@ -1,9 +1,16 @@
 require('dotenv').config();
 const { searchGoogle } = require('./search-service');
+const { getFixtureStore } = require('./fixture-store');
 
 async function testGoogleSearch() {
   console.log('🧪 Testing Google Custom Search API Integration\n');
 
+  // FIXTURE_MODE=record saves the responses; FIXTURE_MODE=replay runs offline from them
+  const fixtures = getFixtureStore();
+  if (fixtures.mode !== 'off') {
+    console.log(`🎞️ Fixture mode: ${fixtures.mode} (${fixtures.dir})\n`);
+  }
+
   const testBrand = 'Slack';
 
   console.log(`Testing search for brand: "${testBrand}"\n`);
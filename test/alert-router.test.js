@@ -0,0 +1,71 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { AlertRouter } = require('../alert-router');
+
+const CONFIG = { channel: 'C0ALERTS', owners: [], minSeverity: 'critical', resolveAfterRuns: 2, brands: {} };
+const CONCERN = { text: 'Login outage blocks dashboard access', level: 'critical', score: 9, reasons: ['14 mentions'] };
+
+/**
+ * Analysis result as the alert router receives it
+ * @param {Array} concerns - Scored concerns
+ * @param {Array} platforms - Platforms the run collected data from
+ * @param {number} days - Window length in days
+ * @returns {Object} - Analysis
+ */
+function analysis(concerns, platforms, days = 7) {
+  const end = new Date('2026-10-19T09:00:00.000Z');
+  return {
+    dataSource: 'real-time',
+    concernScores: concerns,
+    coveredPlatforms: platforms,
+    window: { label: `last ${days} days`, start: new Date(end.getTime() - days * 86400000).toISOString(), end: end.toISOString() }
+  };
+}
+
+describe('AlertRouter', () => {
+  let tempDir;
+  let posts;
+  let router;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'alert-router-'));
+    posts = [];
+    const client = {
+      chat: {
+        postMessage: async (message) => {
+          posts.push(message);
+          return { channel: message.channel, ts: String(posts.length) };
+        }
+      }
+    };
+    router = new AlertRouter({ client, config: CONFIG, stateFile: path.join(tempDir, 'alert-state.json') });
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('does not resolve a concern on runs that did not cover its platforms or window', async () => {
+    await router.route('Acme', analysis([CONCERN], ['Reddit', 'LinkedIn']));
+
+    const narrow = [
+      await router.route('Acme', analysis([], ['X/Twitter'])),
+      await router.route('Acme', analysis([], ['Reddit', 'LinkedIn'], 1)),
+      await router.route('Acme', analysis([], ['Reddit']))
+    ];
+    assert.deepEqual(narrow.map(summary => summary.resolved), [0, 0, 0]);
+
+    const full = [
+      await router.route('Acme', analysis([], ['Reddit', 'LinkedIn', 'Blogs'])),
+      await router.route('Acme', analysis([], ['Reddit', 'LinkedIn'], 30))
+    ];
+    assert.deepEqual(full.map(summary => summary.resolved), [0, 1]);
+    assert.equal(posts.length, 2);
+    assert.match(posts[1].text, /^✅ \*Resolved:\*/);
+  });
+});
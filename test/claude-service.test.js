@@ -0,0 +1,106 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { SocialListeningService } = require('../claude-service');
+
+describe('SocialListeningService.parseResponse', () => {
+  let service;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    service = new SocialListeningService('test-key', { providers: { list: () => [] } });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('extracts every section and trims it', () => {
+    const response = [
+      'Intro text before the report',
+      '📊 **SENTIMENT BREAKDOWN**',
+      '- 60% positive, 30% neutral, 10% negative',
+      '',
+      '✅ **POSITIVE HIGHLIGHTS**',
+      '- Fast onboarding',
+      '⚠️ **CRITICAL CONCERNS**',
+      '- **Critical**: Login outage https://example.com/outage',
+      '🔥 **TRENDING TOPICS**',
+      '- AI assistant launch',
+      '🎯 **COMPETITIVE INSIGHTS**',
+      '- Cheaper than Globex',
+      '💡 **ACTIONABLE INSIGHTS**',
+      '- Publish a status page'
+    ].join('\n');
+
+    const parsed = service.parseResponse(response);
+
+    assert.equal(parsed.sentimentSummary, '- 60% positive, 30% neutral, 10% negative');
+    assert.equal(parsed.positiveHighlights, '- Fast onboarding');
+    assert.equal(parsed.negativeConcerns, '- **Critical**: Login outage https://example.com/outage');
+    assert.equal(parsed.trendingTopics, '- AI assistant launch');
+    assert.equal(parsed.competitiveInsights, '- Cheaper than Globex');
+    assert.equal(parsed.hasCriticalIssues, true);
+    assert.equal(parsed.fullReport, response);
+    assert.ok(!Number.isNaN(Date.parse(parsed.timestamp)));
+  });
+
+  it('parses sections given out of order', () => {
+    const parsed = service.parseResponse([
+      '🔥 **TRENDING TOPICS**',
+      '- Pricing change',
+      '📊 **SENTIMENT BREAKDOWN**',
+      '- Mostly neutral'
+    ].join('\n'));
+
+    assert.equal(parsed.trendingTopics, '- Pricing change');
+    assert.equal(parsed.sentimentSummary, '- Mostly neutral');
+    assert.equal(parsed.positiveHighlights, '');
+  });
+
+  it('does not flag critical issues when the concerns section reports none', () => {
+    const parsed = service.parseResponse('⚠️ **CRITICAL CONCERNS**\n- No critical concerns identified');
+
+    assert.equal(parsed.negativeConcerns, '- No critical concerns identified');
+    assert.equal(parsed.hasCriticalIssues, false);
+  });
+
+  it('flags critical issues when concerns are listed', () => {
+    const parsed = service.parseResponse('⚠️ **CRITICAL CONCERNS**\n- Billing errors reported by several teams');
+
+    assert.equal(parsed.hasCriticalIssues, true);
+  });
+
+  it('falls back to placeholders when no section header is found', () => {
+    const parsed = service.parseResponse('The model answered in free text without any headers.');
+
+    assert.equal(parsed.sentimentSummary, 'Unable to extract sentiment data from response.');
+    assert.equal(parsed.negativeConcerns, 'Manual review of full report required.');
+    assert.equal(parsed.positiveHighlights, '');
+    assert.equal(parsed.hasCriticalIssues, false);
+    assert.equal(parsed.fullReport, 'The model answered in free text without any headers.');
+  });
+
+  it('falls back to placeholders for an empty response', () => {
+    const parsed = service.parseResponse('');
+
+    assert.equal(parsed.sentimentSummary, 'Unable to extract sentiment data from response.');
+    assert.equal(parsed.fullReport, '');
+  });
+
+  it('returns the error result when the response is missing', () => {
+    const parsed = service.parseResponse(null);
+
+    assert.deepEqual({ ...parsed, timestamp: undefined }, {
+      sentimentSummary: 'Error: Unable to parse sentiment analysis.',
+      positiveHighlights: '',
+      negativeConcerns: 'Error occurred during analysis parsing.',
+      trendingTopics: '',
+      competitiveInsights: '',
+      hasCriticalIssues: true,
+      fullReport: 'No response received from Claude.',
+      timestamp: undefined
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { DataAggregator } = require('../data-aggregator');
+
+const REDDIT_PLATFORMS = [{ key: 'reddit', label: 'Reddit', heading: 'REDDIT DATA', unit: 'posts' }];
+const SERPER_PLATFORMS = [
+  { key: 'linkedin', label: 'LinkedIn', heading: 'LINKEDIN DATA', unit: 'results' },
+  { key: 'blogs', label: 'Blogs', heading: 'BLOGS & FORUMS DATA', unit: 'results' }
+];
+const FEED_PLATFORMS = [{ key: 'blogs', label: 'Blogs', heading: 'BLOGS & FORUMS DATA', unit: 'results' }];
+
+/**
+ * Build a normalized mention
+ * @param {string} platform - Platform key
+ * @param {string} id - Mention id
+ * @param {string|null} url - Mention URL
+ * @param {Object} extra - Extra fields
+ * @returns {Object} - Mention
+ */
+function mention(platform, id, url, extra = {}) {
+  return { id, platform, title: `Acme ${id}`, text: 'Acme mention', url, author: 'someone', createdAt: null, ...extra };
+}
+
+/**
+ * Build a provider result as returned by ProviderRegistry.fetchAll()
+ * @param {string} provider - Provider name
+ * @param {Array} platforms - Provider platforms
+ * @param {Array} mentions - Mentions
+ * @param {Array} failures - Failed platforms
+ * @returns {Object} - Provider result
+ */
+function providerResult(provider, platforms, mentions, failures = []) {
+  return { provider, platforms, mentions, error: null, failures, outOfWindow: 0, undated: 0 };
+}
+
+describe('DataAggregator.deduplicateEntries', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps the first occurrence of a URL across platforms', () => {
+    const aggregated = DataAggregator.aggregateResults([
+      providerResult('reddit', REDDIT_PLATFORMS, [
+        mention('reddit', 'r1', 'https://example.com/shared', { context: 'r/SaaS' }),
+        mention('reddit', 'r2', 'https://reddit.com/r2', { context: 'r/SaaS' })
+      ]),
+      providerResult('serper', SERPER_PLATFORMS, [
+        mention('linkedin', 'l1', 'https://example.com/shared'),
+        mention('linkedin', 'l2', 'https://linkedin.com/l2'),
+        mention('blogs', 'b1', 'https://blog.example.com/b1')
+      ])
+    ], 'Acme', '7 days');
+
+    const deduplicated = DataAggregator.deduplicateEntries(aggregated);
+
+    assert.deepEqual(deduplicated.platforms.reddit.mentions.map(entry => entry.id), ['r1', 'r2']);
+    assert.deepEqual(deduplicated.platforms.linkedin.mentions.map(entry => entry.id), ['l2']);
+    assert.equal(deduplicated.platforms.linkedin.totalResults, 1);
+    assert.equal(deduplicated.aggregateStats.totalSources, 4);
+    assert.deepEqual(deduplicated.aggregateStats.platformBreakdown, { reddit: 2, linkedin: 1, blogs: 1 });
+  });
+
+  it('removes duplicates within a platform merged from several providers', () => {
+    const aggregated = DataAggregator.aggregateResults([
+      providerResult('serper', SERPER_PLATFORMS, [mention('blogs', 'b1', 'https://blog.example.com/post')]),
+      providerResult('feeds', FEED_PLATFORMS, [
+        mention('blogs', 'f1', 'https://blog.example.com/post'),
+        mention('blogs', 'f2', 'https://blog.example.com/other')
+      ])
+    ], 'Acme', '7 days');
+
+    const deduplicated = DataAggregator.deduplicateEntries(aggregated);
+
+    assert.deepEqual(deduplicated.platforms.blogs.mentions.map(entry => entry.id), ['b1', 'f2']);
+    assert.deepEqual(deduplicated.platforms.blogs.providers, ['serper', 'feeds']);
+  });
+
+  it('keeps every mention without a URL', () => {
+    const aggregated = DataAggregator.aggregateResults([
+      providerResult('serper', SERPER_PLATFORMS, [
+        mention('linkedin', 'l1', null),
+        mention('linkedin', 'l2', ''),
+        mention('linkedin', 'l3', null)
+      ])
+    ], 'Acme', '7 days');
+
+    const deduplicated = DataAggregator.deduplicateEntries(aggregated);
+
+    assert.equal(deduplicated.platforms.linkedin.mentions.length, 3);
+  });
+
+  it('drops platforms left empty from the platform list', () => {
+    const aggregated = DataAggregator.aggregateResults([
+      providerResult('reddit', REDDIT_PLATFORMS, [mention('reddit', 'r1', 'https://example.com/a', { context: 'r/SaaS' })]),
+      providerResult('serper', SERPER_PLATFORMS, [mention('linkedin', 'l1', 'https://example.com/a')])
+    ], 'Acme', '7 days');
+
+    const deduplicated = DataAggregator.deduplicateEntries(aggregated);
+
+    assert.deepEqual(deduplicated.aggregateStats.platforms, ['Reddit']);
+    assert.deepEqual(deduplicated.aggregateStats.subreddits, [{ name: 'r/SaaS', mentions: 1 }]);
+  });
+});
+
+describe('DataAggregator.determineDataSource', () => {
+  const withMentions = (provider, failures = []) =>
+    providerResult(provider, REDDIT_PLATFORMS, [mention('reddit', `${provider}-1`, null)], failures);
+  const empty = (provider, failures = []) => providerResult(provider, REDDIT_PLATFORMS, [], failures);
+
+  it('is real-time when every provider returned data without failures', () => {
+    assert.equal(DataAggregator.determineDataSource([withMentions('reddit'), withMentions('serper')]), 'real-time');
+  });
+
+  it('is partial when some providers returned nothing', () => {
+    assert.equal(DataAggregator.determineDataSource([withMentions('reddit'), empty('serper')]), 'partial');
+  });
+
+  it('is partial when a provider with data had failed requests', () => {
+    const failures = [{ platform: 'reddit', status: 'partial', error: '1 of 9 searches failed (HTTP 503)' }];
+    assert.equal(DataAggregator.determineDataSource([withMentions('reddit', failures), withMentions('serper')]), 'partial');
+  });
+
+  it('is fallback when no provider returned data', () => {
+    assert.equal(DataAggregator.determineDataSource([empty('reddit'), empty('serper')]), 'fallback');
+  });
+
+  it('is fallback when no provider ran', () => {
+    assert.equal(DataAggregator.determineDataSource([]), 'fallback');
+  });
+});
+
+describe('DataAggregator.calculateSentimentBreakdown', () => {
+  it('leaves mentions the model did not classify out of the percentages', () => {
+    const classify = label => ({ classification: { label, score: 0, reason: '' } });
+    const aggregated = DataAggregator.aggregateResults([
+      providerResult('reddit', REDDIT_PLATFORMS, [
+        mention('reddit', 'r1', null, classify('positive')),
+        mention('reddit', 'r2', null, classify('negative')),
+        mention('reddit', 'r3', null, classify('positive')),
+        mention('reddit', 'r4', null),
+        mention('reddit', 'r5', null)
+      ])
+    ], 'Acme', '7 days');
+
+    const breakdown = DataAggregator.calculateSentimentBreakdown(aggregated);
+
+    assert.equal(breakdown.total, 3);
+    assert.equal(breakdown.unclassified, 2);
+    assert.deepEqual(breakdown.percentages, { positive: 67, neutral: 0, negative: 33 });
+    assert.match(DataAggregator.formatSentimentBreakdown(breakdown), /\(2\/0\/1 of 3 classified mentions, 2 unclassified\)/);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ExecutionRegistry } = require('../execution-registry');
+
+describe('ExecutionRegistry', () => {
+  let tempDir;
+  let file;
+
+  beforeEach(async () => {
+    mock.method(console, 'warn', () => {});
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'execution-registry-'));
+    file = path.join(tempDir, 'executions.json');
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('gives a concurrently delivered execution to exactly one handler', async () => {
+    const registry = new ExecutionRegistry({ file });
+
+    const claims = await Promise.all([
+      registry.claim('Fx001', 'function_executed'),
+      registry.claim('Fx001', 'app.function'),
+      registry.claim('Fx002', 'app.function')
+    ]);
+
+    assert.equal(claims[0].handler, 'function_executed');
+    assert.equal(claims[0].status, 'running');
+    assert.equal(claims[1], null);
+    assert.equal(claims[2].executionId, 'Fx002');
+  });
+
+  it('keeps claims and outcomes across restarts', async () => {
+    const registry = new ExecutionRegistry({ file });
+    await registry.claim('Fx001', 'function_executed');
+    await registry.finish('Fx001', 'failed', 'Social listening analysis failed: timeout');
+
+    const restarted = new ExecutionRegistry({ file });
+
+    assert.equal(await restarted.claim('Fx001', 'app.function'), null);
+    const { handler, status, error } = await restarted.get('Fx001');
+    assert.deepEqual({ handler, status, error }, {
+      handler: 'function_executed',
+      status: 'failed',
+      error: 'Social listening analysis failed: timeout'
+    });
+  });
+
+  it('lets a redelivery take over a claim left running by an earlier process', async () => {
+    const claimedAt = new Date(Date.now() - 60 * 1000).toISOString();
+    await fs.writeFile(file, JSON.stringify({
+      executions: [{ executionId: 'Fx001', handler: 'app.function', status: 'running', claimedAt, owner: '4242-deadbeef' }]
+    }));
+
+    const registry = new ExecutionRegistry({ file });
+    const claim = await registry.claim('Fx001', 'function_executed');
+
+    assert.equal(claim.handler, 'function_executed');
+    assert.equal(claim.status, 'running');
+    assert.equal(await registry.claim('Fx001', 'app.function'), null);
+  });
+
+  it('lets a redelivery take over a claim running past the analysis timeout', async () => {
+    const registry = new ExecutionRegistry({ file });
+    const first = await registry.claim('Fx001', 'function_executed');
+    assert.equal(await registry.claim('Fx001', 'app.function'), null);
+
+    first.claimedAt = new Date(Date.now() - 16 * 60 * 1000).toISOString();
+
+    assert.equal((await registry.claim('Fx001', 'app.function')).handler, 'app.function');
+  });
+
+  it('drops claims older than a day', async () => {
+    const claimedAt = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+    await fs.writeFile(file, JSON.stringify({
+      executions: [{ executionId: 'Fx001', handler: 'app.function', status: 'completed', claimedAt }]
+    }));
+
+    const registry = new ExecutionRegistry({ file });
+
+    assert.equal(await registry.get('Fx001'), null);
+    assert.equal((await registry.claim('Fx001', 'function_executed')).handler, 'function_executed');
+  });
+});
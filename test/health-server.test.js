@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { HealthServer } = require('../health-server');
+const { MetricsRegistry } = require('../metrics');
+
+const CREDENTIALS = { SLACK_BOT_TOKEN: 'xoxb-test', SLACK_APP_TOKEN: 'xapp-test', ANTHROPIC_API_KEY: 'sk-test' };
+
+describe('HealthServer', () => {
+  let socketClient;
+  let server;
+  let baseUrl;
+
+  /**
+   * Start a server on a free port
+   * @param {Object} options - HealthServer options
+   */
+  async function start(options = {}) {
+    server = new HealthServer({ socketClient, metrics: new MetricsRegistry(), env: CREDENTIALS, ...options });
+    const http = await server.start(0);
+    baseUrl = `http://127.0.0.1:${http.address().port}`;
+  }
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    socketClient = new EventEmitter();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    mock.restoreAll();
+  });
+
+  it('answers /healthz while Socket Mode is still connecting', async () => {
+    await start();
+    const response = await fetch(`${baseUrl}/healthz`);
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, 'ok');
+  });
+
+  it('is ready only while Socket Mode is connected', async () => {
+    await start();
+    let response = await fetch(`${baseUrl}/readyz`);
+    assert.equal(response.status, 503);
+    assert.deepEqual((await response.json()).checks.socketMode, { ok: false, state: 'connecting' });
+
+    socketClient.emit('connected');
+    response = await fetch(`${baseUrl}/readyz`);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), {
+      status: 'ready',
+      checks: { socketMode: { ok: true, state: 'connected' }, credentials: { ok: true } }
+    });
+
+    socketClient.emit('reconnecting');
+    response = await fetch(`${baseUrl}/readyz`);
+    assert.equal(response.status, 503);
+    assert.deepEqual((await response.json()).checks.socketMode, { ok: false, state: 'reconnecting' });
+  });
+
+  it('is not ready with credentials missing', async () => {
+    await start({ env: { SLACK_BOT_TOKEN: 'xoxb-test' } });
+    socketClient.emit('connected');
+
+    const response = await fetch(`${baseUrl}/readyz`);
+    assert.equal(response.status, 503);
+    assert.deepEqual((await response.json()).checks.credentials, {
+      ok: false,
+      missing: ['SLACK_APP_TOKEN', 'ANTHROPIC_API_KEY']
+    });
+  });
+
+  it('serves metrics with the connection state and month-to-date usage', async () => {
+    const usageLedger = {
+      getMonth: async () => ({ serperQueries: 120, claudeInputTokens: 9000, claudeOutputTokens: 1000, claudeCostUsd: 0.042 })
+    };
+    await start({ usageLedger });
+    socketClient.emit('connected');
+    server.metrics.increment('runs_total', { status: 'success', data_source: 'real_api' });
+
+    const response = await fetch(`${baseUrl}/metrics`);
+    const text = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/plain; charset=utf-8; version=0.0.4');
+    assert.match(text, /^social_listening_runs_total\{status="success",data_source="real_api"\} 1$/m);
+    assert.match(text, /^social_listening_socket_mode_connected 1$/m);
+    assert.match(text, /^social_listening_month_serper_queries 120$/m);
+    assert.match(text, /^social_listening_month_claude_tokens 10000$/m);
+    assert.match(text, /^social_listening_month_claude_cost_usd 0\.042$/m);
+  });
+
+  it('still serves metrics when the usage ledger cannot be read', async () => {
+    mock.method(console, 'warn', () => {});
+    await start({ usageLedger: { getMonth: async () => { throw new Error('EACCES'); } } });
+
+    const response = await fetch(`${baseUrl}/metrics`);
+
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /^social_listening_socket_mode_connected 0$/m);
+  });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseListenCommand } = require('../listen-command');
+
+describe('parseListenCommand', () => {
+  it('parses brand, competitors and flags', () => {
+    const parsed = parseListenCommand('run Acme vs Globex, Initech --range 30d --platforms reddit,linkedin --subreddits SaaS --refresh');
+
+    assert.deepEqual(parsed, {
+      subcommand: 'run',
+      brand: 'Acme',
+      competitors: 'Globex, Initech',
+      timeRange: '30 days',
+      timeRangeLabel: 'last 30 days',
+      platforms: 'reddit,linkedin',
+      subreddits: 'SaaS',
+      refresh: true,
+      error: null
+    });
+  });
+
+  it('takes an explicit range with spaces up to the next flag', () => {
+    const parsed = parseListenCommand('run Acme vs Globex --range 2025-01-01 to 2025-01-15 --refresh');
+
+    assert.equal(parsed.brand, 'Acme');
+    assert.equal(parsed.competitors, 'Globex');
+    assert.equal(parsed.timeRange, '2025-01-01 to 2025-01-15');
+    assert.equal(parsed.timeRangeLabel, '2025-01-01 to 2025-01-15');
+    assert.equal(parsed.refresh, true);
+    assert.equal(parsed.error, null);
+  });
+
+  it('accepts the compact explicit range form', () => {
+    const parsed = parseListenCommand('run Acme --range=2025-01-01..2025-01-15');
+
+    assert.equal(parsed.brand, 'Acme');
+    assert.equal(parsed.timeRangeLabel, '2025-01-01 to 2025-01-15');
+  });
+
+  it('defaults to 7 days without --range', () => {
+    const parsed = parseListenCommand('run Acme');
+
+    assert.equal(parsed.timeRange, '7 days');
+    assert.equal(parsed.timeRangeLabel, 'last 7 days');
+  });
+
+  it('rejects a range it cannot read instead of falling back', () => {
+    const parsed = parseListenCommand('run Acme --range 2025-01-01 to');
+
+    assert.match(parsed.error, /^Could not read the time range `2025-01-01 to`/);
+  });
+
+  it('asks for a brand when none is given', () => {
+    assert.equal(parseListenCommand('history').error, 'Please provide a brand, e.g. `/listen history Slackbot`');
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MetricsRegistry } = require('../metrics');
+
+/**
+ * Sample lines (no comments) of a rendered registry
+ * @param {MetricsRegistry} metrics - Registry
+ * @returns {Array<string>} - Sample lines
+ */
+function samples(metrics) {
+  return metrics.render().split('\n').filter(line => line && !line.startsWith('#'));
+}
+
+describe('MetricsRegistry', () => {
+  it('declares every metric with HELP and TYPE even before it is recorded', () => {
+    const text = new MetricsRegistry().render();
+
+    assert.match(text, /^# HELP social_listening_runs_total /m);
+    assert.match(text, /^# TYPE social_listening_runs_total counter$/m);
+    assert.match(text, /^# TYPE social_listening_run_duration_seconds histogram$/m);
+    assert.match(text, /^# TYPE social_listening_socket_mode_connected gauge$/m);
+    assert.deepEqual(samples(new MetricsRegistry()), []);
+  });
+
+  it('adds counters per label set', () => {
+    const metrics = new MetricsRegistry();
+    metrics.increment('provider_errors_total', { provider: 'serper', reason: 'retries_exhausted' });
+    metrics.increment('provider_errors_total', { provider: 'serper', reason: 'retries_exhausted' });
+    metrics.increment('provider_errors_total', { provider: 'reddit', reason: 'circuit_open' });
+    metrics.increment('claude_tokens_total', { type: 'input' }, 1200);
+    metrics.increment('claude_tokens_total', { type: 'input' }, 0);
+
+    assert.deepEqual(samples(metrics), [
+      'social_listening_provider_errors_total{provider="serper",reason="retries_exhausted"} 2',
+      'social_listening_provider_errors_total{provider="reddit",reason="circuit_open"} 1',
+      'social_listening_claude_tokens_total{type="input"} 1200'
+    ]);
+  });
+
+  it('replaces gauge values', () => {
+    const metrics = new MetricsRegistry();
+    metrics.set('socket_mode_connected', {}, 1);
+    metrics.set('socket_mode_connected', {}, 0);
+
+    assert.deepEqual(samples(metrics), ['social_listening_socket_mode_connected 0']);
+  });
+
+  it('renders cumulative histogram buckets with sum and count', () => {
+    const metrics = new MetricsRegistry();
+    metrics.observe('run_duration_seconds', {}, 12);
+    metrics.observe('run_duration_seconds', {}, 45);
+    metrics.observe('run_duration_seconds', {}, 900);
+
+    assert.deepEqual(samples(metrics), [
+      'social_listening_run_duration_seconds_bucket{le="5"} 0',
+      'social_listening_run_duration_seconds_bucket{le="15"} 1',
+      'social_listening_run_duration_seconds_bucket{le="30"} 1',
+      'social_listening_run_duration_seconds_bucket{le="60"} 2',
+      'social_listening_run_duration_seconds_bucket{le="120"} 2',
+      'social_listening_run_duration_seconds_bucket{le="300"} 2',
+      'social_listening_run_duration_seconds_bucket{le="600"} 2',
+      'social_listening_run_duration_seconds_bucket{le="+Inf"} 3',
+      'social_listening_run_duration_seconds_sum 957',
+      'social_listening_run_duration_seconds_count 3'
+    ]);
+  });
+
+  it('escapes label values', () => {
+    const metrics = new MetricsRegistry();
+    metrics.increment('runs_total', { status: 'error', data_source: 'say "hi"\\\n' });
+
+    assert.deepEqual(samples(metrics), ['social_listening_runs_total{status="error",data_source="say \\"hi\\"\\\\\\n"} 1']);
+  });
+
+  it('rejects metrics that are not declared', () => {
+    assert.throws(() => new MetricsRegistry().increment('made_up_total'), /Unknown metric: made_up_total/);
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { RedditService } = require('../reddit-service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Service without a snoowrap client; the methods under test never call Reddit
+ * @returns {RedditService} - Service
+ */
+function createService() {
+  return Object.create(RedditService.prototype);
+}
+
+/**
+ * Build extracted post data
+ * @param {Object} fields - Overrides
+ * @returns {Object} - Post
+ */
+function post(fields = {}) {
+  return { id: 'p1', title: 'Thoughts on Acme?', body: '', author: 'someone', score: 5, numComments: 2, ...fields };
+}
+
+describe('RedditService.filterByRelevance', () => {
+  const service = createService();
+
+  it('keeps posts naming the brand in the title or body, case-insensitively', () => {
+    const posts = [
+      post({ id: 'title', title: 'ACME pricing changed' }),
+      post({ id: 'body', title: 'Which CRM?', body: 'We moved to acme last year' }),
+      post({ id: 'other', title: 'Which CRM?', body: 'We use Globex' })
+    ];
+
+    assert.deepEqual(service.filterByRelevance(posts, 'Acme').map(entry => entry.id), ['title', 'body']);
+  });
+
+  it('drops deleted and removed posts', () => {
+    const posts = [
+      post({ id: 'deleted', author: '[deleted]' }),
+      post({ id: 'removed', title: 'Acme [removed]' }),
+      post({ id: 'kept' })
+    ];
+
+    assert.deepEqual(service.filterByRelevance(posts, 'Acme').map(entry => entry.id), ['kept']);
+  });
+
+  it('drops posts with no score and no comments', () => {
+    const posts = [
+      post({ id: 'dead', score: 0, numComments: 0 }),
+      post({ id: 'commented', score: 0, numComments: 1 }),
+      post({ id: 'upvoted', score: 1, numComments: 0 })
+    ];
+
+    assert.deepEqual(service.filterByRelevance(posts, 'Acme').map(entry => entry.id), ['commented', 'upvoted']);
+  });
+
+  it('matches multi-word brands as a phrase', () => {
+    const posts = [
+      post({ id: 'phrase', title: 'Is Acme Cloud down?' }),
+      post({ id: 'split', title: 'Acme moved everything to the cloud' })
+    ];
+
+    assert.deepEqual(service.filterByRelevance(posts, 'Acme Cloud').map(entry => entry.id), ['phrase']);
+  });
+});
+
+describe('RedditService.parseTimeRange', () => {
+  const service = createService();
+
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const cases = [
+    ['1 hour', 'hour'],
+    ['24 hours', 'day'],
+    ['today', 'day'],
+    ['7 days', 'week'],
+    ['1 week', 'week'],
+    ['8 days', 'month'],
+    ['30 days', 'month'],
+    ['90 days', 'year'],
+    ['1 year', 'year'],
+    ['2 years', 'all']
+  ];
+
+  cases.forEach(([range, filter]) => {
+    it(`maps "${range}" to "${filter}"`, () => {
+      assert.equal(service.parseTimeRange(range), filter);
+    });
+  });
+
+  it('picks the filter that reaches the start of an explicit range', () => {
+    const today = new Date();
+    const start = new Date(today.getTime() - 3 * DAY_MS).toISOString().slice(0, 10);
+    const end = today.toISOString().slice(0, 10);
+
+    assert.equal(service.parseTimeRange(`${start} to ${end}`), 'week');
+  });
+
+  it('searches all time for explicit ranges far in the past', () => {
+    assert.equal(service.parseTimeRange('2020-01-01 to 2020-01-15'), 'all');
+  });
+
+  it('falls back to a week for input it cannot parse', () => {
+    assert.equal(service.parseTimeRange('sometime soon'), 'week');
+    assert.equal(service.parseTimeRange(''), 'week');
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Scheduler } = require('../scheduler');
+
+describe('Scheduler', () => {
+  let tempDir;
+  let scheduler;
+  let analyze;
+
+  /**
+   * Write schedule definitions and create a scheduler reading them
+   * @param {Array} schedules - Schedule definitions
+   */
+  async function withSchedules(schedules) {
+    const schedulesFile = path.join(tempDir, 'schedules.json');
+    await fs.writeFile(schedulesFile, JSON.stringify({ schedules }));
+    scheduler = new Scheduler({
+      client: { chat: { postMessage: async () => ({ ok: true }) } },
+      analyze,
+      schedulesFile,
+      stateFile: path.join(tempDir, 'scheduler-state.json')
+    });
+  }
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scheduler-'));
+    analyze = mock.fn(async () => ({ sentimentSummary: '60% positive', timestamp: '2026-10-19T09:00:00.000Z' }));
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('skips a schedule with an unknown time zone and still fires the others', async () => {
+    await withSchedules([
+      { id: 'typo', brand: 'Acme', channel: 'C1', cron: '0 9 * * *', timezone: 'Europe/Londn' },
+      { id: 'daily', brand: 'Acme', channel: 'C1', cron: '0 9 * * *', timezone: 'UTC' }
+    ]);
+
+    const fired = await scheduler.tick(new Date('2026-10-19T09:00:10Z'));
+    await scheduler.queue;
+
+    assert.deepEqual(fired, ['daily']);
+    assert.equal(analyze.mock.callCount(), 1);
+    const warning = console.warn.mock.calls.map(call => JSON.parse(call.arguments[0]))
+      .find(entry => entry.scheduleId === 'typo');
+    assert.equal(warning.msg, 'Skipping schedule');
+  });
+});
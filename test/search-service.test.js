@@ -0,0 +1,131 @@
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Every Serper request goes through axios; replace it before the service loads it
+const requests = [];
+require.cache[require.resolve('axios')] = {
+  exports: async (config) => {
+    requests.push(config);
+    const resultsKey = config.url.endsWith('/news') ? 'news' : 'organic';
+    return {
+      data: {
+        [resultsKey]: [{
+          title: `Result for ${config.data.q}`,
+          link: `https://example.com/${encodeURIComponent(config.data.q)}`,
+          snippet: 'Acme mention',
+          source: 'example.com'
+        }]
+      }
+    };
+  }
+};
+
+process.env.CACHE_TTL_SERPER_MINUTES = '0';
+process.env.SERPER_MAX_PAGES = '1';
+delete process.env.FIXTURE_MODE;
+
+const { searchSerper } = require('../search-service');
+
+/**
+ * Platform a Serper request was made for, from its endpoint and query
+ * @param {Object} config - Axios request config
+ * @returns {string} - Platform key
+ */
+function platformOf(config) {
+  const query = config.data.q;
+  if (config.url.endsWith('/news')) {
+    return 'news';
+  }
+  if (query.includes('linkedin.com')) {
+    return 'linkedin';
+  }
+  if (query.includes('twitter.com') || query.includes('x.com')) {
+    return 'twitter';
+  }
+  if (/g2\.com|capterra\.com|trustradius\.com/.test(query)) {
+    return 'reviews';
+  }
+  if (/medium\.com|dev\.to|hashnode\.com/.test(query)) {
+    return 'blogs';
+  }
+  return 'unknown';
+}
+
+/**
+ * Platforms searched for a platforms input
+ * @param {string} platforms - Platforms input
+ * @returns {Promise<Array>} - Sorted platform keys that were queried
+ */
+async function searchedPlatforms(platforms) {
+  requests.length = 0;
+  await searchSerper('Acme', platforms);
+  return [...new Set(requests.map(platformOf))].sort();
+}
+
+describe('searchSerper platform selection', () => {
+  before(() => {
+    process.env.SERPER_API_KEY = 'test-key';
+  });
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('searches every web platform for "all"', async () => {
+    assert.deepEqual(await searchedPlatforms('all'), ['blogs', 'linkedin', 'news', 'reviews', 'twitter']);
+  });
+
+  it('searches only the named platforms', async () => {
+    assert.deepEqual(await searchedPlatforms('linkedin'), ['linkedin']);
+    assert.deepEqual(await searchedPlatforms('LinkedIn, Twitter'), ['linkedin', 'twitter']);
+  });
+
+  it('treats X as Twitter', async () => {
+    assert.deepEqual(await searchedPlatforms('X'), ['twitter']);
+  });
+
+  it('maps review sites and blog names to their platforms', async () => {
+    assert.deepEqual(await searchedPlatforms('G2, Capterra'), ['reviews']);
+    assert.deepEqual(await searchedPlatforms('Medium'), ['blogs']);
+    assert.deepEqual(await searchedPlatforms('blogs'), ['blogs']);
+  });
+
+  it('does not search Google News for Hacker News', async () => {
+    assert.deepEqual(await searchedPlatforms('Hacker News'), []);
+    assert.deepEqual(await searchedPlatforms('Hacker News, News'), ['news']);
+  });
+
+  it('makes no requests for platforms Serper does not cover', async () => {
+    assert.deepEqual(await searchedPlatforms('reddit'), []);
+  });
+
+  it('returns results grouped by platform', async () => {
+    requests.length = 0;
+    const results = await searchSerper('Acme', 'linkedin, news');
+
+    assert.equal(results.linkedin.length, 3);
+    assert.equal(results.news.length, 2);
+    assert.deepEqual(results.twitter, []);
+    assert.equal(results.totalResults, 5);
+    assert.deepEqual(results.failures, []);
+    assert.equal(requests.length, 5);
+    assert.ok(requests.every(config => config.headers['X-API-KEY'] === 'test-key'));
+  });
+
+  it('skips web search without an API key', async () => {
+    delete process.env.SERPER_API_KEY;
+    requests.length = 0;
+
+    const results = await searchSerper('Acme', 'all');
+
+    assert.equal(requests.length, 0);
+    assert.equal(results.totalResults, 0);
+    assert.equal(results.formattedText, 'Web search data unavailable (Serper API key not configured)');
+    process.env.SERPER_API_KEY = 'test-key';
+  });
+});
@@ -0,0 +1,412 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { registerWorkflowFunction } = require('../workflow-function');
+const { renderReportBlocks } = require('../report-blocks');
+const { BudgetExceededError } = require('../usage-ledger');
+const { getCorrelationId } = require('../logger');
+const { ExecutionRegistry } = require('../execution-registry');
+
+const EXECUTION_ID = 'Fx0123456789';
+
+const ANALYSIS = {
+  sentimentSummary: '62% positive, 28% neutral, 10% negative',
+  sentimentDelta: 'Positive +4 pts vs last report',
+  volumeDelta: '+12 mentions vs last report',
+  positiveHighlights: '• Fast onboarding',
+  negativeConcerns: '• **Critical**: Login outage',
+  trendingTopics: '• AI assistant launch',
+  competitiveInsights: '• Cheaper than Globex',
+  shareOfVoice: {
+    providers: ['reddit', 'serper'],
+    total: 40,
+    brands: [
+      { brand: 'Acme', primary: true, mentions: 30, share: 75, byPlatform: { reddit: 30 }, sentiment: null },
+      { brand: 'Globex', primary: false, mentions: 10, share: 25, byPlatform: { reddit: 10 }, sentiment: null }
+    ]
+  },
+  fullReport: '# Social Listening Report\n\nFull text',
+  hasCriticalIssues: true,
+  criticalSeverity: 'critical',
+  severityReasons: ['Login outage: critical severity', '14 mentions'],
+  timestamp: '2026-10-19T09:00:00.000Z'
+};
+
+/**
+ * Bolt app stand-in that captures registered handlers
+ * @returns {Object} - { app, events, functions }
+ */
+function createFakeApp() {
+  const events = {};
+  const functions = {};
+  return {
+    events,
+    functions,
+    app: {
+      event: (name, handler) => {
+        events[name] = handler;
+      },
+      function: (callbackId, handler) => {
+        functions[callbackId] = handler;
+      }
+    }
+  };
+}
+
+/**
+ * Web client stand-in recording functions.completeSuccess / completeError calls
+ * @returns {Object} - { client, calls }
+ */
+function createFakeClient() {
+  const calls = [];
+  return {
+    calls,
+    client: {
+      functions: {
+        completeSuccess: async (payload) => {
+          calls.push({ method: 'completeSuccess', payload });
+          return { ok: true };
+        },
+        completeError: async (payload) => {
+          calls.push({ method: 'completeError', payload });
+          return { ok: true };
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Outputs the handlers send for ANALYSIS
+ * @param {string} competitors - Competitors input
+ * @returns {Object} - Workflow outputs
+ */
+function expectedOutputs(competitors) {
+  return {
+    sentiment_summary: '📊 62% positive, 28% neutral, 10% negative',
+    sentiment_delta: '📈 Positive +4 pts vs last report',
+    volume_delta: '📈 +12 mentions vs last report',
+    positive_highlights: '✅ • Fast onboarding',
+    negative_concerns: '⚠️ • **Critical**: Login outage',
+    trending_topics: '🔥 • AI assistant launch',
+    competitive_insights: '🎯 • Cheaper than Globex',
+    share_of_voice: [
+      '📊 40 mentions from reddit + serper in the same window',
+      '```',
+      'Brand       Mentions  Share  Positive  Neutral  Negative',
+      'Acme (you)  30        75%    n/a       n/a      n/a',
+      'Globex      10        25%    n/a       n/a      n/a',
+      '```'
+    ].join('\n'),
+    full_report: '# Social Listening Report\n\nFull text',
+    report_blocks: JSON.stringify(renderReportBlocks(ANALYSIS, { brand: 'Acme', competitors, timeRange: '30 days' })),
+    has_critical_issues: 'true',
+    critical_severity: 'critical',
+    critical_reasons: '• Login outage: critical severity\n• 14 mentions',
+    report_timestamp: '2026-10-19T09:00:00.000Z'
+  };
+}
+
+describe('workflow function handlers', () => {
+  let events;
+  let functions;
+  let analyze;
+  let registry;
+  let tempDir;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+
+    // Tests swap analyze for a different stub before invoking a handler
+    analyze = mock.fn(async () => ANALYSIS);
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'workflow-function-'));
+    registry = new ExecutionRegistry({ file: path.join(tempDir, 'executions.json') });
+    const fake = createFakeApp();
+    registerWorkflowFunction(fake.app, { analyze: (...args) => analyze(...args), registry });
+    ({ events, functions } = fake);
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Deliver a function_executed event
+   * @param {Object} inputs - Step inputs
+   * @param {string} callbackId - Function callback id
+   * @returns {Promise<Array>} - Client calls
+   */
+  const execute = async (inputs, callbackId = 'social_listening_report') => {
+    const { client, calls } = createFakeClient();
+    await events.function_executed({
+      event: {
+        type: 'function_executed',
+        function: { callback_id: callbackId, function_execution_id: EXECUTION_ID },
+        inputs
+      },
+      client
+    });
+    return calls;
+  };
+
+  /**
+   * Invoke the social_listening_report function handler
+   * @param {Object} inputs - Step inputs
+   * @returns {Promise<Array>} - complete/fail calls
+   */
+  const invoke = async (inputs) => {
+    const calls = [];
+    await functions.social_listening_report({
+      inputs,
+      context: { functionExecutionId: EXECUTION_ID },
+      complete: async (payload) => calls.push({ method: 'complete', payload }),
+      fail: async (payload) => calls.push({ method: 'fail', payload })
+    });
+    return calls;
+  };
+
+  describe('function_executed event', () => {
+    it('completes with every output variable', async () => {
+      const calls = await execute({
+        brand_or_product: 'Acme',
+        competitors: 'Globex',
+        time_range: '30 days',
+        platforms: 'reddit,linkedin',
+        subreddits: 'SaaS',
+        force_refresh: true
+      });
+
+      assert.deepEqual(analyze.mock.calls[0].arguments, ['Acme', 'Globex', '30 days', 'reddit,linkedin', { subreddits: 'SaaS', refresh: true }]);
+      assert.deepEqual(calls, [{
+        method: 'completeSuccess',
+        payload: { function_execution_id: EXECUTION_ID, outputs: expectedOutputs('Globex') }
+      }]);
+    });
+
+    it('applies input defaults and output placeholders', async () => {
+      analyze = mock.fn(async () => ({ timestamp: '2026-10-19T09:00:00.000Z' }));
+
+      const calls = await execute({ brand_or_product: 'Acme' });
+
+      assert.deepEqual(analyze.mock.calls[0].arguments, ['Acme', '', '7 days', 'all', { subreddits: undefined, refresh: false }]);
+      assert.equal(calls.length, 1);
+      assert.equal(calls[0].method, 'completeSuccess');
+      assert.equal(calls[0].payload.function_execution_id, EXECUTION_ID);
+
+      const { outputs } = calls[0].payload;
+      assert.match(outputs.full_report, /^# Social Listening Report\n\n\*\*Brand\/Product:\*\* Acme\n\*\*Competitors Tracked:\*\* None specified\n/);
+      assert.deepEqual({ ...outputs, full_report: undefined }, {
+        sentiment_summary: '📊 Unable to determine sentiment distribution.',
+        sentiment_delta: '📈 No previous report to compare against yet.',
+        volume_delta: '📈 No previous report to compare against yet.',
+        positive_highlights: '✅ No significant positive highlights identified.',
+        negative_concerns: '⚠️ No critical concerns identified at this time.',
+        trending_topics: '🔥 No trending topics detected.',
+        competitive_insights: '🎯 No competitive insights available.',
+        share_of_voice: '📊 No competitor data collected (add competitors to compare share of voice).',
+        full_report: undefined,
+        report_blocks: JSON.stringify(renderReportBlocks({ timestamp: '2026-10-19T09:00:00.000Z' }, {
+          brand: 'Acme',
+          competitors: undefined,
+          timeRange: '7 days'
+        })),
+        has_critical_issues: 'false',
+        critical_severity: 'none',
+        critical_reasons: 'No concerns reached the severity thresholds.',
+        report_timestamp: '2026-10-19T09:00:00.000Z'
+      });
+    });
+
+    it('fails the step when the brand is missing', async () => {
+      const calls = await execute({ competitors: 'Globex' });
+
+      assert.equal(analyze.mock.callCount(), 0);
+      assert.deepEqual(calls, [{
+        method: 'completeError',
+        payload: {
+          function_execution_id: EXECUTION_ID,
+          error: 'Brand/Product Name parameter is required but was not provided'
+        }
+      }]);
+    });
+
+    it('fails the step when the analysis throws', async () => {
+      analyze = mock.fn(async () => {
+        throw new Error('Anthropic unavailable');
+      });
+
+      const calls = await execute({ brand_or_product: 'Acme' });
+
+      assert.deepEqual(calls, [{
+        method: 'completeError',
+        payload: {
+          function_execution_id: EXECUTION_ID,
+          error: 'Social listening analysis failed: Anthropic unavailable'
+        }
+      }]);
+    });
+
+    it('reports a used-up budget with its own message', async () => {
+      analyze = mock.fn(async () => {
+        throw new BudgetExceededError('Monthly budget exhausted for 2026-10 (Serper queries: 2,500 of 2,500 (100%)).', null);
+      });
+
+      const calls = await execute({ brand_or_product: 'Acme' });
+
+      assert.deepEqual(calls, [{
+        method: 'completeError',
+        payload: {
+          function_execution_id: EXECUTION_ID,
+          error: 'Monthly budget exhausted for 2026-10 (Serper queries: 2,500 of 2,500 (100%)).'
+        }
+      }]);
+    });
+
+    it('ignores other functions', async () => {
+      const calls = await execute({ brand_or_product: 'Acme' }, 'another_function');
+
+      assert.equal(analyze.mock.callCount(), 0);
+      assert.deepEqual(calls, []);
+    });
+
+    it('runs the analysis under the execution ID as correlation ID', async () => {
+      let correlationId;
+      analyze = mock.fn(async () => {
+        correlationId = getCorrelationId();
+        return ANALYSIS;
+      });
+
+      await execute({ brand_or_product: 'Acme' });
+
+      assert.equal(correlationId, EXECUTION_ID);
+    });
+  });
+
+  describe('app.function handler', () => {
+    it('completes with every output variable', async () => {
+      const calls = await invoke({ brand_or_product: 'Acme', competitors: 'Globex', time_range: '30 days', platforms: 'all' });
+
+      assert.deepEqual(analyze.mock.calls[0].arguments, ['Acme', 'Globex', '30 days', 'all', { subreddits: undefined, refresh: false }]);
+      assert.deepEqual(calls, [{ method: 'complete', payload: { outputs: expectedOutputs('Globex') } }]);
+    });
+
+    it('fails when the brand is missing', async () => {
+      const calls = await invoke({});
+
+      assert.equal(analyze.mock.callCount(), 0);
+      assert.deepEqual(calls, [{ method: 'fail', payload: { error: 'Brand/Product Name parameter is required but was not provided' } }]);
+    });
+
+    it('fails the step when the analysis throws, like the event listener', async () => {
+      analyze = mock.fn(async () => {
+        throw new Error('Anthropic unavailable');
+      });
+
+      const calls = await invoke({ brand_or_product: 'Acme' });
+
+      assert.deepEqual(calls, [{ method: 'fail', payload: { error: 'Social listening analysis failed: Anthropic unavailable' } }]);
+    });
+
+    it('fails when the monthly budget is used up', async () => {
+      analyze = mock.fn(async () => {
+        throw new BudgetExceededError('Monthly budget exhausted for 2026-10 (Claude spend (USD): $50.00 of $50.00 (100%)).', null);
+      });
+
+      const calls = await invoke({ brand_or_product: 'Acme' });
+
+      assert.deepEqual(calls, [{
+        method: 'fail',
+        payload: { error: 'Monthly budget exhausted for 2026-10 (Claude spend (USD): $50.00 of $50.00 (100%)).' }
+      }]);
+    });
+  });
+
+  describe('one analysis per execution', () => {
+    it('completes through whichever handler is delivered first', async () => {
+      const [eventCalls, functionCalls] = await Promise.all([
+        execute({ brand_or_product: 'Acme', competitors: 'Globex', time_range: '30 days' }),
+        invoke({ brand_or_product: 'Acme', competitors: 'Globex', time_range: '30 days' })
+      ]);
+
+      assert.equal(analyze.mock.callCount(), 1);
+      assert.deepEqual(eventCalls, [{
+        method: 'completeSuccess',
+        payload: { function_execution_id: EXECUTION_ID, outputs: expectedOutputs('Globex') }
+      }]);
+      assert.deepEqual(functionCalls, []);
+      assert.equal((await registry.get(EXECUTION_ID)).status, 'completed');
+    });
+
+    it('ignores a redelivery of a finished execution', async () => {
+      await invoke({ brand_or_product: 'Acme' });
+      const calls = await invoke({ brand_or_product: 'Acme' });
+
+      assert.equal(analyze.mock.callCount(), 1);
+      assert.deepEqual(calls, []);
+    });
+
+    it('does not retry a failed execution from the other handler', async () => {
+      analyze = mock.fn(async () => {
+        throw new Error('Anthropic unavailable');
+      });
+
+      const eventCalls = await execute({ brand_or_product: 'Acme' });
+      const functionCalls = await invoke({ brand_or_product: 'Acme' });
+
+      assert.equal(analyze.mock.callCount(), 1);
+      assert.equal(eventCalls.length, 1);
+      assert.deepEqual(functionCalls, []);
+      const { handler, status, error } = await registry.get(EXECUTION_ID);
+      assert.deepEqual({ handler, status, error }, {
+        handler: 'function_executed',
+        status: 'failed',
+        error: 'Social listening analysis failed: Anthropic unavailable'
+      });
+    });
+
+    it('finishes the execution when Slack rejects the completion', async () => {
+      const { client } = createFakeClient();
+      client.functions.completeSuccess = async () => {
+        throw new Error('invalid_outputs');
+      };
+
+      await events.function_executed({
+        event: { function: { callback_id: 'social_listening_report', function_execution_id: EXECUTION_ID }, inputs: { brand_or_product: 'Acme' } },
+        client
+      });
+
+      const { status, error } = await registry.get(EXECUTION_ID);
+      assert.deepEqual({ status, error }, { status: 'failed', error: 'Could not complete step: invalid_outputs' });
+    });
+
+    it('fails a step that has no execution ID instead of running it', async () => {
+      const calls = [];
+      await functions.social_listening_report({
+        inputs: { brand_or_product: 'Acme' },
+        context: {},
+        complete: async (payload) => calls.push({ method: 'complete', payload }),
+        fail: async (payload) => calls.push({ method: 'fail', payload })
+      });
+
+      assert.equal(analyze.mock.callCount(), 0);
+      assert.deepEqual(calls, [{ method: 'fail', payload: { error: 'Workflow step has no function_execution_id, so it was not run' } }]);
+    });
+
+    it('runs different executions independently', async () => {
+      const { client, calls } = createFakeClient();
+      await events.function_executed({
+        event: { function: { callback_id: 'social_listening_report', function_execution_id: 'Fx_other' }, inputs: { brand_or_product: 'Acme' } },
+        client
+      });
+      await invoke({ brand_or_product: 'Acme' });
+
+      assert.equal(analyze.mock.callCount(), 2);
+      assert.equal(calls.length, 1);
+    });
+  });
+});
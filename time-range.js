@@ -0,0 +1,297 @@
+/**
+ * Time Range
+ * Parses time range inputs ("3 days", "24h", "2025-01-01 to 2025-01-15") into an exact window,
+ * maps the window to each source's coarse filter, and checks mention timestamps against it
+ */
+
+const { createLogger } = require('./logger');
+
+const logger = createLogger('time-range');
+
+const DEFAULT_TIME_RANGE = '7 days';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Unit aliases → canonical unit ("m" means months, matching the /listen --range shorthand)
+const UNIT_ALIASES = {
+  minute: ['minute', 'minutes', 'min', 'mins'],
+  hour: ['hour', 'hours', 'hr', 'hrs', 'h'],
+  day: ['day', 'days', 'd'],
+  week: ['week', 'weeks', 'wk', 'wks', 'w'],
+  month: ['month', 'months', 'mo', 'mos', 'm'],
+  year: ['year', 'years', 'yr', 'yrs', 'y']
+};
+
+// Reddit's relative time filters, narrowest first
+const REDDIT_FILTERS = [
+  { filter: 'hour', span: HOUR_MS },
+  { filter: 'day', span: DAY_MS },
+  { filter: 'week', span: 7 * DAY_MS },
+  { filter: 'month', span: 30 * DAY_MS },
+  { filter: 'year', span: 365 * DAY_MS }
+];
+
+/**
+ * Find the canonical unit for an alias
+ * @param {string} alias - e.g. "hrs", "d", "weeks"
+ * @returns {string|null} - Canonical unit
+ */
+function canonicalUnit(alias) {
+  return Object.keys(UNIT_ALIASES).find(unit => UNIT_ALIASES[unit].includes(alias)) || null;
+}
+
+/**
+ * Subtract a duration using calendar arithmetic for months and years
+ * @param {Date} from - Reference date
+ * @param {number} amount - Number of units
+ * @param {string} unit - Canonical unit
+ * @returns {Date} - from minus the duration
+ */
+function subtractDuration(from, amount, unit) {
+  const date = new Date(from.getTime());
+
+  switch (unit) {
+    case 'minute': return new Date(date.getTime() - amount * 60 * 1000);
+    case 'hour': return new Date(date.getTime() - amount * HOUR_MS);
+    case 'day': return new Date(date.getTime() - amount * DAY_MS);
+    case 'week': return new Date(date.getTime() - amount * 7 * DAY_MS);
+    case 'month': date.setUTCMonth(date.getUTCMonth() - amount); return date;
+    case 'year': date.setUTCFullYear(date.getUTCFullYear() - amount); return date;
+    default: return date;
+  }
+}
+
+/**
+ * Parse one side of an explicit range
+ * Date-only values are read as UTC and, for the end of a range, cover the whole day
+ * @param {string} value - ISO date/time or any Date.parse-able string
+ * @param {boolean} endOfDay - Treat a date-only value as the end of that day
+ * @returns {Date|null} - Parsed date
+ */
+function parseDate(value, endOfDay = false) {
+  const text = String(value || '').trim();
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const date = new Date(`${text}T00:00:00.000Z`);
+    if (Number.isNaN(date.getTime())) {
+      return null;
+    }
+    return endOfDay ? new Date(date.getTime() + DAY_MS - 1) : date;
+  }
+
+  const timestamp = Date.parse(text);
+  return Number.isNaN(timestamp) ? null : new Date(timestamp);
+}
+
+/**
+ * Build a range object
+ * @param {string} input - Original input
+ * @param {Date} start - Window start
+ * @param {Date} end - Window end
+ * @param {boolean} explicit - True for explicit date ranges
+ * @param {string} label - Human-readable description
+ * @returns {Object} - { input, start, end, explicit, label }
+ */
+function buildRange(input, start, end, explicit, label) {
+  return { input, start, end, explicit, label };
+}
+
+/**
+ * Parse a time range input into an exact window
+ * Supports durations ("3 days", "17d", "last 2 weeks", "90 minutes"), "today", "yesterday",
+ * "since <date>" and explicit ranges ("2025-01-01 to 2025-01-15", "2025-01-01..2025-01-15")
+ * @param {string} input - Time range input
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Object|null} - { input, start, end, explicit, label } or null if unparseable
+ */
+function parseTimeRange(input, now = new Date()) {
+  const text = String(input || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+  if (!text) {
+    return null;
+  }
+
+  if (text === 'today') {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    return buildRange(input, start, now, false, 'today');
+  }
+
+  if (text === 'yesterday') {
+    const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) - 1);
+    return buildRange(input, new Date(end.getTime() + 1 - DAY_MS), end, true, 'yesterday');
+  }
+
+  const since = text.match(/^since (.+)$/);
+  if (since) {
+    const start = parseDate(since[1]);
+    return start && start < now ? buildRange(input, start, now, false, `since ${since[1]}`) : null;
+  }
+
+  const explicit = text.match(/^(?:from |between )?(.+?)(?:\s*\.\.\s*| to | until | through | and | - | ?– ?)(.+)$/);
+  if (explicit) {
+    const start = parseDate(explicit[1]);
+    const end = parseDate(explicit[2], true);
+    if (start && end) {
+      if (start >= end) {
+        return null;
+      }
+      const clampedEnd = end > now ? now : end;
+      return buildRange(input, start, clampedEnd, true, `${explicit[1]} to ${explicit[2]}`);
+    }
+  }
+
+  const duration = text.match(/^(?:(?:the )?(?:last|past|previous) )?(\d+)?\s*([a-z]+)$/);
+  if (duration) {
+    const unit = canonicalUnit(duration[2]);
+    const amount = duration[1] !== undefined ? parseInt(duration[1], 10) : 1;
+    if (unit && amount > 0) {
+      const label = `last ${amount} ${unit}${amount === 1 ? '' : 's'}`;
+      return buildRange(input, subtractDuration(now, amount, unit), now, false, label);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a time range, falling back to the default (7 days) when it cannot be read
+ * Already-resolved range objects are returned unchanged
+ * @param {string|Object} timeRange - Time range input or range object
+ * @param {Date} now - Reference time
+ * @returns {Object} - Range object
+ */
+function resolveTimeRange(timeRange, now = new Date()) {
+  if (timeRange && typeof timeRange === 'object' && timeRange.start instanceof Date) {
+    return timeRange;
+  }
+
+  const parsed = parseTimeRange(timeRange, now);
+  if (parsed) {
+    return parsed;
+  }
+
+  logger.warn('Could not parse time range, using the default', { timeRange, defaultTimeRange: DEFAULT_TIME_RANGE });
+  return parseTimeRange(DEFAULT_TIME_RANGE, now);
+}
+
+/**
+ * Format the exact window for reports
+ * @param {Object} range - Range object (start/end as Dates or ISO strings)
+ * @returns {string} - e.g. "2025-10-12 14:05 → 2025-10-19 14:05 UTC"
+ */
+function formatWindow(range) {
+  const format = (date) => new Date(date).toISOString().slice(0, 16).replace('T', ' ');
+  return `${format(range.start)} → ${format(range.end)} UTC`;
+}
+
+/**
+ * Serializable summary of a window for stats and stored reports
+ * @param {Object} range - Range object
+ * @returns {Object} - { label, start, end } with ISO timestamps
+ */
+function describeWindow(range) {
+  return { label: range.label, start: range.start.toISOString(), end: range.end.toISOString() };
+}
+
+/**
+ * Check a timestamp against a window
+ * @param {string|Date} timestamp - Mention timestamp
+ * @param {Object} range - Range object
+ * @returns {boolean|null} - In range, or null when the timestamp is missing/unreadable
+ */
+function isWithinRange(timestamp, range) {
+  if (!timestamp) {
+    return null;
+  }
+
+  const time = timestamp instanceof Date ? timestamp.getTime() : Date.parse(timestamp);
+  if (Number.isNaN(time)) {
+    return null;
+  }
+
+  return time >= range.start.getTime() && time <= range.end.getTime();
+}
+
+/**
+ * How far back a window reaches from now
+ * Relative windows end at the moment they were resolved, so they are measured from their end;
+ * measuring from a later "now" would push "7 days" over into the next filter by a few ms
+ * @param {Object} range - Range object
+ * @param {Date} now - Reference time
+ * @returns {number} - Reach in ms
+ */
+function windowReach(range, now) {
+  return (range.explicit ? now : range.end).getTime() - range.start.getTime();
+}
+
+/**
+ * Narrowest Reddit search time filter that still reaches back to the window start
+ * @param {Object} range - Range object
+ * @param {Date} now - Reference time
+ * @returns {string} - hour, day, week, month, year or all
+ */
+function toRedditTimeFilter(range, now = new Date()) {
+  const reach = windowReach(range, now);
+  const match = REDDIT_FILTERS.find(entry => entry.span >= reach);
+  return match ? match.filter : 'all';
+}
+
+/**
+ * Google/Serper "tbs" recency parameter for a window
+ * Explicit ranges use a custom date range; relative ranges use "past N hours/days"
+ * @param {Object} range - Range object
+ * @param {Date} now - Reference time
+ * @returns {string} - tbs value
+ */
+function toSerperTbs(range, now = new Date()) {
+  if (range.explicit && now.getTime() - range.end.getTime() > HOUR_MS) {
+    const format = (date) => `${date.getUTCMonth() + 1}/${date.getUTCDate()}/${date.getUTCFullYear()}`;
+    return `cdr:1,cd_min:${format(range.start)},cd_max:${format(range.end)}`;
+  }
+
+  const reachHours = Math.ceil(windowReach(range, now) / HOUR_MS);
+  if (reachHours <= 72) {
+    return `qdr:h${Math.max(1, reachHours)}`;
+  }
+  return `qdr:d${Math.ceil(reachHours / 24)}`;
+}
+
+/**
+ * Parse publish dates as returned by search engines ("3 days ago", "Jan 5, 2025")
+ * @param {string} value - Date text
+ * @param {Date} now - Reference time
+ * @returns {string|null} - ISO timestamp or null
+ */
+function parsePublishedDate(value, now = new Date()) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) {
+    return null;
+  }
+
+  if (text === 'yesterday') {
+    return new Date(now.getTime() - DAY_MS).toISOString();
+  }
+
+  const relative = text.match(/^(\d+|an?)\s+([a-z]+)\s+ago$/);
+  if (relative) {
+    const unit = canonicalUnit(relative[2]);
+    const amount = /^\d+$/.test(relative[1]) ? parseInt(relative[1], 10) : 1;
+    return unit ? subtractDuration(now, amount, unit).toISOString() : null;
+  }
+
+  const timestamp = Date.parse(value);
+  return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+}
+
+module.exports = {
+  DEFAULT_TIME_RANGE,
+  parseTimeRange,
+  resolveTimeRange,
+  formatWindow,
+  describeWindow,
+  isWithinRange,
+  toRedditTimeFilter,
+  toSerperTbs,
+  parsePublishedDate
+};
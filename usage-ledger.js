@@ -0,0 +1,338 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('usage');
+
+/**
+ * Usage Ledger
+ * Records Serper queries, Reddit API calls and Claude tokens per run, keeps monthly totals,
+ * and checks them against configurable monthly budgets before each run
+ */
+
+const DEFAULT_LEDGER_FILE = path.join(__dirname, 'data', 'usage-ledger.json');
+const MAX_STORED_RUNS = 200;
+
+// Claude Sonnet 4 list prices in USD per million tokens
+const CLAUDE_PRICING = { input: 3, output: 15 };
+
+// Monthly budgets (0 = unlimited); Serper defaults to the free tier
+const DEFAULT_BUDGETS = {
+  serperQueries: 2500,
+  redditCalls: 0,
+  claudeUsd: 0
+};
+
+// Share of a budget after which runs are degraded
+const DEFAULT_DEGRADE_AT = 0.8;
+
+const BUDGET_LABELS = {
+  serperQueries: 'Serper queries',
+  redditCalls: 'Reddit API calls',
+  claudeUsd: 'Claude spend (USD)'
+};
+
+class BudgetExceededError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} budget - Output of UsageLedger.checkBudget()
+   */
+  constructor(message, budget) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.budget = budget;
+  }
+}
+
+/**
+ * Per-run usage counters, passed to services through provider options
+ * @returns {Object} - { serperQueries, redditCalls, claudeCalls, claudeInputTokens, claudeOutputTokens }
+ */
+function createUsageContext() {
+  return { serperQueries: 0, redditCalls: 0, claudeCalls: 0, claudeInputTokens: 0, claudeOutputTokens: 0 };
+}
+
+/**
+ * Count an API call on the run's counters
+ * @param {Object|null} usage - Output of createUsageContext()
+ * @param {string} field - 'serperQueries' or 'redditCalls'
+ */
+function recordCall(usage, field) {
+  if (usage) {
+    usage[field]++;
+  }
+}
+
+/**
+ * Add the token usage of a Claude response to the run's counters
+ * @param {Object|null} usage - Output of createUsageContext()
+ * @param {Object} message - Anthropic message with a usage field
+ */
+function recordClaudeUsage(usage, message) {
+  if (!usage || !message || !message.usage) {
+    return;
+  }
+  usage.claudeCalls++;
+  usage.claudeInputTokens += message.usage.input_tokens || 0;
+  usage.claudeOutputTokens += message.usage.output_tokens || 0;
+}
+
+/**
+ * Estimated Claude cost for a token count
+ * @param {number} inputTokens - Input tokens
+ * @param {number} outputTokens - Output tokens
+ * @returns {number} - USD, rounded to 4 decimals
+ */
+function estimateClaudeCost(inputTokens, outputTokens) {
+  const cost = (inputTokens * CLAUDE_PRICING.input + outputTokens * CLAUDE_PRICING.output) / 1e6;
+  return Math.round(cost * 10000) / 10000;
+}
+
+/**
+ * Ledger month key
+ * @param {Date} date - Date
+ * @returns {string} - UTC "YYYY-MM"
+ */
+function monthKey(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+class UsageLedger {
+  /**
+   * @param {Object} options - Ledger options
+   * @param {string} options.file - JSON file with monthly totals and recent runs
+   * @param {Object} options.budgets - { serperQueries, redditCalls, claudeUsd } monthly budgets (0 = unlimited)
+   * @param {number} options.degradeAt - Share of a budget after which runs are degraded
+   */
+  constructor({ file, budgets, degradeAt } = {}) {
+    this.file = file || process.env.USAGE_LEDGER_FILE || DEFAULT_LEDGER_FILE;
+    this.budgets = budgets || UsageLedger.readBudgets();
+    this.degradeAt = degradeAt || UsageLedger.readDegradeAt();
+    this.stateLock = Promise.resolve();
+  }
+
+  /**
+   * Read monthly budgets from the environment
+   * @returns {Object} - { serperQueries, redditCalls, claudeUsd }
+   */
+  static readBudgets() {
+    const read = (name, fallback) => {
+      const value = parseFloat(process.env[name]);
+      return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+
+    return {
+      serperQueries: read('BUDGET_SERPER_QUERIES', DEFAULT_BUDGETS.serperQueries),
+      redditCalls: read('BUDGET_REDDIT_CALLS', DEFAULT_BUDGETS.redditCalls),
+      claudeUsd: read('BUDGET_CLAUDE_USD', DEFAULT_BUDGETS.claudeUsd)
+    };
+  }
+
+  /**
+   * Read the degrade threshold from the environment
+   * @returns {number} - Share between 0 and 1
+   */
+  static readDegradeAt() {
+    const value = parseFloat(process.env.BUDGET_DEGRADE_AT);
+    return Number.isFinite(value) && value > 0 && value <= 1 ? value : DEFAULT_DEGRADE_AT;
+  }
+
+  /**
+   * Add a run's usage to the ledger
+   * @param {string} brand - Brand name
+   * @param {Object} usage - Output of createUsageContext() after the run
+   * @returns {Promise<Object>} - Stored run entry, including claudeCostUsd
+   */
+  async record(brand, usage) {
+    return this.withStateLock(async () => {
+      const state = await this.loadState();
+      const month = monthKey();
+      const entry = {
+        timestamp: new Date().toISOString(),
+        brand,
+        ...usage,
+        claudeCostUsd: estimateClaudeCost(usage.claudeInputTokens, usage.claudeOutputTokens)
+      };
+
+      const totals = state.months[month] || UsageLedger.emptyTotals();
+      totals.runs++;
+      Object.keys(usage).forEach(field => {
+        totals[field] = (totals[field] || 0) + usage[field];
+      });
+      totals.claudeCostUsd = estimateClaudeCost(totals.claudeInputTokens, totals.claudeOutputTokens);
+      state.months[month] = totals;
+
+      state.runs = [...state.runs, entry].slice(-MAX_STORED_RUNS);
+      await this.saveState(state);
+
+      logger.info('Recorded usage', {
+        brand,
+        serperQueries: usage.serperQueries,
+        redditCalls: usage.redditCalls,
+        claudeTokens: usage.claudeInputTokens + usage.claudeOutputTokens,
+        claudeCostUsd: Number(entry.claudeCostUsd.toFixed(4))
+      });
+      return entry;
+    });
+  }
+
+  /**
+   * Totals for a month
+   * @param {string} month - "YYYY-MM" (defaults to the current month)
+   * @returns {Promise<Object>} - Monthly totals
+   */
+  async getMonth(month = monthKey()) {
+    const state = await this.loadState();
+    return state.months[month] || UsageLedger.emptyTotals();
+  }
+
+  /**
+   * Compare this month's consumption with the budgets
+   * "degraded" runs use fewer queries and skip optional calls; "exhausted" runs are refused
+   * @returns {Promise<Object>} - { status, month, totals, limits, reasons, plan }
+   */
+  async checkBudget() {
+    const month = monthKey();
+    const totals = await this.getMonth(month);
+    const used = {
+      serperQueries: totals.serperQueries,
+      redditCalls: totals.redditCalls,
+      claudeUsd: totals.claudeCostUsd
+    };
+
+    const limits = Object.keys(this.budgets)
+      .filter(resource => this.budgets[resource] > 0)
+      .map(resource => ({
+        resource,
+        label: BUDGET_LABELS[resource],
+        used: used[resource],
+        budget: this.budgets[resource],
+        ratio: used[resource] / this.budgets[resource]
+      }));
+
+    const exhausted = limits.filter(limit => limit.ratio >= 1);
+    const near = limits.filter(limit => limit.ratio >= this.degradeAt && limit.ratio < 1);
+    const isNear = (resource) => near.some(limit => limit.resource === resource);
+
+    const status = exhausted.length > 0 ? 'exhausted' : (near.length > 0 ? 'degraded' : 'ok');
+    const reasons = [...exhausted, ...near].map(limit =>
+      `${limit.label}: ${UsageLedger.formatAmount(limit.resource, limit.used)} of ${UsageLedger.formatAmount(limit.resource, limit.budget)} ` +
+      `(${Math.round(limit.ratio * 100)}%)`);
+
+    return {
+      status,
+      month,
+      totals,
+      limits,
+      reasons,
+      plan: {
+        serperMaxPages: isNear('serperQueries') ? 1 : null,
+        serperQueriesPerPlatform: isNear('serperQueries') ? 1 : null,
+        redditComments: !isNear('redditCalls'),
+        classifyMentions: !isNear('claudeUsd')
+      }
+    };
+  }
+
+  /**
+   * Format consumption for /listen status
+   * @param {Object} budget - Output of checkBudget()
+   * @returns {Array} - Slack mrkdwn lines
+   */
+  static formatBudget(budget) {
+    const { totals } = budget;
+    const statusText = { ok: '✅ within budget', degraded: '⚠️ near budget, runs degraded', exhausted: '🚫 budget exhausted, runs refused' };
+    const against = (resource, value) => {
+      const limit = budget.limits.find(entry => entry.resource === resource);
+      const amount = UsageLedger.formatAmount(resource, value);
+      return limit ? `${amount} / ${UsageLedger.formatAmount(resource, limit.budget)} (${Math.round(limit.ratio * 100)}%)` : amount;
+    };
+
+    return [
+      `• Usage ${budget.month}: ${statusText[budget.status]} — ${totals.runs} runs`,
+      `   ◦ Serper queries: ${against('serperQueries', totals.serperQueries)}`,
+      `   ◦ Reddit API calls: ${against('redditCalls', totals.redditCalls)}`,
+      `   ◦ Claude: ${(totals.claudeInputTokens + totals.claudeOutputTokens).toLocaleString('en-US')} tokens, ` +
+        `${against('claudeUsd', totals.claudeCostUsd)}`
+    ];
+  }
+
+  /**
+   * Format an amount for its resource
+   * @param {string} resource - Budget key
+   * @param {number} value - Amount
+   * @returns {string} - e.g. "$1.24" or "1,830"
+   */
+  static formatAmount(resource, value) {
+    return resource === 'claudeUsd' ? `$${value.toFixed(2)}` : Math.round(value).toLocaleString('en-US');
+  }
+
+  /**
+   * Zeroed monthly totals
+   * @returns {Object} - Totals
+   */
+  static emptyTotals() {
+    return { runs: 0, ...createUsageContext(), claudeCostUsd: 0 };
+  }
+
+  /**
+   * Load ledger state
+   * @returns {Promise<Object>} - { months, runs }
+   */
+  async loadState() {
+    try {
+      const state = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      return { months: state.months || {}, runs: state.runs || [] };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Could not read usage ledger', { error });
+      }
+      return { months: {}, runs: [] };
+    }
+  }
+
+  /**
+   * Persist ledger state atomically
+   * @param {Object} state - { months, runs }
+   */
+  async saveState(state) {
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(tempFile, JSON.stringify(state, null, 2));
+    await fs.rename(tempFile, this.file);
+  }
+
+  /**
+   * Serialize ledger updates so concurrent runs don't overwrite each other
+   * @param {Function} fn - Async function to run while holding the lock
+   * @returns {Promise<*>} - Result of fn
+   */
+  withStateLock(fn) {
+    const run = this.stateLock.then(fn);
+    this.stateLock = run.catch(() => {});
+    return run;
+  }
+}
+
+let defaultLedger = null;
+
+/**
+ * Get the shared usage ledger
+ * @returns {UsageLedger} - Ledger in USAGE_LEDGER_FILE (defaults to ./data/usage-ledger.json)
+ */
+function getUsageLedger() {
+  if (!defaultLedger) {
+    defaultLedger = new UsageLedger();
+  }
+  return defaultLedger;
+}
+
+module.exports = {
+  UsageLedger,
+  BudgetExceededError,
+  getUsageLedger,
+  createUsageContext,
+  recordCall,
+  recordClaudeUsage,
+  estimateClaudeCost
+};
@@ -0,0 +1,266 @@
+const { renderReportBlocks, formatShareOfVoiceText } = require('./report-blocks');
+const { BudgetExceededError } = require('./usage-ledger');
+const { getExecutionRegistry } = require('./execution-registry');
+const { createLogger, withCorrelation } = require('./logger');
+
+const logger = createLogger('workflow-function');
+
+/**
+ * Workflow Function
+ * The social_listening_report custom step: runs the analysis for the step's inputs and completes
+ * the function with the output variables Workflow Builder exposes to later steps
+ *
+ * Slack delivers each execution to both the function_executed listener and the app.function
+ * handler. Completion policy: whichever delivery claims the function_execution_id first in the
+ * execution registry runs the analysis and completes the step through its own API; every other
+ * delivery of that execution is ignored. Both handlers build outputs and errors the same way:
+ * a finished analysis completes with the output variables, and a missing brand, a used-up budget
+ * or a thrown error fails the step with a message.
+ */
+
+const CALLBACK_ID = 'social_listening_report';
+const MISSING_BRAND_ERROR = 'Brand/Product Name parameter is required but was not provided';
+const MISSING_EXECUTION_ID_ERROR = 'Workflow step has no function_execution_id, so it was not run';
+
+/**
+ * Build the workflow output variables for a finished analysis
+ * @param {Object} analysis - Analysis result
+ * @param {Object} inputs - Step inputs (brand_or_product, competitors, time_range, platforms)
+ * @returns {Object} - Output variables keyed by output parameter name
+ */
+function buildOutputs(analysis, inputs) {
+  const { brand_or_product, competitors, time_range, platforms } = inputs;
+
+  return {
+    sentiment_summary: analysis.sentimentSummary
+      ? `📊 ${analysis.sentimentSummary}`
+      : '📊 Unable to determine sentiment distribution.',
+
+    sentiment_delta: analysis.sentimentDelta
+      ? `📈 ${analysis.sentimentDelta}`
+      : '📈 No previous report to compare against yet.',
+
+    volume_delta: analysis.volumeDelta
+      ? `📈 ${analysis.volumeDelta}`
+      : '📈 No previous report to compare against yet.',
+
+    positive_highlights: analysis.positiveHighlights
+      ? `✅ ${analysis.positiveHighlights}`
+      : '✅ No significant positive highlights identified.',
+
+    negative_concerns: analysis.negativeConcerns
+      ? `⚠️ ${analysis.negativeConcerns}`
+      : '⚠️ No critical concerns identified at this time.',
+
+    trending_topics: analysis.trendingTopics
+      ? `🔥 ${analysis.trendingTopics}`
+      : '🔥 No trending topics detected.',
+
+    competitive_insights: analysis.competitiveInsights
+      ? `🎯 ${analysis.competitiveInsights}`
+      : '🎯 No competitive insights available.',
+
+    share_of_voice: analysis.shareOfVoice
+      ? `📊 ${formatShareOfVoiceText(analysis.shareOfVoice)}`
+      : '📊 No competitor data collected (add competitors to compare share of voice).',
+
+    full_report: analysis.fullReport || `# Social Listening Report
+
+**Brand/Product:** ${brand_or_product}
+**Competitors Tracked:** ${competitors || 'None specified'}
+**Time Range:** ${time_range || '7 days'}
+**Platforms:** ${platforms || 'All platforms'}
+**Generated:** ${new Date().toLocaleString()}
+**Report ID:** SL-${Date.now()}
+
+## Analysis Status
+Social listening analysis completed using Claude AI with web search capabilities.
+
+## Summary
+${analysis.sentimentSummary ? '📊 **SENTIMENT ANALYZED**' : '📊 **SENTIMENT DATA UNAVAILABLE**'}
+
+${analysis.positiveHighlights ? '✅ **POSITIVE FEEDBACK FOUND**' : '✅ **NO POSITIVE HIGHLIGHTS**'}
+
+${analysis.negativeConcerns ? '⚠️ **CONCERNS IDENTIFIED**' : '⚠️ **NO CRITICAL CONCERNS**'}
+
+${analysis.trendingTopics ? '🔥 **TRENDING TOPICS DETECTED**' : '🔥 **NO TRENDING TOPICS**'}
+
+${analysis.competitiveInsights ? '🎯 **COMPETITIVE INSIGHTS AVAILABLE**' : '🎯 **NO COMPETITIVE DATA**'}
+
+---
+*Powered by Claude AI Social Listening System*
+*Real-time sentiment and brand monitoring*`,
+
+    report_blocks: JSON.stringify(renderReportBlocks(analysis, {
+      brand: brand_or_product,
+      competitors,
+      timeRange: time_range || '7 days'
+    })),
+
+    has_critical_issues: analysis.hasCriticalIssues ? "true" : "false",
+    critical_severity: analysis.criticalSeverity || 'none',
+    critical_reasons: analysis.severityReasons && analysis.severityReasons.length > 0
+      ? analysis.severityReasons.map(reason => `• ${reason}`).join('\n')
+      : 'No concerns reached the severity thresholds.',
+    report_timestamp: analysis.timestamp || new Date().toISOString()
+  };
+}
+
+/**
+ * Error message the step fails with when the analysis throws
+ * @param {Error} error - Analysis error
+ * @returns {string} - Message shown in Workflow Builder
+ */
+function describeFailure(error) {
+  // A used-up budget is a refusal, not an analysis failure
+  return error instanceof BudgetExceededError
+    ? error.message
+    : `Social listening analysis failed: ${error.message}`;
+}
+
+/**
+ * Register the social_listening_report function handlers on a Bolt app
+ * Both the function_executed event and app.function are handled; the registry makes sure only
+ * one of them analyzes and completes a given execution
+ * @param {Object} app - Bolt app
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.analyze - Analysis function (brand, competitors, timeRange, platforms, options)
+ * @param {Object} deps.registry - ExecutionRegistry (defaults to the shared one)
+ */
+function registerWorkflowFunction(app, { analyze, registry = getExecutionRegistry() }) {
+  /**
+   * Claim, analyze and complete one execution
+   * @param {Object} execution - Execution details
+   * @param {string} execution.executionId - function_execution_id
+   * @param {string} execution.handler - Delivering handler, recorded with the claim
+   * @param {Object} execution.inputs - Step inputs
+   * @param {Function} execution.succeed - async (outputs) => void, completes the step
+   * @param {Function} execution.fail - async (message) => void, fails the step
+   */
+  const execute = async ({ executionId, handler, inputs, succeed, fail }) => {
+    /**
+     * Complete the step through the handler's API and record the outcome; the registry entry is
+     * finished even if Slack rejects the completion, so the execution never stays running
+     * @param {string} status - 'completed' or 'failed'
+     * @param {Function} complete - async () => void, calls succeed or fail
+     * @param {string} error - Error the step is failed with
+     * @returns {Promise<string>} - Recorded status ('failed' if the completion call threw)
+     */
+    const settle = async (status, complete, error = null) => {
+      let outcome = { status, error };
+      try {
+        await complete();
+      } catch (completeError) {
+        logger.error('Could not complete step', { handler, status, error: completeError });
+        outcome = { status: 'failed', error: `Could not complete step: ${completeError.message}` };
+      }
+      await registry.finish(executionId, outcome.status, outcome.error);
+      return outcome.status;
+    };
+
+    const claim = await registry.claim(executionId, handler);
+    if (!claim) {
+      const existing = await registry.get(executionId);
+      logger.info('Execution already claimed, ignoring duplicate delivery', {
+        handler,
+        claimedBy: existing ? existing.handler : null,
+        status: existing ? existing.status : null
+      });
+      return;
+    }
+
+    const { brand_or_product, competitors, time_range, platforms, subreddits, force_refresh } = inputs;
+    logger.info('Running social listening function', {
+      handler,
+      brand: brand_or_product,
+      competitors,
+      timeRange: time_range,
+      platforms,
+      subreddits,
+      refresh: force_refresh
+    });
+
+    if (!brand_or_product) {
+      logger.warn('Missing required brand_or_product parameter');
+      await settle('failed', () => fail(MISSING_BRAND_ERROR), MISSING_BRAND_ERROR);
+      return;
+    }
+
+    let outputs;
+    try {
+      const analysis = await analyze(
+        brand_or_product,
+        competitors || '',
+        time_range || '7 days',
+        platforms || 'all',
+        { subreddits, refresh: Boolean(force_refresh) }
+      );
+
+      logger.info('Analysis completed', {
+        dataSource: analysis.dataSource,
+        hasCriticalIssues: analysis.hasCriticalIssues,
+        criticalSeverity: analysis.criticalSeverity
+      });
+      outputs = buildOutputs(analysis, inputs);
+
+    } catch (error) {
+      const message = describeFailure(error);
+      logger.error('Function execution error', { error });
+
+      await settle('failed', () => fail(message), message);
+      logger.info('Step failed with error', { handler });
+      return;
+    }
+
+    logger.debug('Completing step', {
+      outputLengths: Object.fromEntries(Object.keys(outputs).map(key => [key, outputs[key].length]))
+    });
+    if (await settle('completed', () => succeed(outputs)) === 'completed') {
+      logger.info('Function completed, output variables available to later workflow steps', { handler });
+    }
+  };
+
+  // Every log line of a run carries its function_execution_id as the correlation ID
+  app.event('function_executed', async ({ event, client }) => {
+    if (event.function.callback_id !== CALLBACK_ID) {
+      logger.debug('Different function executed', { callbackId: event.function.callback_id });
+      return;
+    }
+
+    const executionId = event.function.function_execution_id;
+    if (!executionId) {
+      // Without an id the step can neither be deduplicated nor completed
+      logger.error('function_executed event without function_execution_id, ignoring it');
+      return;
+    }
+
+    await withCorrelation(executionId, () => execute({
+      executionId,
+      handler: 'function_executed',
+      inputs: event.inputs || {},
+      succeed: outputs => client.functions.completeSuccess({ function_execution_id: executionId, outputs }),
+      fail: error => client.functions.completeError({ function_execution_id: executionId, error })
+    }));
+  });
+
+  app.function(CALLBACK_ID, async ({ inputs, complete, fail, context, body }) => {
+    const executionId = (context && context.functionExecutionId) ||
+      (body && body.event && body.event.function_execution_id);
+    if (!executionId) {
+      // A made-up id would bypass the registry, so the step is failed instead of run
+      logger.error('Function invoked without function_execution_id, failing the step');
+      await fail({ error: MISSING_EXECUTION_ID_ERROR });
+      return;
+    }
+
+    await withCorrelation(executionId, () => execute({
+      executionId,
+      handler: 'app.function',
+      inputs: inputs || {},
+      succeed: outputs => complete({ outputs }),
+      fail: error => fail({ error })
+    }));
+  });
+}
+
+module.exports = { registerWorkflowFunction, buildOutputs };